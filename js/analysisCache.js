@@ -0,0 +1,155 @@
+/**
+ * Analysis Cache Module
+ * Keeps the results of embeddedDataManager.analyzeModel in IndexedDB, keyed by the model's
+ * derivative URN, so the next page load of the same model version skips the property scan
+ */
+
+import { viewerManager } from './viewer.js';
+
+const DB_NAME = 'construction-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'modelAnalysis';
+
+// Bump when the cached data layout changes, so older caches are rebuilt
+// (extraction rule changes are caught by the rules signature stored with each entry)
+const CACHE_FORMAT = 2;
+
+class AnalysisCache {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again after a failure
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (store) => IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Identify the loaded model: the cache key is the derivative URN without its version,
+   * so a new version of the same file replaces the old cache entry
+   * @returns {object|null} { key, urn, version }, or null if no model is loaded
+   */
+  describeModel() {
+    const urn = viewerManager.documentId;
+    if (!urn) return null;
+
+    let decoded = urn;
+    try {
+      const base64 = urn.replace(/^urn:/, '').replace(/-/g, '+').replace(/_/g, '/');
+      decoded = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    } catch (error) {
+      // Not base64 - use the URN as it is
+    }
+
+    const versionMatch = decoded.match(/[?&]version=(\d+)/);
+    return {
+      key: decoded.replace(/[?&]version=\d+/, ''),
+      urn,
+      version: versionMatch ? parseInt(versionMatch[1]) : null
+    };
+  }
+
+  /**
+   * Cached analysis of a model, if it is still valid for the loaded version
+   * @param {object} model - From describeModel()
+   * @param {number} elementCount - Elements in the loaded model's instance tree
+   * @param {string} rulesSignature - Signature of the active extraction rules
+   * @returns {Promise<object|null>} Cached record, or null if missing or stale
+   */
+  async load(model, elementCount, rulesSignature) {
+    const record = await this.run('readonly', store => store.get(model.key));
+    if (!record) {
+      console.log('💾 No cached analysis for this model');
+      return null;
+    }
+
+    const reasons = [];
+    if (record.format !== CACHE_FORMAT) reasons.push('cache format changed');
+    if (record.urn !== model.urn) reasons.push(`cached v${record.version ?? '?'}, loaded v${model.version ?? '?'}`);
+    if (record.elementCount !== elementCount) reasons.push(`cached ${record.elementCount} elements, loaded ${elementCount}`);
+    if (record.rulesSignature !== rulesSignature) reasons.push('extraction rules changed');
+
+    if (reasons.length > 0) {
+      console.log(`💾 Cached analysis is stale (${reasons.join('; ')}) - rebuilding`);
+      return null;
+    }
+
+    console.log(`💾 Cached analysis found (v${record.version ?? '?'}, saved ${new Date(record.savedAt).toLocaleString()})`);
+    return record;
+  }
+
+  /**
+   * Store the analysis of a model (replaces the entry of older versions)
+   * @param {object} model - From describeModel()
+   * @param {number} elementCount - Elements in the loaded model's instance tree
+   * @param {object} data - { elementData, groups: { phaseGroups, ... }, stats, rulesSignature }
+   */
+  async save(model, elementCount, data) {
+    await this.run('readwrite', store => store.put({
+      key: model.key,
+      urn: model.urn,
+      version: model.version,
+      format: CACHE_FORMAT,
+      elementCount,
+      savedAt: Date.now(),
+      ...data
+    }));
+    console.log(`💾 Analysis cached for v${model.version ?? '?'} (${data.elementData.size} elements)`);
+  }
+
+  /**
+   * Forget the cached analysis of a model, or of every model
+   * @param {string} key - Cache key from describeModel(), or null for all
+   */
+  async clear(key = null) {
+    await this.run('readwrite', store => (key ? store.delete(key) : store.clear()));
+    console.log(key ? '🧹 Cached analysis removed' : '🧹 All cached analyses removed');
+  }
+}
+
+// Export singleton instance
+export const analysisCache = new AnalysisCache();
+export default analysisCache;
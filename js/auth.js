@@ -11,9 +11,12 @@ class AuthManager {
     this.expiresAt = null;
     this.jwtAccessToken = null;
     this.jwtRefreshToken = null;
+    this.userAccessToken = null;  // Local dashboard account (carries the admin/read-only role)
+    this.userRefreshToken = null;
 
     // Load JWT tokens from localStorage on init
     this.loadJWTTokens();
+    this.loadUserTokens();
   }
 
   /**
@@ -143,6 +146,140 @@ class AuthManager {
     console.log('🧹 JWT tokens cleared');
   }
 
+  /**
+   * Load local account tokens from localStorage
+   */
+  loadUserTokens() {
+    this.userAccessToken = localStorage.getItem('user_access_token');
+    this.userRefreshToken = localStorage.getItem('user_refresh_token');
+
+    if (this.userAccessToken) {
+      console.log(`👤 Signed in as ${this.getUsername()} (${this.getRole()})`);
+    }
+  }
+
+  /**
+   * Decode a JWT payload without verification (server verifies on every request)
+   * @param {string} token - JWT token
+   * @returns {object|null} Payload
+   */
+  decodeJWT(token) {
+    try {
+      return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign in with a local dashboard account
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<object>} { username, role }
+   */
+  async loginWithPassword(username, password) {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/auth/local-login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ username, password })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `Login failed: ${response.status}`);
+    }
+
+    this.userAccessToken = data.access_token;
+    this.userRefreshToken = data.refresh_token;
+    localStorage.setItem('user_access_token', data.access_token);
+    localStorage.setItem('user_refresh_token', data.refresh_token);
+    console.log(`✅ Signed in as ${data.username} (${data.role})`);
+
+    return { username: data.username, role: data.role };
+  }
+
+  /**
+   * Get the local account token (refresh if expiring)
+   * @returns {Promise<string|null>} JWT access token, or null if not signed in
+   */
+  async getUserToken() {
+    if (!this.userAccessToken) {
+      return null;
+    }
+
+    const payload = this.decodeJWT(this.userAccessToken);
+
+    // If token expires in less than 5 minutes, refresh it
+    if (!payload || Date.now() >= payload.exp * 1000 - (5 * 60 * 1000)) {
+      try {
+        const response = await fetch(`${CONFIG.SERVER_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            refreshToken: this.userRefreshToken
+          })
+        });
+
+        if (!response.ok) {
+          throw new Error('Token refresh failed');
+        }
+
+        const data = await response.json();
+        this.userAccessToken = data.access_token;
+        localStorage.setItem('user_access_token', data.access_token);
+        console.log('✅ Account token refreshed');
+      } catch (error) {
+        console.error('❌ Account token refresh failed:', error);
+        this.logoutUser();
+        return null;
+      }
+    }
+
+    return this.userAccessToken;
+  }
+
+  /**
+   * Get the signed-in account's role
+   * @returns {string} 'admin' or 'read-only'
+   */
+  getRole() {
+    const payload = this.userAccessToken ? this.decodeJWT(this.userAccessToken) : null;
+    return payload?.role || 'read-only';
+  }
+
+  /**
+   * Get the signed-in account's username
+   * @returns {string|null} Username
+   */
+  getUsername() {
+    const payload = this.userAccessToken ? this.decodeJWT(this.userAccessToken) : null;
+    return payload?.username || null;
+  }
+
+  /**
+   * Check if the signed-in account is an admin
+   * @returns {boolean} True for admins
+   */
+  isAdmin() {
+    return this.getRole() === 'admin';
+  }
+
+  /**
+   * Sign out of the local account (Autodesk login is kept)
+   */
+  logoutUser() {
+    this.userAccessToken = null;
+    this.userRefreshToken = null;
+    localStorage.removeItem('user_access_token');
+    localStorage.removeItem('user_refresh_token');
+    console.log('👋 Signed out of dashboard account');
+  }
+
   /**
    * Get a valid access token (fetch new if expired)
    * @returns {Promise<string>} Access token
@@ -199,11 +336,16 @@ class AuthManager {
               console.log('🔑 Session ID:', sessionId);
 
               if (sessionId) {
-                const tokenUrl = `${CONFIG.SERVER_URL}/api/auth/user-token?sessionId=${sessionId}`;
+                const tokenUrl = `${CONFIG.SERVER_URL}/api/auth/user-token`;
                 console.log('🔄 Fetching user token from:', tokenUrl);
 
                 try {
-                  const response = await fetch(tokenUrl);
+                  // The server finds the session through the JWT issued with it
+                  const response = await fetch(tokenUrl, {
+                    headers: {
+                      'Authorization': `Bearer ${await this.getJWTToken()}`
+                    }
+                  });
                   console.log('📥 Token response status:', response.status);
 
                   if (response.ok) {
@@ -297,6 +439,17 @@ class AuthManager {
    * Logout - clear all tokens and session
    */
   logout() {
+    // End the server-side session too (fire and forget - local logout must not wait).
+    // The server ends the session named in the JWT; if the JWT has expired, the session expires when idle.
+    if (this.jwtAccessToken) {
+      fetch(`${CONFIG.SERVER_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.jwtAccessToken}`
+        }
+      }).catch(error => console.warn('⚠️ Server logout failed:', error.message));
+    }
+
     this.clearAllTokens();
     console.log('👋 Logged out');
   }
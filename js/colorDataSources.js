@@ -0,0 +1,68 @@
+/**
+ * Color Data Sources
+ * What the color scheme engine reads: villas grouped by plot with their schedule data, and
+ * element groups by block and component. One source per app, same shape (see colorSchemeEngine.js).
+ */
+
+import { embeddedDataManager } from './embeddedDataManager.js';
+import { modelDataMapper } from './modelDataMapper.js';
+import { dataParser } from './dataParser.js';
+
+/**
+ * Embedded model properties (dashboard.html): plots from embeddedDataManager.analyzeModel,
+ * schedule data from the loaded Excel/XER/MS Project file
+ */
+export const embeddedDataSource = {
+  name: 'embedded properties',
+
+  getPlotGroups() {
+    return embeddedDataManager.plotGroups;
+  },
+
+  getPlotData(plot) {
+    return embeddedDataManager.getExcelDataForPlot(plot);
+  },
+
+  getBlockGroups() {
+    return embeddedDataManager.groupByBlock();
+  },
+
+  getComponentGroups() {
+    return embeddedDataManager.groupByComponent();
+  }
+};
+
+/**
+ * Excel mappings (index.html): elements matched to schedule rows by plot number in modelDataMapper
+ */
+export const mappedDataSource = {
+  name: 'Excel mappings',
+
+  getPlotGroups() {
+    return modelDataMapper.reverseMappings;
+  },
+
+  /**
+   * Schedule rows of a plot, combined like embeddedDataManager does (one record per plot)
+   */
+  getPlotData(plot) {
+    const rows = dataParser.getDataByPlot(plot);
+    if (rows.length === 0) return null;
+
+    return rows
+      .map(row => ({ ...row, villaType: row.villaType || row.villa }))
+      .reduce((existing, entry) => embeddedDataManager.mergePlotActivities(existing, entry));
+  },
+
+  getBlockGroups() {
+    return modelDataMapper.groupByBlock();
+  },
+
+  getComponentGroups() {
+    const componentMap = new Map();
+    modelDataMapper.groupByComponent().forEach((dbIdSet, component) => {
+      componentMap.set(component, Array.from(dbIdSet));
+    });
+    return componentMap;
+  }
+};
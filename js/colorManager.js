@@ -1,127 +1,20 @@
 /**
  * Color Manager Module
- * Handles coloring schemes for the 3D model
+ * Handles coloring schemes for the 3D model (index.html - Excel mappings). The color schemes
+ * come from the shared scheme engine, so they match the dashboard's.
  */
 
-import { CONFIG, getBlockColor, getComponentColor, calculateStatus } from './config.js';
+import { CONFIG } from './config.js';
 import { viewerManager } from './viewer.js';
 import { modelDataMapper } from './modelDataMapper.js';
+import { ColorSchemeEngine } from './colorSchemeEngine.js';
+import { mappedDataSource } from './colorDataSources.js';
+import { colorSchemes } from './colorSchemes.js';
+import { colorRuleManager } from './colorRules.js';
 
-class ColorManager {
+class ColorManager extends ColorSchemeEngine {
   constructor() {
-    this.currentScheme = null;
-    this.colorMap = new Map(); // dbId -> color
-  }
-
-  /**
-   * Apply color scheme to the model
-   * @param {string} scheme - 'Block', 'Component', 'Status', or 'None'
-   * @returns {Promise<void>}
-   */
-  async applyColorScheme(scheme) {
-    console.log(`🎨 Applying color scheme: ${scheme}`);
-    
-    // Clear existing colors
-    viewerManager.clearColors();
-    this.colorMap.clear();
-
-    if (scheme === 'None') {
-      this.currentScheme = null;
-      return;
-    }
-
-    this.currentScheme = scheme;
-
-    switch (scheme) {
-      case 'Block':
-        await this.colorByBlock();
-        break;
-      case 'Component':
-        await this.colorByComponent();
-        break;
-      case 'Status':
-        await this.colorByStatus();
-        break;
-      default:
-        console.warn(`Unknown color scheme: ${scheme}`);
-    }
-
-    console.log(`✅ Color scheme applied: ${this.colorMap.size} elements colored`);
-  }
-
-  /**
-   * Color elements by block number
-   */
-  async colorByBlock() {
-    const blockGroups = modelDataMapper.groupByBlock();
-
-    blockGroups.forEach((dbIds, blockNumber) => {
-      const color = getBlockColor(blockNumber);
-      
-      dbIds.forEach(dbId => {
-        this.colorMap.set(dbId, color);
-      });
-      
-      viewerManager.setColor(dbIds, color);
-    });
-  }
-
-  /**
-   * Color elements by component type
-   */
-  async colorByComponent() {
-    const componentGroups = modelDataMapper.groupByComponent();
-
-    componentGroups.forEach((dbIds, component) => {
-      const color = getComponentColor(component);
-      
-      dbIds.forEach(dbId => {
-        this.colorMap.set(dbId, color);
-      });
-      
-      viewerManager.setColor(dbIds, color);
-    });
-  }
-
-  /**
-   * Color elements by status (completed, in progress, not started, delayed)
-   */
-  async colorByStatus() {
-    const statusGroups = {
-      COMPLETED: [],
-      IN_PROGRESS: [],
-      NOT_STARTED: [],
-      DELAYED: []
-    };
-
-    // Group elements by status
-    modelDataMapper.mappings.forEach((mapping, dbId) => {
-      // Get the first data row (or aggregate if multiple)
-      const data = mapping.excelData[0];
-      
-      const status = calculateStatus(
-        data.plannedStart,
-        data.plannedFinish,
-        data.actualStart,
-        data.actualFinish
-      );
-
-      statusGroups[status].push(dbId);
-    });
-
-    // Apply colors for each status
-    Object.entries(statusGroups).forEach(([status, dbIds]) => {
-      if (dbIds.length > 0) {
-        const color = CONFIG.COLORS[status];
-        
-        dbIds.forEach(dbId => {
-          this.colorMap.set(dbId, color);
-        });
-        
-        viewerManager.setColor(dbIds, color);
-        console.log(`  ${status}: ${dbIds.length} elements`);
-      }
-    });
+    super(mappedDataSource);
   }
 
   /**
@@ -148,21 +41,16 @@ class ColorManager {
     });
   }
 
-  /**
-   * Get color for a specific element
-   * @param {number} dbId - Element database ID
-   * @returns {object|null} Color object
-   */
-  getColorForElement(dbId) {
-    return this.colorMap.get(dbId);
-  }
-
   /**
    * Filter elements by color criteria
-   * @param {string} criteria - 'Block', 'Component', 'Status'
+   * @param {string} criteria - 'Block', 'Component', 'Status' (a label of the Status scheme legend, e.g. 'Villa Handover' or 'Other')
    * @param {string} value - Specific value to filter by
    */
   filterByCriteria(criteria, value) {
+    if (criteria === 'Status') {
+      return this.filterByStatus(value);
+    }
+
     const matchingDbIds = [];
 
     modelDataMapper.mappings.forEach((mapping, dbId) => {
@@ -177,15 +65,6 @@ class ColorManager {
         case 'Component':
           matches = data.component === value;
           break;
-        case 'Status':
-          const status = calculateStatus(
-            data.plannedStart,
-            data.plannedFinish,
-            data.actualStart,
-            data.actualFinish
-          );
-          matches = status === value;
-          break;
       }
 
       if (matches) {
@@ -197,55 +76,23 @@ class ColorManager {
   }
 
   /**
-   * Create a legend for the current color scheme
-   * @returns {Array} Legend items
+   * Elements of the villas the Status color scheme gives a legend label, resolved the same way
+   * as the coloring (colorSchemes.colorByRules with the Status rules)
+   * @param {string} label - Status legend label
+   * @returns {Array<number>} Matching dbIds
    */
-  getLegend() {
-    if (!this.currentScheme) {
-      return [];
-    }
-
-    const legend = [];
-
-    switch (this.currentScheme) {
-      case 'Block':
-        const blocks = modelDataMapper.groupByBlock();
-        blocks.forEach((dbIds, block) => {
-          legend.push({
-            label: `Block ${block}`,
-            color: getBlockColor(block),
-            count: dbIds.length
-          });
-        });
-        break;
-
-      case 'Component':
-        const components = modelDataMapper.groupByComponent();
-        components.forEach((dbIds, component) => {
-          legend.push({
-            label: component,
-            color: getComponentColor(component),
-            count: dbIds.length
-          });
-        });
-        break;
+  filterByStatus(label) {
+    const scheme = colorRuleManager.getStatusScheme();
+    const matchingDbIds = [];
 
-      case 'Status':
-        const statuses = ['COMPLETED', 'IN_PROGRESS', 'NOT_STARTED', 'DELAYED'];
-        statuses.forEach(status => {
-          const dbIds = this.filterByCriteria('Status', status);
-          if (dbIds.length > 0) {
-            legend.push({
-              label: status.replace('_', ' '),
-              color: CONFIG.COLORS[status],
-              count: dbIds.length
-            });
-          }
-        });
-        break;
+    for (const [plot, dbIds] of this.dataSource.getPlotGroups()) {
+      const excelData = this.dataSource.getPlotData(plot);
+      if (excelData && colorSchemes.getRuleLabel(scheme, plot, excelData) === label) {
+        matchingDbIds.push(...dbIds);
+      }
     }
 
-    return legend;
+    return matchingDbIds;
   }
 
   /**
@@ -263,16 +110,6 @@ class ColorManager {
       colors: map
     };
   }
-
-  /**
-   * Clear all colors
-   */
-  clear() {
-    viewerManager.clearColors();
-    this.colorMap.clear();
-    this.currentScheme = null;
-    console.log('🧹 Colors cleared');
-  }
 }
 
 // Export singleton instance
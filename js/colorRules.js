@@ -0,0 +1,669 @@
+/**
+ * Color Rules Module
+ * Rule-based color schemes: each rule gives a color to the villas whose schedule data matches
+ * all of its conditions. Schemes are kept per browser and shared as JSON files.
+ */
+
+import { escapeHtml } from './htmlUtils.js';
+
+const STORAGE_KEY = 'custom_color_schemes';
+
+// Custom scheme ids, as made by createId()
+const SCHEME_ID_PATTERN = /^scheme_[a-z0-9]+$/;
+
+// Fields a condition can test (plot data from embeddedDataManager, plus the derived delay)
+const RULE_FIELDS = {
+  status: { label: 'Status', type: 'text' },
+  contractor: { label: 'Contractor', type: 'text' },
+  precaster: { label: 'PreCaster', type: 'text' },
+  precastFactory: { label: 'Precast Factory', type: 'text' },
+  villaType: { label: 'Villa Type', type: 'text' },
+  block: { label: 'Block', type: 'text' },
+  plot: { label: 'Plot', type: 'text' },
+  phase: { label: 'Phase', type: 'text' },
+  neighborhood: { label: 'Neighborhood', type: 'text' },
+  plannedStart: { label: 'Planned Start', type: 'date' },
+  plannedFinish: { label: 'Planned Finish', type: 'date' },
+  actualStart: { label: 'Actual Start', type: 'date' },
+  actualFinish: { label: 'Actual Finish', type: 'date' },
+  percentComplete: { label: 'Percent Complete', type: 'number' },
+  delayDays: { label: 'Delay (working days)', type: 'number' }
+};
+
+// Operators per field type
+const RULE_OPERATORS = {
+  text: {
+    equals: 'is',
+    notEquals: 'is not',
+    contains: 'contains',
+    notContains: 'does not contain',
+    oneOf: 'is one of',
+    empty: 'is empty',
+    notEmpty: 'is not empty'
+  },
+  number: {
+    equals: '=',
+    notEquals: '≠',
+    gt: '>',
+    gte: '≥',
+    lt: '<',
+    lte: '≤',
+    empty: 'is empty',
+    notEmpty: 'is not empty'
+  },
+  date: {
+    equals: 'is on',
+    lt: 'is before',
+    lte: 'is on or before',
+    gt: 'is after',
+    gte: 'is on or after',
+    empty: 'is empty',
+    notEmpty: 'is not empty'
+  }
+};
+
+// Operators that take no value
+const VALUELESS_OPERATORS = ['empty', 'notEmpty'];
+
+// Construction status colors (matching Gantt chart colors); stages are matched in this order,
+// an exact status name matches its own rule
+const STATUS_SCHEME = {
+  id: 'Status',
+  name: 'Status',
+  builtIn: true,
+  unmatchedColor: '#969696',
+  rules: [
+    { label: 'Raft Completed', color: '#0066ff', conditions: [{ field: 'status', operator: 'contains', value: 'raft' }] },
+    {
+      label: 'Pre-Cast in Progress',
+      color: '#66ffff',
+      conditions: [{ field: 'status', operator: 'contains', value: 'pre-cast' }, { field: 'status', operator: 'contains', value: 'progress' }]
+    },
+    {
+      label: 'Pre-Cast Completed',
+      color: '#cccc00',
+      conditions: [{ field: 'status', operator: 'contains', value: 'pre-cast' }, { field: 'status', operator: 'contains', value: 'completed' }]
+    },
+    {
+      label: 'MEP & Finishes in Progress',
+      color: '#ff66cc',
+      conditions: [{ field: 'status', operator: 'contains', value: 'mep' }, { field: 'status', operator: 'contains', value: 'progress' }]
+    },
+    {
+      label: 'MEP & Finishes Completed',
+      color: '#66ff33',
+      conditions: [{ field: 'status', operator: 'contains', value: 'mep' }, { field: 'status', operator: 'contains', value: 'completed' }]
+    },
+    { label: 'Villa Handover', color: '#339966', conditions: [{ field: 'status', operator: 'contains', value: 'handover' }] }
+  ]
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class ColorRuleManager {
+  constructor() {
+    this.schemes = []; // Custom schemes [{ id, name, rules, unmatchedColor }]
+    this.loadSaved();
+  }
+
+  /**
+   * Restore the custom schemes saved in this browser (a scheme that no longer validates is skipped on its own)
+   */
+  loadSaved() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+      console.warn('⚠️ Saved color schemes are corrupted - ignoring them:', error.message);
+      this.schemes = [];
+      return;
+    }
+
+    let renamed = false;
+    this.schemes = (Array.isArray(saved) ? saved : []).flatMap(scheme => {
+      try {
+        const normalized = this.normalizeScheme(scheme);
+        if (normalized.id !== scheme.id) renamed = true;
+        return [normalized];
+      } catch (error) {
+        console.warn(`⚠️ Skipping saved color scheme "${scheme?.name || 'unnamed'}":`, error.message);
+        return [];
+      }
+    });
+
+    // Keep the ids given to schemes saved with an unsafe id, so they stay the same on the next load
+    if (renamed) {
+      try {
+        this.persist();
+      } catch (error) {
+        console.warn('⚠️ Could not save the new color scheme ids:', error.message);
+      }
+    }
+
+    if (this.schemes.length > 0) {
+      console.log(`🎨 Restored ${this.schemes.length} custom color schemes`);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.schemes.map(scheme => this.toJSON(scheme))));
+  }
+
+  getFields() {
+    return RULE_FIELDS;
+  }
+
+  getOperators(field) {
+    return RULE_OPERATORS[RULE_FIELDS[field]?.type || 'text'];
+  }
+
+  getStatusScheme() {
+    return STATUS_SCHEME;
+  }
+
+  /**
+   * Built-in and custom schemes
+   */
+  getSchemes() {
+    return [STATUS_SCHEME, ...this.schemes];
+  }
+
+  getScheme(id) {
+    return this.getSchemes().find(scheme => scheme.id === id) || null;
+  }
+
+  /**
+   * Check a scheme read from storage or a JSON file
+   * @param {object} scheme - { name, rules: [{ label, color, conditions: [{ field, operator, value }] }], unmatchedColor }
+   * @returns {object} Normalized scheme
+   * @throws {Error} When the scheme is invalid
+   */
+  normalizeScheme(scheme) {
+    if (!scheme || typeof scheme !== 'object') {
+      throw new Error('A color scheme must be a JSON object');
+    }
+
+    const name = String(scheme.name || '').trim();
+    if (!name) throw new Error('A color scheme needs a name');
+    if (!Array.isArray(scheme.rules)) throw new Error(`Color scheme "${name}" needs a "rules" list`);
+
+    const rules = scheme.rules.map((rule, index) => {
+      const where = `Rule ${index + 1} of "${name}"`;
+      const color = String(rule.color || '').trim().toLowerCase();
+      if (!/^#[0-9a-f]{6}$/.test(color)) throw new Error(`${where}: color must be #RRGGBB`);
+
+      const conditions = (rule.conditions || []).map(condition => {
+        const field = String(condition.field || '');
+        if (!RULE_FIELDS[field]) throw new Error(`${where}: unknown field "${field}"`);
+
+        const operator = String(condition.operator || '');
+        if (!this.getOperators(field)[operator]) {
+          throw new Error(`${where}: "${operator}" cannot be used with ${RULE_FIELDS[field].label}`);
+        }
+
+        const value = VALUELESS_OPERATORS.includes(operator) ? '' : String(condition.value ?? '').trim();
+        if (RULE_FIELDS[field].type === 'date' && value && this.parseDateValue(value) === null) {
+          throw new Error(`${where}: "${value}" is not a date (use YYYY-MM-DD, today or today+14)`);
+        }
+        if (RULE_FIELDS[field].type === 'number' && value && isNaN(parseFloat(value))) {
+          throw new Error(`${where}: "${value}" is not a number`);
+        }
+        return { field, operator, value };
+      });
+
+      return { label: String(rule.label || '').trim() || `Rule ${index + 1}`, color, conditions };
+    });
+
+    const unmatchedColor = String(scheme.unmatchedColor || '').trim().toLowerCase();
+    if (unmatchedColor && !/^#[0-9a-f]{6}$/.test(unmatchedColor)) {
+      throw new Error(`Color scheme "${name}": unmatchedColor must be #RRGGBB`);
+    }
+
+    return {
+      // Ids from storage or an imported file end up in markup, so only ids made by createId() are kept
+      id: SCHEME_ID_PATTERN.test(scheme.id) ? scheme.id : this.createId(),
+      name,
+      rules,
+      unmatchedColor: unmatchedColor || null
+    };
+  }
+
+  createId() {
+    return `scheme_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Scheme as written to storage and JSON files
+   */
+  toJSON({ id, name, rules, unmatchedColor }) {
+    return { id, name, unmatchedColor, rules };
+  }
+
+  /**
+   * Replace all custom schemes (from the editor)
+   * @param {Array} schemes - Custom schemes
+   */
+  saveSchemes(schemes) {
+    const normalized = schemes.map(scheme => this.normalizeScheme(scheme));
+    const names = new Set();
+    normalized.forEach(scheme => {
+      const key = scheme.name.toLowerCase();
+      if (names.has(key) || key === STATUS_SCHEME.name.toLowerCase()) {
+        throw new Error(`There is already a color scheme named "${scheme.name}"`);
+      }
+      names.add(key);
+    });
+
+    this.schemes = normalized;
+    this.persist();
+    console.log(`💾 Saved ${normalized.length} custom color schemes`);
+  }
+
+  /**
+   * Read schemes from a JSON file: one scheme, a list of schemes, or { schemes: [...] }
+   * @param {File} file - JSON file
+   * @returns {Promise<Array>} Normalized schemes (not saved yet)
+   */
+  async readFile(file) {
+    const json = JSON.parse(await file.text());
+    const list = Array.isArray(json) ? json : Array.isArray(json.schemes) ? json.schemes : [json];
+    if (list.length === 0) throw new Error('The file has no color schemes');
+    return list.map(scheme => this.normalizeScheme(scheme));
+  }
+
+  /**
+   * Download a scheme as a JSON file
+   */
+  exportScheme(scheme) {
+    const json = JSON.stringify(this.toJSON(scheme), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${scheme.name.replace(/[^a-z0-9-_]+/gi, '_')}.color-scheme.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    console.log(`📤 Exported color scheme "${scheme.name}"`);
+  }
+
+  /**
+   * Day number of a condition date: YYYY-MM-DD, "today", or "today+N" / "today-N" (calendar days)
+   * @returns {number|null} Local days since 1970-01-01, or null if invalid
+   */
+  parseDateValue(value) {
+    const text = String(value).trim().toLowerCase();
+    const relative = text.match(/^today\s*(?:([+-])\s*(\d+))?$/);
+    if (relative) {
+      const offset = relative[1] ? parseInt(relative[2]) * (relative[1] === '-' ? -1 : 1) : 0;
+      return this.toDayNumber(new Date()) + offset;
+    }
+
+    const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) return null;
+    const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    return date.getMonth() === parseInt(match[2]) - 1 ? this.toDayNumber(date) : null;
+  }
+
+  toDayNumber(date) {
+    return Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())) / DAY_MS);
+  }
+
+  /**
+   * Whether a record matches one condition
+   * @param {object} condition - { field, operator, value }
+   * @param {object} record - Plot data
+   */
+  matchesCondition({ field, operator, value }, record) {
+    const type = RULE_FIELDS[field]?.type || 'text';
+    const raw = record[field];
+    const isEmpty = raw === null || raw === undefined || String(raw).trim() === '' ||
+      (type === 'date' && !(raw instanceof Date && !isNaN(raw))) ||
+      (type === 'number' && isNaN(parseFloat(raw)));
+
+    if (operator === 'empty') return isEmpty;
+    if (operator === 'notEmpty') return !isEmpty;
+    if (isEmpty) return operator === 'notEquals' || operator === 'notContains';
+
+    let actual;
+    let expected;
+    if (type === 'text') {
+      actual = String(raw).trim().toLowerCase();
+      expected = String(value).trim().toLowerCase();
+      switch (operator) {
+        case 'equals': return actual === expected;
+        case 'notEquals': return actual !== expected;
+        case 'contains': return actual.includes(expected);
+        case 'notContains': return !actual.includes(expected);
+        case 'oneOf': return expected.split(',').map(item => item.trim()).includes(actual);
+        default: return false;
+      }
+    }
+
+    if (type === 'date') {
+      actual = this.toDayNumber(raw);
+      expected = this.parseDateValue(value);
+    } else {
+      actual = parseFloat(raw);
+      expected = parseFloat(value);
+    }
+    if (expected === null || isNaN(expected)) return false;
+
+    switch (operator) {
+      case 'equals': return actual === expected;
+      case 'notEquals': return actual !== expected;
+      case 'gt': return actual > expected;
+      case 'gte': return actual >= expected;
+      case 'lt': return actual < expected;
+      case 'lte': return actual <= expected;
+      default: return false;
+    }
+  }
+
+  /**
+   * First rule of a scheme whose conditions all match a record (a rule without conditions matches everything)
+   * @returns {number} Rule index, or -1 if no rule matches
+   */
+  findRule(scheme, record) {
+    return scheme.rules.findIndex(rule => rule.conditions.every(condition => this.matchesCondition(condition, record)));
+  }
+
+  /**
+   * Viewer color of a #RRGGBB color
+   */
+  toColor(hex, alpha = 1.0) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: alpha };
+  }
+
+  /**
+   * HTML of one condition row in the editor
+   */
+  renderCondition(condition, ruleIndex, conditionIndex, readOnly) {
+    const fieldOptions = Object.entries(RULE_FIELDS).map(([key, { label }]) =>
+      `<option value="${key}" ${key === condition.field ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    const operatorOptions = Object.entries(this.getOperators(condition.field)).map(([key, label]) =>
+      `<option value="${key}" ${key === condition.operator ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    const type = RULE_FIELDS[condition.field].type;
+    const placeholder = type === 'date' ? 'YYYY-MM-DD or today+14' : type === 'number' ? '0' : (condition.operator === 'oneOf' ? 'A, B, C' : 'text');
+    const disabled = readOnly ? 'disabled' : '';
+
+    return `
+      <div class="color-rule-condition" data-rule="${ruleIndex}" data-condition="${conditionIndex}">
+        <select data-input="field" ${disabled}>${fieldOptions}</select>
+        <select data-input="operator" ${disabled}>${operatorOptions}</select>
+        <input type="text" data-input="value" value="${escapeHtml(condition.value)}" placeholder="${placeholder}"
+          ${VALUELESS_OPERATORS.includes(condition.operator) ? 'style="visibility: hidden;"' : ''} ${disabled}>
+        ${readOnly ? '' : '<button class="btn btn-secondary" data-action="remove-condition" title="Remove condition">✕</button>'}
+      </div>
+    `;
+  }
+
+  /**
+   * HTML of the selected scheme in the editor
+   */
+  renderSchemeEditor(scheme) {
+    const readOnly = Boolean(scheme.builtIn);
+    const disabled = readOnly ? 'disabled' : '';
+
+    const rules = scheme.rules.map((rule, ruleIndex) => `
+      <div class="color-rule" data-rule="${ruleIndex}">
+        <div class="color-rule-header">
+          <input type="color" data-input="color" value="${rule.color}" ${disabled}>
+          <input type="text" data-input="label" value="${escapeHtml(rule.label)}" placeholder="Legend label" ${disabled}>
+          ${readOnly ? '' : `
+            <button class="btn btn-secondary" data-action="move-up" title="Move up" ${ruleIndex === 0 ? 'disabled' : ''}>↑</button>
+            <button class="btn btn-secondary" data-action="move-down" title="Move down" ${ruleIndex === scheme.rules.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="btn btn-secondary" data-action="remove-rule" title="Remove rule">✕</button>
+          `}
+        </div>
+        ${rule.conditions.length === 0 ? '<div class="color-rule-hint">No conditions - matches every villa</div>' : ''}
+        ${rule.conditions.map((condition, conditionIndex) => this.renderCondition(condition, ruleIndex, conditionIndex, readOnly)).join('')}
+        ${readOnly ? '' : '<button class="btn btn-secondary color-rule-add" data-action="add-condition">+ Condition</button>'}
+      </div>
+    `).join('');
+
+    return `
+      <div class="color-rules-name">
+        <label>Name <input type="text" id="colorRulesName" value="${escapeHtml(scheme.name)}" ${disabled}></label>
+      </div>
+      ${readOnly ? '<div class="color-rule-hint">Built-in schemes cannot be changed - use Duplicate to make an editable copy.</div>' : ''}
+      <div class="color-rules-list">${rules || '<div class="color-rule-hint">No rules yet</div>'}</div>
+      ${readOnly ? '' : '<button class="btn btn-secondary" data-action="add-rule">+ Rule</button>'}
+      <div class="color-rules-unmatched">
+        <label>
+          <input type="checkbox" id="colorRulesUnmatched" ${scheme.unmatchedColor ? 'checked' : ''} ${disabled}>
+          Color villas no rule matches
+        </label>
+        <input type="color" id="colorRulesUnmatchedColor" value="${scheme.unmatchedColor || '#969696'}" ${disabled}>
+      </div>
+    `;
+  }
+
+  /**
+   * Dialog to create, edit, import and export color schemes
+   * @param {string} selectedId - Scheme to open first
+   * @returns {Promise<string|null>} Id of the scheme to apply, or null if cancelled
+   */
+  showEditor(selectedId = null) {
+    document.getElementById('colorRulesDialog')?.remove();
+
+    // Edit copies so Cancel leaves the saved schemes untouched
+    const drafts = this.schemes.map(scheme => JSON.parse(JSON.stringify(scheme)));
+    let current = this.getScheme(selectedId) ? selectedId : (drafts[0]?.id || STATUS_SCHEME.id);
+    const getCurrent = () => drafts.find(scheme => scheme.id === current) || STATUS_SCHEME;
+
+    const dialog = document.createElement('div');
+    dialog.id = 'colorRulesDialog';
+    dialog.className = 'column-mapping-overlay';
+    dialog.innerHTML = `
+      <div class="column-mapping-dialog color-rules-dialog">
+        <div class="column-mapping-header">
+          <span>🎨 Color Schemes</span>
+        </div>
+        <div class="column-mapping-body">
+          <div class="color-rules-toolbar">
+            <select id="colorRulesSelect"></select>
+            <button class="btn btn-secondary" data-action="new">New</button>
+            <button class="btn btn-secondary" data-action="duplicate">Duplicate</button>
+            <button class="btn btn-secondary" data-action="delete">Delete</button>
+            <button class="btn btn-secondary" data-action="import">Import JSON</button>
+            <button class="btn btn-secondary" data-action="export">Export JSON</button>
+            <input type="file" id="colorRulesFile" accept=".json" style="display: none;">
+          </div>
+          <div class="column-mapping-note">
+            Rules are checked from top to bottom; a villa gets the color of the first rule whose conditions all match.
+            Dates can be YYYY-MM-DD, today, or today+N / today-N days.
+          </div>
+          <div id="colorRulesEditor"></div>
+        </div>
+        <div class="column-mapping-footer">
+          <span class="column-mapping-status" id="colorRulesStatus"></span>
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="save">Save & Apply</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const select = dialog.querySelector('#colorRulesSelect');
+    const editor = dialog.querySelector('#colorRulesEditor');
+    const status = dialog.querySelector('#colorRulesStatus');
+
+    const render = () => {
+      select.innerHTML = [STATUS_SCHEME, ...drafts].map(scheme =>
+        `<option value="${escapeHtml(scheme.id)}" ${scheme.id === current ? 'selected' : ''}>${escapeHtml(scheme.name)}${scheme.builtIn ? ' (built-in)' : ''}</option>`
+      ).join('');
+      editor.innerHTML = this.renderSchemeEditor(getCurrent());
+      dialog.querySelector('[data-action="delete"]').disabled = Boolean(getCurrent().builtIn);
+    };
+
+    const addScheme = (scheme) => {
+      drafts.push(scheme);
+      current = scheme.id;
+      render();
+    };
+
+    select.addEventListener('change', () => {
+      current = select.value;
+      status.textContent = '';
+      render();
+    });
+
+    // Typing keeps focus, so text inputs update the draft without re-rendering
+    editor.addEventListener('input', (e) => {
+      const scheme = getCurrent();
+      if (scheme.builtIn) return;
+
+      if (e.target.id === 'colorRulesName') {
+        scheme.name = e.target.value;
+        select.options[select.selectedIndex].textContent = e.target.value;
+        return;
+      }
+      if (e.target.id === 'colorRulesUnmatchedColor') {
+        scheme.unmatchedColor = dialog.querySelector('#colorRulesUnmatched').checked ? e.target.value : null;
+        return;
+      }
+
+      const ruleEl = e.target.closest('[data-rule]');
+      if (!ruleEl) return;
+      const rule = scheme.rules[parseInt(ruleEl.dataset.rule)];
+      const input = e.target.dataset.input;
+      if (input === 'color' || input === 'label') {
+        rule[input] = e.target.value;
+      } else if (input === 'value') {
+        rule.conditions[parseInt(ruleEl.dataset.condition)].value = e.target.value;
+      }
+    });
+
+    editor.addEventListener('change', (e) => {
+      const scheme = getCurrent();
+      if (scheme.builtIn) return;
+
+      if (e.target.id === 'colorRulesUnmatched') {
+        scheme.unmatchedColor = e.target.checked ? dialog.querySelector('#colorRulesUnmatchedColor').value : null;
+        return;
+      }
+
+      const conditionEl = e.target.closest('[data-condition]');
+      if (!conditionEl) return;
+      const condition = scheme.rules[parseInt(conditionEl.dataset.rule)].conditions[parseInt(conditionEl.dataset.condition)];
+
+      if (e.target.dataset.input === 'field') {
+        condition.field = e.target.value;
+        // Keep the operator when the new field type supports it
+        if (!this.getOperators(condition.field)[condition.operator]) {
+          condition.operator = Object.keys(this.getOperators(condition.field))[0];
+        }
+        render();
+      } else if (e.target.dataset.input === 'operator') {
+        condition.operator = e.target.value;
+        render();
+      }
+    });
+
+    editor.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      const scheme = getCurrent();
+      if (!action || scheme.builtIn) return;
+
+      const ruleEl = e.target.closest('[data-rule]');
+      const ruleIndex = ruleEl ? parseInt(ruleEl.dataset.rule) : -1;
+
+      switch (action) {
+        case 'add-rule':
+          scheme.rules.push({ label: '', color: '#667eea', conditions: [{ field: 'status', operator: 'contains', value: '' }] });
+          break;
+        case 'remove-rule':
+          scheme.rules.splice(ruleIndex, 1);
+          break;
+        case 'move-up':
+        case 'move-down': {
+          const target = ruleIndex + (action === 'move-up' ? -1 : 1);
+          [scheme.rules[ruleIndex], scheme.rules[target]] = [scheme.rules[target], scheme.rules[ruleIndex]];
+          break;
+        }
+        case 'add-condition':
+          scheme.rules[ruleIndex].conditions.push({ field: 'status', operator: 'contains', value: '' });
+          break;
+        case 'remove-condition':
+          scheme.rules[ruleIndex].conditions.splice(parseInt(e.target.closest('[data-condition]').dataset.condition), 1);
+          break;
+        default:
+          return;
+      }
+      render();
+    });
+
+    dialog.querySelector('[data-action="new"]').addEventListener('click', () => {
+      addScheme({ id: this.createId(), name: `Scheme ${drafts.length + 1}`, rules: [], unmatchedColor: null });
+    });
+
+    dialog.querySelector('[data-action="duplicate"]').addEventListener('click', () => {
+      const copy = JSON.parse(JSON.stringify(getCurrent()));
+      delete copy.builtIn;
+      addScheme({ ...copy, id: this.createId(), name: `${getCurrent().name} copy` });
+    });
+
+    dialog.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      const index = drafts.findIndex(scheme => scheme.id === current);
+      if (index === -1 || !confirm(`Delete color scheme "${drafts[index].name}"?`)) return;
+      drafts.splice(index, 1);
+      current = drafts[0]?.id || STATUS_SCHEME.id;
+      render();
+    });
+
+    const fileInput = dialog.querySelector('#colorRulesFile');
+    dialog.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      try {
+        const imported = await this.readFile(file);
+        imported.forEach(scheme => {
+          // Imported copies never overwrite an existing scheme
+          if (scheme.id === STATUS_SCHEME.id || drafts.some(draft => draft.id === scheme.id)) scheme.id = this.createId();
+          addScheme(scheme);
+        });
+        status.textContent = `Imported ${imported.length} scheme${imported.length !== 1 ? 's' : ''} - Save to keep`;
+      } catch (error) {
+        status.textContent = `Import failed: ${error.message}`;
+      }
+    });
+
+    dialog.querySelector('[data-action="export"]').addEventListener('click', () => {
+      try {
+        this.exportScheme(this.normalizeScheme(getCurrent()));
+      } catch (error) {
+        status.textContent = error.message;
+      }
+    });
+
+    render();
+
+    return new Promise(resolve => {
+      dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+        dialog.remove();
+        resolve(null);
+      });
+
+      dialog.querySelector('[data-action="save"]').addEventListener('click', () => {
+        try {
+          this.saveSchemes(drafts);
+        } catch (error) {
+          status.textContent = error.message;
+          return;
+        }
+        dialog.remove();
+        resolve(current);
+      });
+    });
+  }
+}
+
+// Export singleton instance
+export const colorRuleManager = new ColorRuleManager();
+export default colorRuleManager;
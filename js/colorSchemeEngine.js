@@ -0,0 +1,277 @@
+/**
+ * Color Scheme Engine
+ * Shared base of colorManager (index.html - Excel mappings) and embeddedColorManager
+ * (dashboard.html - embedded properties). Color schemes are registered as plugins and read
+ * the model through a pluggable data source, so both apps offer the same schemes and legends.
+ *
+ * Data source (see colorDataSources.js):
+ *   { name, getPlotGroups() -> Map<plot, dbIds[]>, getPlotData(plot) -> schedule record or null,
+ *     getBlockGroups() -> Map<block, dbIds[]>, getComponentGroups() -> Map<component, dbIds[]> }
+ *
+ * Scheme plugin (see colorSchemes.js):
+ *   { id, label, group, apply(engine, value) -> legend items [{ label, color, count }],
+ *     match(value) (optional - extra scheme values it handles), options() (optional - those values
+ *     as [{ value, label }] for the Color Scheme dropdown) }
+ */
+
+import { viewerManager } from './viewer.js';
+import { escapeHtml } from './htmlUtils.js';
+
+// Registered scheme plugins, in registration (dropdown) order
+const SCHEMES = new Map(); // id -> plugin
+
+/**
+ * Register a color scheme plugin for every engine (a plugin with the same id is replaced)
+ * @param {object} plugin - { id, label, group, apply, match, options }
+ */
+export function registerColorScheme(plugin) {
+  if (!plugin || !plugin.id || typeof plugin.apply !== 'function') {
+    throw new Error('A color scheme plugin needs an id and an apply(engine, value) function');
+  }
+  SCHEMES.set(plugin.id, plugin);
+}
+
+/**
+ * Registered color scheme plugins
+ * @returns {Array<object>}
+ */
+export function getColorSchemes() {
+  return Array.from(SCHEMES.values());
+}
+
+export class ColorSchemeEngine {
+  /**
+   * @param {object} dataSource - Where the schemes read plots, groups and schedule data
+   */
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+    this.currentScheme = null;
+    this.colorMap = new Map(); // dbId -> color
+    this.legend = []; // Legend items of the current scheme
+    this.hoverInfo = new Map(); // dbId -> details shown by the hover tooltip of the current scheme
+    this.tooltip = null; // { element, render, handlers }
+  }
+
+  /**
+   * Plugin handling a color scheme value
+   * @param {string} value - Scheme id, or a value claimed by a plugin's match() (e.g. 'rules:<id>')
+   * @returns {object|null} Plugin
+   */
+  findScheme(value) {
+    return SCHEMES.get(value) || getColorSchemes().find(plugin => plugin.match && plugin.match(value)) || null;
+  }
+
+  /**
+   * Color Scheme dropdown entries of all registered plugins
+   * @returns {Array} [{ value, label, group }] - group is null for top-level options
+   */
+  getSchemeOptions() {
+    const options = [];
+    getColorSchemes().forEach(plugin => {
+      if (plugin.label) {
+        options.push({ value: plugin.id, label: plugin.label, group: plugin.group || null });
+      }
+      if (plugin.options) {
+        plugin.options().forEach(option => options.push({ group: plugin.group || null, ...option }));
+      }
+    });
+    return options;
+  }
+
+  /**
+   * Fill a Color Scheme <select> with "None" and the registered schemes, keeping its selection
+   * @param {HTMLSelectElement} select - Dropdown to fill
+   * @param {string} fallback - Value to select if the current one is gone
+   */
+  fillSchemeSelect(select, fallback = 'None') {
+    if (!select) return;
+
+    const current = select.value || fallback;
+    const options = this.getSchemeOptions();
+    const groups = new Map(); // group label -> options html
+
+    let html = '<option value="None">None</option>';
+    options.forEach(({ value, label, group }) => {
+      const option = `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+      if (!group) {
+        html += option;
+      } else {
+        groups.set(group, (groups.get(group) || '') + option);
+      }
+    });
+    groups.forEach((groupHtml, group) => {
+      html += `<optgroup label="${escapeHtml(group)}">${groupHtml}</optgroup>`;
+    });
+
+    select.innerHTML = html;
+    select.value = options.some(option => option.value === current) ? current : fallback;
+  }
+
+  /**
+   * Apply color scheme to the model
+   * @param {string} scheme - Registered scheme value ('Block', 'Component', 'Status', 'Delay', 'rules:<id>', ...) or 'None'
+   * @returns {Promise<void>}
+   */
+  async applyColorScheme(scheme) {
+    console.log(`🎨 Applying color scheme: ${scheme} (${this.dataSource.name})`);
+
+    // Clear existing colors
+    this.reset();
+
+    if (scheme === 'None') {
+      return;
+    }
+
+    const plugin = this.findScheme(scheme);
+    if (!plugin) {
+      console.warn(`Unknown color scheme: ${scheme}`);
+      return;
+    }
+
+    this.currentScheme = scheme;
+    this.legend = (await plugin.apply(this, scheme)) || [];
+    this.render();
+
+    console.log(`✅ Color scheme applied: ${this.colorMap.size} elements colored`);
+  }
+
+  /**
+   * Remove the colors, legend and tooltip of the current scheme
+   */
+  reset() {
+    viewerManager.clearColors();
+    this.colorMap.clear();
+    this.legend = [];
+    this.disableTooltip();
+    this.currentScheme = null;
+  }
+
+  /**
+   * Give elements (and their child fragments) a color - shown by render()
+   * @param {Array<number>} dbIds - Elements to color
+   * @param {object} color - { r, g, b, a }
+   * @param {object} info - Optional details for the hover tooltip
+   */
+  paint(dbIds, color, info = null) {
+    const tree = viewerManager.viewer?.model?.getInstanceTree();
+
+    const collectChildren = (nodeId) => {
+      this.colorMap.set(nodeId, color);
+      if (info) this.hoverInfo.set(nodeId, info);
+      if (tree) tree.enumNodeChildren(nodeId, collectChildren);
+    };
+    dbIds.forEach(collectChildren);
+  }
+
+  /**
+   * Push the color map to the viewer
+   */
+  render() {
+    for (const [dbId, color] of this.colorMap.entries()) {
+      viewerManager.setColor(dbId, color);
+    }
+
+    const viewer = viewerManager.viewer;
+    if (viewer) {
+      viewer.impl.invalidate(true, true, true);
+    }
+  }
+
+  /**
+   * Create a legend for the current color scheme
+   * @returns {Array} Legend items [{ label, color, count }]
+   */
+  getLegend() {
+    return this.legend;
+  }
+
+  /**
+   * Get color for a specific element
+   * @param {number} dbId - Element database ID
+   * @returns {object|null} Color object
+   */
+  getColorForElement(dbId) {
+    return this.colorMap.get(dbId);
+  }
+
+  /**
+   * Show details of the element under the mouse (elements painted with info)
+   * @param {Function} render - (info) => tooltip HTML
+   * @param {string} className - CSS class of the tooltip
+   */
+  enableTooltip(render, className) {
+    const viewer = viewerManager.viewer;
+    if (!viewer || !viewer.container || this.tooltip) return;
+
+    const element = document.createElement('div');
+    element.className = className;
+    viewer.container.appendChild(element);
+
+    let frame = null;
+    let lastEvent = null;
+    const move = (event) => {
+      lastEvent = event;
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        this.updateTooltip(lastEvent);
+      });
+    };
+    const leave = () => {
+      element.style.display = 'none';
+    };
+
+    viewer.container.addEventListener('mousemove', move);
+    viewer.container.addEventListener('mouseleave', leave);
+    this.tooltip = { element, render, handlers: { move, leave } };
+  }
+
+  /**
+   * Position and fill the tooltip for a mouse event
+   */
+  updateTooltip(event) {
+    const viewer = viewerManager.viewer;
+    if (!this.tooltip || !viewer) return;
+
+    const { element, render } = this.tooltip;
+    const rect = viewer.container.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+
+    const hit = viewer.clientToWorld(x, y, true);
+    const info = hit ? this.hoverInfo.get(hit.dbId) : null;
+    if (!info) {
+      element.style.display = 'none';
+      return;
+    }
+
+    element.innerHTML = render(info);
+    element.style.left = `${x + 14}px`;
+    element.style.top = `${y + 14}px`;
+    element.style.display = 'block';
+  }
+
+  /**
+   * Remove the hover tooltip and its viewer listeners
+   */
+  disableTooltip() {
+    const viewer = viewerManager.viewer;
+    if (this.tooltip) {
+      if (viewer?.container) {
+        viewer.container.removeEventListener('mousemove', this.tooltip.handlers.move);
+        viewer.container.removeEventListener('mouseleave', this.tooltip.handlers.leave);
+      }
+      this.tooltip.element.remove();
+    }
+    this.tooltip = null;
+    this.hoverInfo.clear();
+  }
+
+  /**
+   * Clear all colors
+   */
+  clear() {
+    this.reset();
+    console.log('🧹 Colors cleared');
+  }
+}
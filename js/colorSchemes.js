@@ -0,0 +1,397 @@
+/**
+ * Color Schemes Module
+ * Built-in color scheme plugins (Block, Component, Status, Delay and the custom rule schemes),
+ * registered with the color scheme engine, plus the status and delay helpers they share with
+ * the Gantt chart and the schedule validator.
+ */
+
+import { CONFIG, getBlockColor, getComponentColor } from './config.js';
+import { workCalendar } from './workCalendar.js';
+import { colorRuleManager } from './colorRules.js';
+import { registerColorScheme } from './colorSchemeEngine.js';
+
+// Color scheme values of custom rule schemes ("rules:<scheme id>")
+const RULE_SCHEME_PREFIX = 'rules:';
+
+// Legend label of villas that no rule of a rule scheme matches
+const UNMATCHED_LABEL = 'Other';
+
+// Share of a villa's work done once it reaches each status stage
+const STAGE_PROGRESS = {
+  'Raft Completed': 20,
+  'Pre-Cast in Progress': 35,
+  'Pre-Cast Completed': 50,
+  'MEP & Finishes in Progress': 70,
+  'MEP & Finishes Completed': 90,
+  'Villa Handover': 100
+};
+
+// Palette and range of the delay heatmap chosen by the user
+const DELAY_STORAGE_KEY = 'delay_heatmap_settings';
+
+class ColorSchemes {
+  constructor() {
+    this.delaySettings = this.loadDelaySettings();
+  }
+
+  /**
+   * Color elements by block number
+   * @param {ColorSchemeEngine} engine - Engine applying the scheme
+   * @returns {Array} Legend items
+   */
+  colorByBlock(engine) {
+    const legend = [];
+
+    engine.dataSource.getBlockGroups().forEach((dbIds, blockNumber) => {
+      const color = getBlockColor(blockNumber);
+      engine.paint(dbIds, color);
+      legend.push({ label: `Block ${blockNumber}`, color, count: dbIds.length });
+      console.log(`  Block ${blockNumber}: ${dbIds.length} elements`);
+    });
+
+    return legend;
+  }
+
+  /**
+   * Color elements by component type
+   * @param {ColorSchemeEngine} engine - Engine applying the scheme
+   * @returns {Array} Legend items
+   */
+  colorByComponent(engine) {
+    const legend = [];
+
+    engine.dataSource.getComponentGroups().forEach((dbIds, component) => {
+      const color = getComponentColor(component);
+      engine.paint(dbIds, color);
+      legend.push({ label: component, color, count: dbIds.length });
+      console.log(`  Component ${component}: ${dbIds.length} elements`);
+    });
+
+    return legend;
+  }
+
+  /**
+   * Find the construction stage of a status text (exact match, then by stage keywords)
+   * @param {string} status - Status text from the schedule
+   * @returns {string|null} Stage name (a key of STAGE_PROGRESS), or null if the status is not recognized
+   */
+  resolveStatusStage(status) {
+    const text = String(status || '').trim();
+    if (STAGE_PROGRESS[text] !== undefined) return text;
+
+    const statusLower = text.toLowerCase();
+    if (statusLower.includes('raft')) return 'Raft Completed';
+    if (statusLower.includes('pre-cast') && statusLower.includes('progress')) return 'Pre-Cast in Progress';
+    if (statusLower.includes('pre-cast') && statusLower.includes('completed')) return 'Pre-Cast Completed';
+    if (statusLower.includes('mep') && statusLower.includes('progress')) return 'MEP & Finishes in Progress';
+    if (statusLower.includes('mep') && statusLower.includes('completed')) return 'MEP & Finishes Completed';
+    if (statusLower.includes('handover')) return 'Villa Handover';
+
+    return null;
+  }
+
+  /**
+   * Find the color of a status text
+   * @param {string} status - Status text from the schedule
+   * @returns {object|null} Color, or null if the status is not recognized
+   */
+  resolveStatusColor(status) {
+    const scheme = colorRuleManager.getStatusScheme();
+    const index = colorRuleManager.findRule(scheme, { status });
+    return index >= 0 ? colorRuleManager.toColor(scheme.rules[index].color) : null;
+  }
+
+  /**
+   * Percent complete of a status text from its construction stage
+   * @returns {number|null} 0-100, or null if the status is not recognized
+   */
+  resolveStatusProgress(status) {
+    const stage = this.resolveStatusStage(status);
+    return stage ? STAGE_PROGRESS[stage] : null;
+  }
+
+  /**
+   * Custom rule scheme of a color scheme value
+   * @param {string} value - 'rules:<scheme id>'
+   * @returns {object|null} Scheme, or null if the value is not a custom scheme
+   */
+  getRuleScheme(value) {
+    if (!String(value).startsWith(RULE_SCHEME_PREFIX)) return null;
+    return colorRuleManager.getScheme(value.slice(RULE_SCHEME_PREFIX.length));
+  }
+
+  /**
+   * Color scheme dropdown options of the custom rule schemes
+   * @returns {Array} [{ value, label }]
+   */
+  getRuleSchemeOptions() {
+    return colorRuleManager.getSchemes()
+      .filter(scheme => !scheme.builtIn)
+      .map(scheme => ({ value: RULE_SCHEME_PREFIX + scheme.id, label: scheme.name }));
+  }
+
+  /**
+   * Color scheme value of a rule scheme id (the built-in Status scheme keeps its own value)
+   */
+  getRuleSchemeValue(schemeId) {
+    const scheme = colorRuleManager.getScheme(schemeId);
+    return scheme?.builtIn ? scheme.id : RULE_SCHEME_PREFIX + schemeId;
+  }
+
+  /**
+   * Plot data as seen by color rules: the schedule data plus plot number, percent complete and delay
+   */
+  getPlotRecord(plot, excelData) {
+    return {
+      ...excelData,
+      plot,
+      percentComplete: this.getPlotProgress(excelData),
+      delayDays: this.getPlotDelay(excelData)?.days ?? null
+    };
+  }
+
+  /**
+   * Legend label a rule scheme gives a plot - what colorByRules shows for it
+   * @param {object} scheme - Scheme from colorRuleManager
+   * @param {string} plot - Plot number
+   * @param {object} excelData - Plot data from the engine's data source
+   * @returns {string} Label of the first matching rule, or 'Other'
+   */
+  getRuleLabel(scheme, plot, excelData) {
+    const index = colorRuleManager.findRule(scheme, this.getPlotRecord(plot, excelData));
+    return index >= 0 ? scheme.rules[index].label : UNMATCHED_LABEL;
+  }
+
+  /**
+   * Color villas by the first matching rule of a rule scheme
+   * @param {ColorSchemeEngine} engine - Engine applying the scheme
+   * @param {object} scheme - Scheme from colorRuleManager
+   * @returns {Array} Legend items: one per rule that colored villas, plus unmatched villas
+   */
+  colorByRules(engine, scheme) {
+    if (!scheme) return [];
+    console.log(`🎨 Coloring by rule scheme "${scheme.name}" (${scheme.rules.length} rules)...`);
+
+    const ruleColors = scheme.rules.map(rule => colorRuleManager.toColor(rule.color));
+    const unmatchedColor = scheme.unmatchedColor ? colorRuleManager.toColor(scheme.unmatchedColor, 0.5) : null;
+    const counts = scheme.rules.map(() => 0);
+    let unmatched = 0;
+
+    for (const [plot, dbIds] of engine.dataSource.getPlotGroups()) {
+      const excelData = engine.dataSource.getPlotData(plot);
+      if (!excelData) continue;
+
+      const index = colorRuleManager.findRule(scheme, this.getPlotRecord(plot, excelData));
+      if (index >= 0) {
+        counts[index]++;
+      } else {
+        unmatched++;
+      }
+
+      const color = index >= 0 ? ruleColors[index] : unmatchedColor;
+      if (color) engine.paint(dbIds, color);
+    }
+
+    scheme.rules.forEach((rule, index) => console.log(`  ${rule.label}: ${counts[index]} villas`));
+    console.log(`  No matching rule: ${unmatched} villas`);
+
+    const legend = scheme.rules
+      .map((rule, index) => ({ label: rule.label, color: ruleColors[index], count: counts[index] }))
+      .filter(item => item.count > 0);
+    if (unmatchedColor && unmatched > 0) {
+      legend.push({ label: UNMATCHED_LABEL, color: unmatchedColor, count: unmatched });
+    }
+    return legend;
+  }
+
+  /**
+   * Percent complete of a plot from its status stage, then the Percent Complete column, then the actual finish
+   * @returns {number} 0-100
+   */
+  getPlotProgress(excelData) {
+    const stageProgress = this.resolveStatusProgress(excelData.status);
+    if (stageProgress !== null) return stageProgress;
+
+    const percent = parseFloat(excelData.percentComplete);
+    if (!isNaN(percent)) return Math.max(0, Math.min(100, percent));
+
+    return excelData.actualFinish ? 100 : 0;
+  }
+
+  /**
+   * Saved palette and range of the delay heatmap, or the CONFIG.DELAY_HEATMAP defaults
+   */
+  loadDelaySettings() {
+    const defaults = { palette: CONFIG.DELAY_HEATMAP.PALETTE, maxDays: CONFIG.DELAY_HEATMAP.MAX_DAYS };
+    try {
+      const saved = JSON.parse(localStorage.getItem(DELAY_STORAGE_KEY) || 'null');
+      if (!saved) return defaults;
+      return {
+        palette: CONFIG.DELAY_HEATMAP.PALETTES[saved.palette] ? saved.palette : defaults.palette,
+        maxDays: saved.maxDays > 0 ? saved.maxDays : defaults.maxDays
+      };
+    } catch (error) {
+      console.warn('⚠️ Saved delay heatmap settings are corrupted - using the defaults');
+      return defaults;
+    }
+  }
+
+  /**
+   * Change the delay heatmap palette and/or range (working days at which the end colors are reached)
+   * @param {object} settings - { palette, maxDays }
+   */
+  setDelaySettings({ palette, maxDays }) {
+    if (palette && CONFIG.DELAY_HEATMAP.PALETTES[palette]) {
+      this.delaySettings.palette = palette;
+    }
+    const days = parseInt(maxDays);
+    if (days > 0) {
+      this.delaySettings.maxDays = days;
+    }
+    localStorage.setItem(DELAY_STORAGE_KEY, JSON.stringify(this.delaySettings));
+  }
+
+  /**
+   * Color of a delay on the diverging palette (negative = ahead of plan, positive = behind)
+   * @param {number} days - Working days behind plan
+   * @returns {object} Color
+   */
+  getDelayColor(days) {
+    const { ahead, onPlan, behind } = CONFIG.DELAY_HEATMAP.PALETTES[this.delaySettings.palette];
+    const t = Math.max(-1, Math.min(1, days / this.delaySettings.maxDays));
+    const end = t < 0 ? ahead : behind;
+    const mix = (from, to) => Math.round(from + (to - from) * Math.abs(t));
+
+    return { r: mix(onPlan.r, end.r), g: mix(onPlan.g, end.g), b: mix(onPlan.b, end.b), a: 1.0 };
+  }
+
+  /**
+   * CSS gradient of the delay palette, from full ahead to full behind
+   */
+  getDelayGradient() {
+    const { ahead, onPlan, behind } = CONFIG.DELAY_HEATMAP.PALETTES[this.delaySettings.palette];
+    const rgb = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
+    return `linear-gradient(to right, ${rgb(ahead)}, ${rgb(onPlan)}, ${rgb(behind)})`;
+  }
+
+  /**
+   * Working days a plot is ahead of or behind plan: actual finish against planned finish once it has
+   * finished, otherwise the forecast finish from its progress (see workCalendar.forecast)
+   * @param {object} excelData - Plot schedule data from the data source
+   * @returns {object|null} { days, plannedFinish, finish, isActual }, or null without a planned finish
+   */
+  getPlotDelay(excelData) {
+    const { plannedStart, plannedFinish, actualStart, actualFinish } = excelData;
+    if (!plannedFinish) return null;
+
+    const percentComplete = this.getPlotProgress(excelData);
+
+    const { forecastFinish, lateDays } = workCalendar.forecast({
+      plannedStart, plannedFinish, actualStart, actualFinish, percentComplete
+    });
+
+    return {
+      days: lateDays,
+      plannedFinish,
+      finish: forecastFinish,
+      isActual: Boolean(actualFinish && percentComplete >= 100)
+    };
+  }
+
+  /**
+   * Color villas on a diverging heatmap by working days ahead of / behind plan,
+   * with the exact delay of the villa under the mouse in a tooltip
+   * @param {ColorSchemeEngine} engine - Engine applying the scheme
+   * @returns {Array} Legend items
+   */
+  colorByDelay(engine) {
+    console.log('🌡️ Coloring by delay using schedule data...');
+
+    const counts = { ahead: 0, onPlan: 0, behind: 0, noData: 0 };
+
+    for (const [plot, dbIds] of engine.dataSource.getPlotGroups()) {
+      const excelData = engine.dataSource.getPlotData(plot);
+      if (!excelData) continue;
+
+      const delay = this.getPlotDelay(excelData);
+      let color = CONFIG.DELAY_HEATMAP.NO_DATA;
+      if (!delay) {
+        counts.noData++;
+      } else {
+        color = this.getDelayColor(delay.days);
+        counts[delay.days < 0 ? 'ahead' : delay.days > 0 ? 'behind' : 'onPlan']++;
+      }
+
+      engine.paint(dbIds, color, delay ? { plot, ...delay } : null);
+    }
+
+    console.log(`✅ Delay heatmap: ${counts.behind} behind, ${counts.onPlan} on plan, ${counts.ahead} ahead, ${counts.noData} without dates`);
+
+    engine.enableTooltip(info => this.renderDelayTooltip(info), 'delay-tooltip');
+
+    const { maxDays } = this.delaySettings;
+    return [
+      { label: `Ahead of plan (up to ${maxDays}+ working days)`, color: this.getDelayColor(-maxDays), count: counts.ahead },
+      { label: 'On plan', color: this.getDelayColor(0), count: counts.onPlan },
+      { label: `Behind plan (up to ${maxDays}+ working days)`, color: this.getDelayColor(maxDays), count: counts.behind },
+      { label: 'No planned finish', color: CONFIG.DELAY_HEATMAP.NO_DATA, count: counts.noData }
+    ];
+  }
+
+  /**
+   * Tooltip content of a villa on the delay heatmap
+   * @param {object} info - { plot, days, plannedFinish, finish, isActual }
+   * @returns {string} HTML
+   */
+  renderDelayTooltip(info) {
+    const formatDate = (date) => date ? date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A';
+    const days = Math.abs(info.days);
+    const verdict = info.days === 0
+      ? 'On plan'
+      : `${days} working day${days !== 1 ? 's' : ''} ${info.days > 0 ? 'behind' : 'ahead of'} plan`;
+
+    return `
+      <strong>Plot ${info.plot}</strong>
+      <div class="delay-tooltip-days ${info.days > 0 ? 'behind' : info.days < 0 ? 'ahead' : ''}">${verdict}</div>
+      <div>Planned finish: ${formatDate(info.plannedFinish)}</div>
+      <div>${info.isActual ? 'Actual' : 'Forecast'} finish: ${formatDate(info.finish)}</div>
+    `;
+  }
+}
+
+// Export singleton instance
+export const colorSchemes = new ColorSchemes();
+export default colorSchemes;
+
+// Built-in schemes, in Color Scheme dropdown order
+registerColorScheme({
+  id: 'Block',
+  label: 'By Block',
+  apply: (engine) => colorSchemes.colorByBlock(engine)
+});
+
+registerColorScheme({
+  id: 'Component',
+  label: 'By Component',
+  apply: (engine) => colorSchemes.colorByComponent(engine)
+});
+
+registerColorScheme({
+  id: 'Status',
+  label: 'By Status',
+  apply: (engine) => colorSchemes.colorByRules(engine, colorRuleManager.getStatusScheme())
+});
+
+registerColorScheme({
+  id: 'Delay',
+  label: 'By Delay (heatmap)',
+  apply: (engine) => colorSchemes.colorByDelay(engine)
+});
+
+registerColorScheme({
+  id: 'rules',
+  group: 'Custom Rules',
+  match: (value) => Boolean(colorSchemes.getRuleScheme(value)),
+  options: () => colorSchemes.getRuleSchemeOptions(),
+  apply: (engine, value) => colorSchemes.colorByRules(engine, colorSchemes.getRuleScheme(value))
+});
@@ -0,0 +1,407 @@
+/**
+ * Column Mapping Wizard Module
+ * Lets the user pick the sheet, header row and column mapping of an uploaded workbook,
+ * auto-suggests the mapping and remembers it per workbook layout
+ */
+
+import { CONFIG } from './config.js';
+import { escapeHtml } from './htmlUtils.js';
+
+const STORAGE_KEY = 'schedule_column_mappings';
+
+// Rows searched for the header row and shown in the preview
+const HEADER_SEARCH_ROWS = 20;
+const PREVIEW_ROWS = 5;
+
+// Minimum similarity (0-1) for a header to be suggested for a field
+const MATCH_THRESHOLD = 0.7;
+
+// Other names planners use for the standard columns (Baseline Start/Finish are separate columns, never planned-date aliases)
+const COLUMN_ALIASES = {
+  BLOCK: ['Block No', 'Block Number', 'Blk'],
+  PLOT: ['Plot No', 'Plot Number', 'Plot #'],
+  VILLA: ['Villa Type', 'Type'],
+  COMPONENT: ['Activity', 'Activity Name', 'Work Item'],
+  PLANNED_START: ['Start', 'Plan Start', 'Start Date', 'Early Start', 'Target Start'],
+  PLANNED_FINISH: ['Finish', 'Plan Finish', 'Planned End', 'End Date', 'Finish Date', 'Early Finish', 'Target Finish'],
+  ACTUAL_START: ['Act Start', 'Actual Start Date', 'Started'],
+  ACTUAL_FINISH: ['Act Finish', 'Actual End', 'Actual Finish Date', 'Completed On'],
+  STATUS: ['Stage', 'Current Status', 'Progress Status'],
+  PRECASTER: ['Pre Caster', 'Precast Contractor', 'Precast Supplier'],
+  CONTRACTOR: ['Main Contractor', 'Subcontractor', 'Sub Contractor'],
+  PRECAST_FACTORY: ['Factory', 'Precast Plant'],
+  NEIGHBORHOOD: ['Neighbourhood', 'NBH'],
+  SECTOR: ['Zone'],
+  ACTIVITY_ID: ['Activity_ID', 'Activity Code', 'Task ID', 'ID'],
+  PREDECESSORS: ['Predecessor', 'Preds', 'Depends On']
+};
+
+class ColumnMappingWizard {
+  /**
+   * Normalize header text for comparison ("Planned  Start " → "plannedstart")
+   */
+  normalize(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity (0-1) between a header and a field's standard name or aliases
+   * @param {string} header - Header text from the workbook
+   * @param {string} field - CONFIG.EXCEL.COLUMNS key
+   * @returns {number} Best similarity
+   */
+  scoreHeader(header, field) {
+    const normalizedHeader = this.normalize(header);
+    if (!normalizedHeader) return 0;
+
+    const candidates = [CONFIG.EXCEL.COLUMNS[field], ...(COLUMN_ALIASES[field] || [])];
+
+    return Math.max(...candidates.map(candidate => {
+      const normalizedCandidate = this.normalize(candidate);
+      if (normalizedHeader === normalizedCandidate) return 1;
+
+      const distance = this.editDistance(normalizedHeader, normalizedCandidate);
+      return 1 - distance / Math.max(normalizedHeader.length, normalizedCandidate.length);
+    }));
+  }
+
+  /**
+   * Suggest a mapping: best-scoring header per field, each header used at most once
+   * @param {Array<string>} headers - Header row
+   * @returns {object} { FIELD: header text }
+   */
+  suggestMapping(headers) {
+    const pairs = [];
+
+    Object.keys(CONFIG.EXCEL.COLUMNS).forEach(field => {
+      headers.forEach(header => {
+        const score = this.scoreHeader(header, field);
+        if (score >= MATCH_THRESHOLD) pairs.push({ field, header, score });
+      });
+    });
+
+    pairs.sort((a, b) => b.score - a.score);
+
+    const mapping = {};
+    const usedHeaders = new Set();
+    pairs.forEach(({ field, header }) => {
+      if (mapping[field] || usedHeaders.has(header)) return;
+      mapping[field] = header;
+      usedHeaders.add(header);
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Guess the header row: the row (within the first rows) that matches the most fields
+   * @param {Array<Array>} grid - Sheet rows as arrays
+   * @returns {number} 0-based row index
+   */
+  detectHeaderRow(grid) {
+    let bestRow = 0;
+    let bestCount = 0;
+
+    grid.slice(0, HEADER_SEARCH_ROWS).forEach((cells, index) => {
+      const count = Object.keys(this.suggestMapping(this.getHeaders(grid, index))).length;
+      if (count > bestCount) {
+        bestCount = count;
+        bestRow = index;
+      }
+    });
+
+    return bestRow;
+  }
+
+  /**
+   * Header texts of a row
+   */
+  getHeaders(grid, headerRow) {
+    return (grid[headerRow] || []).map(header => String(header).trim()).filter(Boolean);
+  }
+
+  /**
+   * Layout key of a header row - same headers (in any order) = same layout
+   * @param {Array<string>} headers - Header row
+   * @returns {string} Layout key
+   */
+  getLayoutKey(headers) {
+    const signature = headers.map(header => this.normalize(header)).filter(Boolean).sort().join('|');
+
+    // djb2 hash keeps the key short
+    let hash = 5381;
+    for (let i = 0; i < signature.length; i++) {
+      hash = ((hash << 5) + hash + signature.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(16);
+  }
+
+  /**
+   * Saved mappings by layout key
+   * @returns {object}
+   */
+  loadSavedMappings() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+      console.warn('⚠️ Saved column mappings are corrupted - ignoring them');
+      return {};
+    }
+  }
+
+  /**
+   * Remember a mapping for its workbook layout
+   * @param {object} mapping - { sheetName, headerRow, columns, layoutKey }
+   */
+  saveMapping(mapping) {
+    const saved = this.loadSavedMappings();
+    saved[mapping.layoutKey] = { ...mapping, savedAt: new Date().toISOString() };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    console.log(`💾 Saved column mapping for layout ${mapping.layoutKey}`);
+  }
+
+  /**
+   * Find a saved mapping that fits one of the workbook's sheets
+   * @param {object} workbook - SheetJS workbook
+   * @returns {object|null} Saved mapping
+   */
+  findSavedMapping(workbook) {
+    const saved = this.loadSavedMappings();
+    if (Object.keys(saved).length === 0) return null;
+
+    for (const sheetName of workbook.SheetNames) {
+      const grid = this.readGrid(workbook, sheetName);
+
+      for (let row = 0; row < Math.min(grid.length, HEADER_SEARCH_ROWS); row++) {
+        const match = saved[this.getLayoutKey(this.getHeaders(grid, row))];
+        if (match) {
+          return { ...match, sheetName, headerRow: row };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sheet contents as arrays of cell values
+   */
+  readGrid(workbook, sheetName) {
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+  }
+
+  /**
+   * Show the wizard for a workbook
+   * @param {File} file - Excel file
+   * @returns {Promise<object|null>} { sheetName, headerRow, columns, layoutKey }, or null if cancelled
+   */
+  async open(file) {
+    const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+    const saved = this.findSavedMapping(workbook);
+
+    const state = {
+      workbook,
+      sheetName: saved?.sheetName || workbook.SheetNames[0],
+      headerRow: 0,
+      columns: {},
+      usedSaved: !!saved
+    };
+
+    if (saved) {
+      state.headerRow = saved.headerRow;
+      state.columns = { ...saved.columns };
+      console.log(`🗺️ Using saved column mapping for layout ${saved.layoutKey}`);
+    } else {
+      this.autoDetect(state);
+    }
+
+    return new Promise(resolve => this.render(file, state, resolve));
+  }
+
+  /**
+   * Detect the header row and suggest a mapping for the selected sheet
+   */
+  autoDetect(state) {
+    const grid = this.readGrid(state.workbook, state.sheetName);
+    state.headerRow = this.detectHeaderRow(grid);
+    state.columns = this.suggestMapping(this.getHeaders(grid, state.headerRow));
+  }
+
+  /**
+   * Render (or re-render) the wizard dialog
+   * @param {File} file - Workbook being mapped
+   * @param {object} state - Wizard state
+   * @param {Function} resolve - Resolves open()
+   */
+  render(file, state, resolve) {
+    document.getElementById('columnMappingWizard')?.remove();
+
+    const grid = this.readGrid(state.workbook, state.sheetName);
+    const headers = this.getHeaders(grid, state.headerRow);
+    const required = CONFIG.EXCEL.REQUIRED_COLUMNS;
+    const missing = required.filter(field => !state.columns[field]);
+
+    const sheetOptions = state.workbook.SheetNames.map(name =>
+      `<option value="${escapeHtml(name)}" ${name === state.sheetName ? 'selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+
+    const headerRowOptions = grid.slice(0, HEADER_SEARCH_ROWS).map((cells, index) => {
+      const sample = cells.filter(cell => cell !== '').slice(0, 4).join(', ');
+      return `<option value="${index}" ${index === state.headerRow ? 'selected' : ''}>Row ${index + 1}: ${escapeHtml(sample.slice(0, 60))}</option>`;
+    }).join('');
+
+    const mappingRows = Object.entries(CONFIG.EXCEL.COLUMNS).map(([field, standardName]) => {
+      const options = headers.map(header =>
+        `<option value="${escapeHtml(header)}" ${state.columns[field] === header ? 'selected' : ''}>${escapeHtml(header)}</option>`
+      ).join('');
+      const isRequired = required.includes(field);
+
+      return `
+        <tr class="${isRequired && !state.columns[field] ? 'column-mapping-missing' : ''}">
+          <td>${escapeHtml(standardName)}${isRequired ? ' <span class="column-mapping-required">*</span>' : ''}</td>
+          <td>
+            <select data-field="${field}">
+              <option value="">— not in this file —</option>
+              ${options}
+            </select>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    // Preview of the first data rows, showing the mapped fields
+    const mappedFields = Object.entries(state.columns).filter(([, header]) => headers.includes(header));
+    const headerCells = (grid[state.headerRow] || []).map(header => String(header).trim());
+    const previewRows = grid.slice(state.headerRow + 1)
+      .filter(cells => cells.some(cell => cell !== ''))
+      .slice(0, PREVIEW_ROWS)
+      .map(cells => `<tr>${mappedFields.map(([, header]) =>
+        `<td>${escapeHtml(cells[headerCells.indexOf(header)])}</td>`).join('')}</tr>`)
+      .join('');
+
+    const dialog = document.createElement('div');
+    dialog.id = 'columnMappingWizard';
+    dialog.className = 'column-mapping-overlay';
+    dialog.innerHTML = `
+      <div class="column-mapping-dialog">
+        <div class="column-mapping-header">
+          <span>🗺️ Map Columns: ${escapeHtml(file.name)}</span>
+          <button class="schedule-diff-btn" data-action="cancel" title="Cancel">✕</button>
+        </div>
+        <div class="column-mapping-body">
+          ${state.usedSaved ? '<div class="column-mapping-note">✅ Using the saved mapping for this workbook layout</div>' : ''}
+          <div class="column-mapping-source">
+            <label>Sheet <select data-role="sheet">${sheetOptions}</select></label>
+            <label>Header row <select data-role="headerRow">${headerRowOptions}</select></label>
+            <button class="btn btn-secondary" data-action="suggest">✨ Auto-suggest</button>
+          </div>
+          <table class="column-mapping-table">
+            <thead><tr><th>Dashboard field</th><th>Workbook column</th></tr></thead>
+            <tbody>${mappingRows}</tbody>
+          </table>
+          <h4>Preview (first ${PREVIEW_ROWS} rows)</h4>
+          <div class="column-mapping-preview">
+            ${mappedFields.length === 0
+              ? '<p>No columns mapped yet</p>'
+              : `<table>
+                  <thead><tr>${mappedFields.map(([field]) => `<th>${escapeHtml(CONFIG.EXCEL.COLUMNS[field])}</th>`).join('')}</tr></thead>
+                  <tbody>${previewRows}</tbody>
+                </table>`}
+          </div>
+        </div>
+        <div class="column-mapping-footer">
+          <span class="column-mapping-status">
+            ${missing.length > 0
+              ? `⚠️ Map the required columns: ${missing.map(field => CONFIG.EXCEL.COLUMNS[field]).join(', ')}`
+              : `${Object.keys(state.columns).length} columns mapped`}
+          </span>
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="accept" ${missing.length > 0 ? 'disabled' : ''}>Use Mapping</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const rerender = () => this.render(file, state, resolve);
+
+    dialog.querySelector('[data-role="sheet"]').addEventListener('change', (e) => {
+      state.sheetName = e.target.value;
+      state.usedSaved = false;
+      this.autoDetect(state);
+      rerender();
+    });
+
+    dialog.querySelector('[data-role="headerRow"]').addEventListener('change', (e) => {
+      state.headerRow = parseInt(e.target.value, 10);
+      state.usedSaved = false;
+      state.columns = this.suggestMapping(this.getHeaders(this.readGrid(state.workbook, state.sheetName), state.headerRow));
+      rerender();
+    });
+
+    dialog.querySelector('[data-action="suggest"]').addEventListener('click', () => {
+      state.usedSaved = false;
+      state.columns = this.suggestMapping(headers);
+      rerender();
+    });
+
+    dialog.querySelectorAll('select[data-field]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        if (e.target.value) {
+          state.columns[e.target.dataset.field] = e.target.value;
+        } else {
+          delete state.columns[e.target.dataset.field];
+        }
+        rerender();
+      });
+    });
+
+    dialog.querySelectorAll('[data-action="cancel"]').forEach(button => {
+      button.addEventListener('click', () => {
+        dialog.remove();
+        resolve(null);
+      });
+    });
+
+    dialog.querySelector('[data-action="accept"]').addEventListener('click', () => {
+      const mapping = {
+        sheetName: state.sheetName,
+        headerRow: state.headerRow,
+        columns: { ...state.columns },
+        layoutKey: this.getLayoutKey(headers)
+      };
+
+      this.saveMapping(mapping);
+      dialog.remove();
+      resolve(mapping);
+    });
+  }
+}
+
+// Export singleton instance
+export const columnMappingWizard = new ColumnMappingWizard();
+export default columnMappingWizard;
@@ -3,6 +3,8 @@
  * Central configuration for the entire application
  */
 
+import { workCalendar } from './workCalendar.js';
+
 export const CONFIG = {
   // Server endpoints
   SERVER_URL: 'http://localhost:3000',
@@ -72,8 +74,15 @@ export const CONFIG = {
       ACTUAL_START: 'Actual Start',
       ACTUAL_FINISH: 'Actual Finish',
       STATUS: 'Status',
-      PRECASTER: 'PreCaster'
+      PRECASTER: 'PreCaster',
+      CONTRACTOR: 'Contractor',
+      PRECAST_FACTORY: 'Precast Factory',
+      ACTIVITY_ID: 'Activity ID',
+      PREDECESSORS: 'Predecessors'
     },
+
+    // Columns that must be mapped before a workbook is accepted
+    REQUIRED_COLUMNS: ['BLOCK', 'PLANNED_START', 'PLANNED_FINISH'],
     
     // Key field to match with model elements
     KEY_FIELD: 'Plot' // or 'Villa' depending on your model
@@ -94,12 +103,52 @@ export const CONFIG = {
     VILLA: ['Element/Villa', 'Villa']
   },
 
+  // Rule set used by embeddedDataManager.analyzeModel to turn model properties into element
+  // fields (block, plot, villaType, ...). Path is relative to the app root; see test-extraction-rules.html
+  EXTRACTION_RULES_URL: 'config/extraction-rules.json',
+
+  // Project work calendar defaults - used until an admin saves a calendar in the Gantt "Calendar"
+  // dialog, which is shared with every user through /api/schedules/calendar
+  // Used for durations, slip, delay and look-ahead; the Gantt timeline itself stays in calendar days
+  CALENDAR: {
+    WORKDAYS: [0, 1, 2, 3, 4], // Sunday to Thursday (0 = Sunday ... 6 = Saturday)
+    HOLIDAYS: [], // [{ date: 'YYYY-MM-DD', name }]
+    SHUTDOWNS: [] // [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', name }]
+  },
+
+  // Delay heatmap color scheme: villas are shaded by working days ahead of / behind plan
+  DELAY_HEATMAP: {
+    MAX_DAYS: 30, // Default working days at which the palette reaches its end colors
+    PALETTE: 'green-red', // Default palette (changed in the Visualization panel and kept per browser)
+    PALETTES: {
+      'green-red': {
+        label: 'Green – Red',
+        ahead: { r: 26, g: 152, b: 80 },
+        onPlan: { r: 255, g: 255, b: 191 },
+        behind: { r: 215, g: 48, b: 39 }
+      },
+      'blue-red': {
+        label: 'Blue – Red',
+        ahead: { r: 33, g: 102, b: 172 },
+        onPlan: { r: 247, g: 247, b: 247 },
+        behind: { r: 178, g: 24, b: 43 }
+      },
+      'purple-orange': {
+        label: 'Purple – Orange (colour-blind safe)',
+        ahead: { r: 94, g: 60, b: 153 },
+        onPlan: { r: 247, g: 247, b: 247 },
+        behind: { r: 230, g: 97, b: 1 }
+      }
+    },
+    NO_DATA: { r: 150, g: 150, b: 150, a: 0.5 } // Villas without a planned finish
+  },
+
   // UI Configuration
   UI: {
     SHOW_SEARCH: true,
     SHOW_LEGEND: true,
     SHOW_STATS: true,
-    AUTO_COLOR_BY: 'Block' // 'Block', 'Component', 'Status', or null
+    AUTO_COLOR_BY: 'Block' // 'Block', 'Component', 'Status', 'Delay', or null
   }
 };
 
@@ -126,13 +175,13 @@ export function getComponentColor(component) {
 }
 
 // Helper to calculate status based on dates
+// Delayed = at least one working day (project calendar) past the planned finish
 export function calculateStatus(plannedStart, plannedFinish, actualStart, actualFinish) {
-  const now = new Date();
   const planned = new Date(plannedFinish);
   
   if (actualFinish) return 'COMPLETED';
   if (actualStart) {
-    return now > planned ? 'DELAYED' : 'IN_PROGRESS';
+    return workCalendar.isLate(planned) ? 'DELAYED' : 'IN_PROGRESS';
   }
   return 'NOT_STARTED';
 }
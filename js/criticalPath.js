@@ -0,0 +1,220 @@
+/**
+ * Critical Path Module
+ * Rolls activity relationships up to block links and runs a forward/backward pass
+ * over the block schedule to find total float and the critical path
+ */
+
+import { workCalendar } from './workCalendar.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Float (days) at or below which a block is critical
+const CRITICAL_FLOAT_DAYS = 0;
+
+class CriticalPath {
+  constructor() {
+    this.lastResult = null;
+  }
+
+  /**
+   * Date → working day number on the project calendar (so durations, lags and float
+   * are in working days, like P6 / MS Project lags)
+   */
+  toDay(date) {
+    return workCalendar.toWorkdayIndex(date);
+  }
+
+  /**
+   * Date moved by a number of days (keeps the time of day of the planned dates)
+   */
+  addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Turn activity relationships into links between blocks.
+   * Activity IDs are looked up in the parsed rows; an ID that is itself a block number
+   * (Excel sheets without Activity IDs) links that block directly.
+   * Links inside one block are dropped, and repeated links keep their largest lag.
+   * @param {Array} dependencies - [{ predecessor, successor, type, lagDays }]
+   * @param {Array} parsedData - DataParser.parsedData
+   * @param {Map} scheduleByBlock - DataParser.scheduleByBlock
+   * @returns {Array} [{ from, to, type, lagDays }] by block key
+   */
+  buildBlockLinks(dependencies, parsedData, scheduleByBlock) {
+    const blockByActivity = new Map();
+    (parsedData || []).forEach(row => {
+      const activityId = String(row.activityId ?? '').trim();
+      const block = String(row.block ?? '').trim();
+      if (activityId && block) blockByActivity.set(activityId, block);
+    });
+
+    const resolveBlock = (id) => {
+      const key = String(id ?? '').trim();
+      if (blockByActivity.has(key)) return blockByActivity.get(key);
+      return scheduleByBlock.has(key) ? key : null;
+    };
+
+    const links = new Map();
+    let unresolved = 0;
+
+    (dependencies || []).forEach(dependency => {
+      const from = resolveBlock(dependency.predecessor);
+      const to = resolveBlock(dependency.successor);
+
+      if (!from || !to) {
+        unresolved++;
+        return;
+      }
+      if (from === to) return;
+
+      const type = dependency.type || 'FS';
+      const lagDays = Number(dependency.lagDays) || 0;
+      const key = `${from}|${to}|${type}`;
+      const existing = links.get(key);
+      if (!existing || lagDays > existing.lagDays) {
+        links.set(key, { from, to, type, lagDays });
+      }
+    });
+
+    if (unresolved > 0) {
+      console.warn(`⚠️ Critical path: ${unresolved} relationships refer to activities or blocks that are not in the schedule`);
+    }
+
+    return Array.from(links.values());
+  }
+
+  /**
+   * Forward/backward pass over the block schedule.
+   * Each block keeps its planned duration in working days. Blocks without predecessors start on their
+   * planned start; every other block starts as early as its predecessors allow.
+   * @param {Map} scheduleByBlock - blockKey → { plannedStart, plannedFinish }
+   * @param {Array} links - Block links from buildBlockLinks()
+   * @returns {object} { nodes, criticalBlocks, projectFinish, cyclicBlocks }
+   */
+  analyze(scheduleByBlock, links) {
+    const nodes = new Map();
+
+    for (const [blockKey, blockData] of scheduleByBlock) {
+      if (!blockData.plannedStart || !blockData.plannedFinish) continue;
+      const start = this.toDay(blockData.plannedStart);
+      const finish = this.toDay(blockData.plannedFinish);
+      if (isNaN(start) || isNaN(finish)) continue;
+
+      nodes.set(blockKey, {
+        duration: Math.max(0, finish - start),
+        plannedStart: blockData.plannedStart,
+        plannedStartDay: start,
+        predecessors: [],
+        successors: []
+      });
+    }
+
+    links.forEach(link => {
+      if (!nodes.has(link.from) || !nodes.has(link.to)) return;
+      nodes.get(link.to).predecessors.push(link);
+      nodes.get(link.from).successors.push(link);
+    });
+
+    // Topological order (Kahn); blocks left over are part of a loop
+    const incoming = new Map(Array.from(nodes, ([key, node]) => [key, node.predecessors.length]));
+    const queue = Array.from(incoming).filter(([, count]) => count === 0).map(([key]) => key);
+    const order = [];
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      order.push(key);
+      nodes.get(key).successors.forEach(link => {
+        incoming.set(link.to, incoming.get(link.to) - 1);
+        if (incoming.get(link.to) === 0) queue.push(link.to);
+      });
+    }
+
+    const ordered = new Set(order);
+    const cyclicBlocks = Array.from(nodes.keys()).filter(key => !ordered.has(key));
+    if (cyclicBlocks.length > 0) {
+      console.warn(`⚠️ Critical path: relationships loop between blocks ${cyclicBlocks.join(', ')} - these blocks are left out`);
+    }
+
+    // Forward pass: earliest start allowed by the predecessors
+    order.forEach(key => {
+      const node = nodes.get(key);
+      node.earlyStart = node.predecessors.length > 0 ? -Infinity : node.plannedStartDay;
+
+      node.predecessors.forEach(link => {
+        const pred = nodes.get(link.from);
+
+        let constraint;
+        switch (link.type) {
+          case 'SS': constraint = pred.earlyStart + link.lagDays; break;
+          case 'FF': constraint = pred.earlyFinish + link.lagDays - node.duration; break;
+          case 'SF': constraint = pred.earlyStart + link.lagDays - node.duration; break;
+          default: constraint = pred.earlyFinish + link.lagDays;
+        }
+        node.earlyStart = Math.max(node.earlyStart, constraint);
+      });
+
+      node.earlyFinish = node.earlyStart + node.duration;
+    });
+
+    const lastBlock = order.reduce((last, key) =>
+      (!last || nodes.get(key).earlyFinish > nodes.get(last).earlyFinish ? key : last), null);
+    const projectFinish = lastBlock ? nodes.get(lastBlock).earlyFinish : null;
+
+    // Backward pass: latest finish that does not delay any successor or the project
+    [...order].reverse().forEach(key => {
+      const node = nodes.get(key);
+      node.lateFinish = projectFinish;
+
+      node.successors.forEach(link => {
+        const succ = nodes.get(link.to);
+        if (!ordered.has(link.to)) return;
+
+        let constraint;
+        switch (link.type) {
+          case 'SS': constraint = succ.lateStart - link.lagDays + node.duration; break;
+          case 'FF': constraint = succ.lateFinish - link.lagDays; break;
+          case 'SF': constraint = succ.lateFinish - link.lagDays + node.duration; break;
+          default: constraint = succ.lateStart - link.lagDays;
+        }
+        node.lateFinish = Math.min(node.lateFinish, constraint);
+      });
+
+      node.lateStart = node.lateFinish - node.duration;
+    });
+
+    const results = new Map();
+    order.forEach(key => {
+      const node = nodes.get(key);
+      const totalFloat = Math.round(node.lateStart - node.earlyStart);
+      // Working day → date, keeping the time of day of the planned dates
+      const startMidnight = workCalendar.dateOfDay(workCalendar.dayNumber(node.plannedStart));
+      const dateOf = (day) => this.addDays(node.plannedStart,
+        Math.round((workCalendar.fromWorkdayIndex(day) - startMidnight) / DAY_MS));
+      results.set(key, {
+        earlyStart: dateOf(node.earlyStart),
+        earlyFinish: dateOf(node.earlyFinish),
+        lateStart: dateOf(node.lateStart),
+        lateFinish: dateOf(node.lateFinish),
+        totalFloat,
+        critical: totalFloat <= CRITICAL_FLOAT_DAYS
+      });
+    });
+
+    const criticalBlocks = order.filter(key => results.get(key).critical);
+
+    this.lastResult = {
+      nodes: results,
+      criticalBlocks,
+      projectFinish: lastBlock ? results.get(lastBlock).earlyFinish : null,
+      cyclicBlocks
+    };
+
+    console.log(`🛤️ Critical path: ${criticalBlocks.length} of ${results.size} blocks critical (${links.length} block links)`);
+    return this.lastResult;
+  }
+}
+
+// Export singleton instance
+export const criticalPath = new CriticalPath();
+export default criticalPath;
@@ -4,22 +4,86 @@
  */
 
 import { CONFIG } from './config.js';
+import { xerParser } from './xerParser.js';
+import { mspdiParser } from './mspdiParser.js';
 
-class DataParser {
+export class DataParser {
   constructor() {
     this.rawData = null;
     this.parsedData = null;
     this.dataByPlot = new Map();
     this.dataByBlock = new Map();
     this.scheduleByBlock = new Map(); // New: Store schedule data per block
+    this.dependencies = []; // Activity relationships (XER / MS Project imports, or the Excel Predecessors column)
+    this.source = null; // { fileName, workbook, sheetName, headerRow, columnMapping } of an Excel schedule, for write-back
+  }
+
+  /**
+   * Parse a schedule file, picking the reader from the file extension
+   * @param {File} file - Excel (.xlsx/.xls), Primavera P6 (.xer) or MS Project XML (.xml) file
+   * @param {object} options - { columnMapping } for Excel files (see columnMappingWizard)
+   * @returns {Promise<Array>} Parsed data array
+   */
+  async parseScheduleFile(file, options = {}) {
+    if (/\.xer$/i.test(file.name || '')) {
+      return this.parseXerFile(file);
+    }
+    if (/\.xml$/i.test(file.name || '')) {
+      return this.parseMspdiFile(file);
+    }
+    return this.parseExcelFile(file, options);
+  }
+
+  /**
+   * Load rows from a native schedule reader
+   * Activities become rows with the same columns as the Excel schedule,
+   * so scheduleByBlock and dataByPlot are filled the same way.
+   * @param {object} imported - { rows, dependencies } from xerParser / mspdiParser
+   * @returns {Array} Parsed data array
+   */
+  loadImportedSchedule({ rows, dependencies }) {
+    this.rawData = rows;
+    this.dependencies = dependencies;
+    this.source = null;
+    this.processData();
+    return this.parsedData;
+  }
+
+  /**
+   * Parse a Primavera P6 XER export
+   * @param {File} file - XER file
+   * @returns {Promise<Array>} Parsed data array
+   */
+  async parseXerFile(file) {
+    try {
+      return this.loadImportedSchedule(await xerParser.parseFile(file));
+    } catch (error) {
+      console.error('❌ XER parsing error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a Microsoft Project XML (MSPDI) file
+   * @param {File} file - .xml file
+   * @returns {Promise<Array>} Parsed data array
+   */
+  async parseMspdiFile(file) {
+    try {
+      return this.loadImportedSchedule(await mspdiParser.parseFile(file));
+    } catch (error) {
+      console.error('❌ MS Project XML parsing error:', error);
+      throw error;
+    }
   }
 
   /**
    * Parse Excel file using SheetJS
    * @param {File} file - Excel file from input
+   * @param {object} options - { columnMapping: { sheetName, headerRow, columns } } chosen in the mapping wizard
    * @returns {Promise<Array>} Parsed data array
    */
-  async parseExcelFile(file) {
+  async parseExcelFile(file, { columnMapping = null } = {}) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       
@@ -31,11 +95,10 @@ class DataParser {
           console.log('📊 EXCEL FILE ANALYSIS:');
           console.log('Sheet names:', workbook.SheetNames);
           
-          // Get first sheet
-          const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-          
-          // Convert to JSON
-          const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+          // Use the mapped sheet/header row, or the first sheet with headers in row 1
+          const jsonData = columnMapping
+            ? this.applyColumnMapping(workbook, columnMapping)
+            : XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
           
           console.log(`✅ Parsed ${jsonData.length} rows from Excel`);
           
@@ -64,6 +127,16 @@ class DataParser {
           
           this.rawData = jsonData;
           this.processData();
+          this.dependencies = this.readPredecessorColumn();
+          this.source = {
+            fileName: file.name,
+            workbook,
+            sheetName: columnMapping && workbook.SheetNames.includes(columnMapping.sheetName)
+              ? columnMapping.sheetName
+              : workbook.SheetNames[0],
+            headerRow: columnMapping?.headerRow || 0,
+            columnMapping
+          };
           resolve(this.parsedData);
           
         } catch (error) {
@@ -81,21 +154,84 @@ class DataParser {
     });
   }
 
+  /**
+   * Read rows from a workbook using a column mapping.
+   * Mapped columns are renamed to the standard names in CONFIG.EXCEL.COLUMNS
+   * so the rest of the parser (and getColumn) works unchanged.
+   * @param {object} workbook - SheetJS workbook
+   * @param {object} columnMapping - { sheetName, headerRow (0-based), columns: { FIELD: header text } }
+   * @returns {Array<object>} Rows keyed by standard column names (unmapped columns keep their header)
+   */
+  applyColumnMapping(workbook, columnMapping) {
+    const sheetName = workbook.SheetNames.includes(columnMapping.sheetName)
+      ? columnMapping.sheetName
+      : workbook.SheetNames[0];
+    const sheet = workbook.Sheets[sheetName];
+    const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+    const firstRow = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r : 0;
+    const headerRow = columnMapping.headerRow || 0;
+    const headers = (grid[headerRow] || []).map(header => String(header).trim());
+
+    // Resolve mapped header names to column indexes (case-insensitive)
+    const fieldIndexes = [];
+    Object.entries(columnMapping.columns || {}).forEach(([field, header]) => {
+      const standardName = CONFIG.EXCEL.COLUMNS[field];
+      const index = headers.findIndex(h => h.toLowerCase() === String(header).trim().toLowerCase());
+
+      if (!standardName) return;
+      if (index === -1) {
+        console.warn(`⚠️ Mapped column "${header}" (${standardName}) not found in sheet "${sheetName}"`);
+        return;
+      }
+      fieldIndexes.push([standardName, index]);
+    });
+
+    console.log(`🗺️ Applying column mapping: sheet "${sheetName}", header row ${headerRow + 1}, ${fieldIndexes.length} mapped columns`);
+
+    const rows = [];
+    grid.forEach((cells, sheetRow) => {
+      if (sheetRow <= headerRow || !cells.some(cell => cell !== '' && cell !== null)) return;
+
+      const row = {};
+      headers.forEach((header, i) => {
+        if (header) row[header] = cells[i];
+      });
+      fieldIndexes.forEach(([standardName, index]) => {
+        row[standardName] = cells[index];
+      });
+
+      // Same hidden (absolute) row index SheetJS adds, so validation can report sheet row numbers
+      Object.defineProperty(row, '__rowNum__', { value: firstRow + sheetRow, enumerable: false });
+      rows.push(row);
+    });
+
+    return rows;
+  }
+
   /**
    * Helper function to get column value handling trailing spaces in column names
    */
   getColumn(row, ...possibleNames) {
+    const key = this.findColumnKey(row, ...possibleNames);
+    return key !== null ? row[key] : '';
+  }
+
+  /**
+   * Find the key a column is stored under in a row (same matching as getColumn)
+   * @returns {string|null} Row key, or null if the row has none of the columns
+   */
+  findColumnKey(row, ...possibleNames) {
     // First try exact matches
     for (const name of possibleNames) {
-      if (row[name] !== undefined) return row[name];
+      if (row[name] !== undefined) return name;
     }
     // Then try case-insensitive match with trimmed keys
     const rowKeys = Object.keys(row);
     for (const name of possibleNames) {
       const found = rowKeys.find(k => k.trim().toLowerCase() === name.toLowerCase());
-      if (found) return row[found];
+      if (found) return found;
     }
-    return '';
+    return null;
   }
 
   /**
@@ -107,9 +243,11 @@ class DataParser {
       return;
     }
 
-    this.parsedData = this.rawData.map(row => {
+    this.parsedData = this.rawData.map((row, index) => {
       // Extract columns - using helper to handle trailing spaces
       return {
+        // Sheet row number for Excel (SheetJS __rowNum__ is 0-based), activity number for imports
+        rowNumber: row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 1,
         project: this.getColumn(row, 'Project', 'project'),
         phase: this.getColumn(row, 'Phase', 'phase'),
         neighborhood: this.getColumn(row, 'Neighborhood', 'neighborhood'),
@@ -126,6 +264,11 @@ class DataParser {
         precaster: this.getColumn(row, 'PreCaster', 'Precaster', 'precaster'),
         contractor: this.getColumn(row, 'Contractor', 'contractor'),
         precastFactory: this.getColumn(row, 'Precast Factory', 'PrecastFactory', 'precastFactory'),
+        activityId: this.getColumn(row, 'Activity ID', 'Activity_ID', 'activityId'),
+        outlineLevel: this.getColumn(row, 'Outline Level', 'outlineLevel'),
+        baselineStart: this.parseDate(this.getColumn(row, 'Baseline Start', 'baselineStart')),
+        baselineFinish: this.parseDate(this.getColumn(row, 'Baseline Finish', 'baselineFinish')),
+        percentComplete: this.getColumn(row, 'Percent Complete', '% Complete', 'percentComplete'),
         // Original row for reference
         _original: row
       };
@@ -197,6 +340,44 @@ class DataParser {
     });
   }
 
+  /**
+   * Read relationships from an Excel "Predecessors" column.
+   * Entries are separated by commas or semicolons. Each one is an Activity ID (or a block
+   * number when the sheet has no Activity IDs) with an optional link type and lag in days
+   * after the type, e.g. "R002", "R002SS", "34FS+5d", "35 FF -2".
+   * @returns {Array} Dependencies in the same form as XER / MS Project imports
+   */
+  readPredecessorColumn() {
+    const dependencies = [];
+    const entryPattern = /^(.+?)(?:\s*(FS|SS|FF|SF)(?:\s*([+-])\s*(\d+(?:\.\d+)?)\s*(?:d|days?)?)?)?$/i;
+
+    (this.rawData || []).forEach(row => {
+      const value = this.getColumn(row, CONFIG.EXCEL.COLUMNS.PREDECESSORS, 'Predecessor', 'predecessors');
+      if (value === '' || value === null || value === undefined) return;
+
+      const successor = String(this.getColumn(row, 'Activity ID', 'Activity_ID', 'activityId') || this.getColumn(row, 'Block', 'block')).trim();
+      if (!successor) return;
+
+      String(value).split(/[,;]/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const match = entry.match(entryPattern);
+        if (!match) return;
+
+        const [, predecessor, type, sign, lag] = match;
+        dependencies.push({
+          predecessor: predecessor.trim(),
+          successor,
+          type: (type || 'FS').toUpperCase(),
+          lagDays: lag ? parseFloat(lag) * (sign === '-' ? -1 : 1) : 0
+        });
+      });
+    });
+
+    if (dependencies.length > 0) {
+      console.log(`🔗 Read ${dependencies.length} relationships from the Predecessors column`);
+    }
+    return dependencies;
+  }
+
   /**
    * Process schedule data from raw Excel
    */
@@ -267,14 +448,22 @@ class DataParser {
 
       // Store individual villa data for Gantt chart
       blockData.villas.push({
+        rowIndex: index, // Position in rawData (used when editing the schedule)
         Plot: this.getColumn(row, 'Plot', 'plot'),
         Villa: this.getColumn(row, 'Villa', 'villa'),
         Status: this.getColumn(row, 'Status', 'status'),
         PreCaster: this.getColumn(row, 'PreCaster', 'Precaster', 'precaster'),
         Contractor: this.getColumn(row, 'Contractor', 'contractor'),
         'Precast Factory': this.getColumn(row, 'Precast Factory', 'PrecastFactory', 'precastFactory'),
+        Phase: this.getColumn(row, 'Phase', 'phase'),
+        Neighborhood: this.getColumn(row, 'Neighborhood', 'neighborhood'),
         'Planned Start': plannedStart,
-        'Planned Finish': plannedFinish
+        'Planned Finish': plannedFinish,
+        'Actual Start': this.parseExcelDate(this.getColumn(row, 'Actual Start', 'actualStart')),
+        'Actual Finish': this.parseExcelDate(this.getColumn(row, 'Actual Finish', 'actualFinish')),
+        'Baseline Start': this.parseExcelDate(this.getColumn(row, 'Baseline Start', 'baselineStart')),
+        'Baseline Finish': this.parseExcelDate(this.getColumn(row, 'Baseline Finish', 'baselineFinish')),
+        'Percent Complete': this.getColumn(row, 'Percent Complete', '% Complete', 'percentComplete')
       });
     });
     
@@ -467,6 +656,20 @@ class DataParser {
     return new Date(date_info.getFullYear(), date_info.getMonth(), date_info.getDate());
   }
 
+  /**
+   * Take over the schedule parsed by another parser (e.g. after validation was accepted)
+   * @param {DataParser} parser - Parser holding the accepted schedule
+   */
+  copyFrom(parser) {
+    this.rawData = parser.rawData;
+    this.parsedData = parser.parsedData;
+    this.dataByPlot = parser.dataByPlot;
+    this.dataByBlock = parser.dataByBlock;
+    this.scheduleByBlock = parser.scheduleByBlock;
+    this.dependencies = parser.dependencies;
+    this.source = parser.source;
+  }
+
   /**
    * Clear all data
    */
@@ -475,6 +678,8 @@ class DataParser {
     this.parsedData = null;
     this.dataByPlot.clear();
     this.dataByBlock.clear();
+    this.dependencies = [];
+    this.source = null;
     console.log('🧹 Data cleared');
   }
 }
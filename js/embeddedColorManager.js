@@ -1,195 +1,110 @@
 /**
  * Embedded Color Manager
- * Handles coloring based on embedded model properties
+ * Handles coloring based on embedded model properties (dashboard.html). The color schemes
+ * come from the shared scheme engine; this adds the precaster labels and 4D playback coloring.
  */
 
-import { CONFIG, getBlockColor, getComponentColor } from './config.js';
 import { viewerManager } from './viewer.js';
 import { embeddedDataManager } from './embeddedDataManager.js';
+import { ColorSchemeEngine } from './colorSchemeEngine.js';
+import { embeddedDataSource } from './colorDataSources.js';
+import './colorSchemes.js';
 
-class EmbeddedColorManager {
+// 4D playback state colors
+const SEQUENCE_COLORS = {
+  'In Progress': { r: 255, g: 165, b: 0, a: 1.0 },   // Orange
+  'Completed': { r: 0, g: 154, b: 132, a: 1.0 }      // Teal
+};
+
+class EmbeddedColorManager extends ColorSchemeEngine {
   constructor() {
-    this.currentScheme = null;
-    this.colorMap = new Map();
+    super(embeddedDataSource);
     this.currentFilter = null; // Store current precaster label filter
     this.cameraChangeHandler = null; // Store reference to camera change handler
   }
 
   /**
-   * Apply color scheme to the model
-   * @param {string} scheme - 'Block', 'Component', 'Status', or 'None'
+   * Apply color scheme to the model (see ColorSchemeEngine.applyColorScheme).
+   * The Status scheme also shows the precaster labels.
+   * @param {string} scheme - Registered scheme value or 'None'
    * @returns {Promise<void>}
    */
   async applyColorScheme(scheme) {
-    console.log(`🎨 Applying color scheme: ${scheme}`);
-
-    // Clear existing colors
-    viewerManager.clearColors();
-    this.colorMap.clear();
+    await super.applyColorScheme(scheme);
 
-    if (scheme === 'None') {
-      this.currentScheme = null;
-      return;
-    }
+    if (this.currentScheme !== 'Status') return;
 
-    this.currentScheme = scheme;
+    // Create precaster labels
+    this.createPrecasterLabels();
 
-    switch (scheme) {
-      case 'Block':
-        await this.colorByBlock();
-        break;
-      case 'Component':
-        await this.colorByComponent();
-        break;
-      case 'Status':
-        await this.colorByStatus();
-        break;
-      default:
-        console.warn(`Unknown color scheme: ${scheme}`);
+    // Re-apply filter if one was active
+    console.log(`🔍 Checking for stored filter: ${this.currentFilter ? this.currentFilter.length : 0} plots`);
+    if (this.currentFilter && this.currentFilter.length > 0) {
+      console.log(`🔄 Re-applying precaster filter after label creation (${this.currentFilter.length} plots)`);
+      this.filterPrecasterLabels(this.currentFilter);
+    } else {
+      console.log('ℹ️ No stored filter to re-apply');
     }
-
-    console.log(`✅ Color scheme applied: ${this.colorMap.size} elements colored`);
   }
 
   /**
-   * Color elements by block number
+   * Color the model by construction state at a given date (used by 4D playback).
+   * Villas not yet started are ghosted, in-progress and completed villas are shown and colored.
+   * @param {Date} date - Date to show
+   * @param {string} mode - 'planned' (planned dates) or 'actual' (actual dates only - a villa without an
+   *   actual start has not started and one without an actual finish is not completed, whatever its plan says)
+   * @returns {object} Villa counts per state
    */
-  async colorByBlock() {
-    const blockGroups = embeddedDataManager.groupByBlock();
+  colorBySequenceDate(date, mode = 'planned') {
+    const viewer = viewerManager.viewer;
+    if (!viewer || !viewer.model) {
+      console.warn('⚠️ Viewer not available for sequence coloring');
+      return null;
+    }
 
-    blockGroups.forEach((dbIds, blockNumber) => {
-      const color = getBlockColor(blockNumber);
+    this.reset();
+    this.currentScheme = 'Sequence';
 
-      dbIds.forEach(dbId => {
-        this.colorMap.set(dbId, color);
-      });
+    const counts = { 'Not Started': 0, 'In Progress': 0, 'Completed': 0 };
 
-      viewerManager.setColor(dbIds, color);
-      console.log(`  Block ${blockNumber}: ${dbIds.length} elements`);
-    });
-  }
+    for (const [plot, dbIds] of this.dataSource.getPlotGroups()) {
+      const excelData = this.dataSource.getPlotData(plot);
+      if (!excelData) continue;
 
-  /**
-   * Color elements by component type
-   */
-  async colorByComponent() {
-    const componentGroups = embeddedDataManager.groupByComponent();
+      const start = mode === 'actual' ? excelData.actualStart : excelData.plannedStart;
+      const finish = mode === 'actual' ? excelData.actualFinish : excelData.plannedFinish;
 
-    componentGroups.forEach((dbIds, component) => {
-      const color = getComponentColor(component);
+      let state = 'Not Started';
+      if (finish && finish <= date) {
+        state = 'Completed';
+      } else if (start && start <= date) {
+        state = 'In Progress';
+      }
 
-      dbIds.forEach(dbId => {
-        this.colorMap.set(dbId, color);
-      });
+      counts[state]++;
+      if (state === 'Not Started') continue;
 
-      viewerManager.setColor(dbIds, color);
-      console.log(`  Component ${component}: ${dbIds.length} elements`);
-    });
-  }
-
-  /**
-   * Color elements by status from Excel data
-   */
-  async colorByStatus() {
-    console.log('🎨 Coloring by status using Excel data...');
-    
-    // Status color mapping (matching Gantt chart colors)
-    const statusColors = {
-      'Raft Completed': { r: 0, g: 102, b: 255, a: 1.0 },           // Blue
-      'Pre-Cast in Progress': { r: 102, g: 255, b: 255, a: 1.0 },   // Cyan
-      'Pre-Cast Completed': { r: 204, g: 204, b: 0, a: 1.0 },       // Yellow
-      'MEP & Finishes in Progress': { r: 255, g: 102, b: 204, a: 1.0 }, // Pink
-      'MEP & Finishes Completed': { r: 102, g: 255, b: 51, a: 1.0 },    // Green
-      'Villa Handover': { r: 51, g: 153, b: 102, a: 1.0 }           // Dark Green
-    };
-    
-    const defaultColor = { r: 150, g: 150, b: 150, a: 0.5 }; // Gray
-    
-    let coloredCount = 0;
-    const statusCounts = new Map();
-    
-    // Iterate through all elements with plot numbers
-    for (const [dbId, elementInfo] of embeddedDataManager.elementData.entries()) {
-      if (!elementInfo.plot) continue;
-      
-      // Get Excel data for this plot
-      const excelData = embeddedDataManager.getExcelDataForPlot(elementInfo.plot);
-      if (!excelData || !excelData.status) continue;
-      
-      const status = excelData.status;
-      
-      // Get color for this status (try exact match, then partial match)
-      let color = statusColors[status];
-      if (!color) {
-        const statusLower = status.toLowerCase();
-        if (statusLower.includes('raft')) color = statusColors['Raft Completed'];
-        else if (statusLower.includes('pre-cast') && statusLower.includes('progress')) color = statusColors['Pre-Cast in Progress'];
-        else if (statusLower.includes('pre-cast') && statusLower.includes('completed')) color = statusColors['Pre-Cast Completed'];
-        else if (statusLower.includes('mep') && statusLower.includes('progress')) color = statusColors['MEP & Finishes in Progress'];
-        else if (statusLower.includes('mep') && statusLower.includes('completed')) color = statusColors['MEP & Finishes Completed'];
-        else if (statusLower.includes('handover')) color = statusColors['Villa Handover'];
-        else color = defaultColor;
-      }
-      
-      this.colorMap.set(dbId, color);
-      coloredCount++;
-      
-      // Track counts
-      statusCounts.set(status, (statusCounts.get(status) || 0) + 1);
-    }
-    
-    // Apply all colors at once using viewerManager.setColor
-    const viewer = viewerManager.viewer;
-    const model = viewer.model;
-    const tree = model.getInstanceTree();
-    
-    for (const [dbId, color] of this.colorMap.entries()) {
-      // Get all child dbIds (fragments) for this element
-      const allDbIds = [];
-      
-      if (tree) {
-        // Recursively get all children
-        const collectChildren = (nodeId) => {
-          allDbIds.push(nodeId);
-          tree.enumNodeChildren(nodeId, (childId) => {
-            collectChildren(childId);
-          });
-        };
-        collectChildren(dbId);
-      } else {
-        allDbIds.push(dbId);
-      }
-      
-      // Apply color to all fragments
-      viewerManager.setColor(allDbIds, color);
-    }
-    
-    console.log(`🎨 Applied colors to ${this.colorMap.size} villas and their children`);
-    
-    console.log(`✅ Colored ${coloredCount} villas by status:`);
-    statusCounts.forEach((count, status) => {
-      console.log(`  ${status}: ${count} villas`);
-    });
-    
-    // Force viewer refresh to show colors
-    if (viewer) {
-      viewer.impl.invalidate(true, true, true);
-      console.log('🔄 Viewer refreshed to show colors');
+      this.paint(dbIds, SEQUENCE_COLORS[state]);
     }
-    
-    // Create precaster labels
-    this.createPrecasterLabels();
-    
-    // Re-apply filter if one was active
-    console.log(`🔍 Checking for stored filter: ${this.currentFilter ? this.currentFilter.length : 0} plots`);
-    if (this.currentFilter && this.currentFilter.length > 0) {
-      console.log(`🔄 Re-applying precaster filter after label creation (${this.currentFilter.length} plots)`);
-      this.filterPrecasterLabels(this.currentFilter);
+
+    // Ghost everything that has not started yet. isolate([]) would show the whole model,
+    // so before the first villa starts every element is hidden (drawn ghosted) instead.
+    viewer.setGhosting(true);
+    if (this.colorMap.size > 0) {
+      viewer.isolate(Array.from(this.colorMap.keys()));
     } else {
-      console.log('ℹ️ No stored filter to re-apply');
+      viewer.isolate([]);
+      viewer.hide(viewer.model.getInstanceTree().getRootId());
     }
+
+    this.render();
+    this.legend = [
+      ...Object.entries(SEQUENCE_COLORS).map(([state, color]) => ({ label: state, color, count: counts[state] })),
+      { label: 'Not Started (ghosted)', color: { r: 200, g: 200, b: 200, a: 0.3 }, count: counts['Not Started'] }
+    ];
+    return counts;
   }
-  
+
   /**
    * Create floating labels with precaster letters on villas
    */
@@ -472,77 +387,6 @@ class EmbeddedColorManager {
     console.log('🧹 Precaster labels and filter cleared');
   }
 
-  /**
-   * Create a legend for the current color scheme
-   * @returns {Array} Legend items
-   */
-  getLegend() {
-    if (!this.currentScheme) {
-      return [];
-    }
-
-    const legend = [];
-
-    switch (this.currentScheme) {
-      case 'Block':
-        const blocks = embeddedDataManager.groupByBlock();
-        blocks.forEach((dbIds, block) => {
-          legend.push({
-            label: `Block ${block}`,
-            color: getBlockColor(block),
-            count: dbIds.length
-          });
-        });
-        break;
-
-      case 'Component':
-        const components = embeddedDataManager.groupByComponent();
-        components.forEach((dbIds, component) => {
-          legend.push({
-            label: component,
-            color: getComponentColor(component),
-            count: dbIds.length
-          });
-        });
-        break;
-
-      case 'Status':
-        // Status legend with actual colors used
-        const statusColors = {
-          'Raft Completed': { r: 0, g: 102, b: 255, a: 1.0 },
-          'Pre-Cast in Progress': { r: 102, g: 255, b: 255, a: 1.0 },
-          'Pre-Cast Completed': { r: 204, g: 204, b: 0, a: 1.0 },
-          'MEP & Finishes in Progress': { r: 255, g: 102, b: 204, a: 1.0 },
-          'MEP & Finishes Completed': { r: 102, g: 255, b: 51, a: 1.0 },
-          'Villa Handover': { r: 51, g: 153, b: 102, a: 1.0 }
-        };
-
-        // Count villas by status
-        const statusCounts = new Map();
-        for (const [dbId, elementInfo] of embeddedDataManager.elementData.entries()) {
-          if (!elementInfo.plot) continue;
-          const excelData = embeddedDataManager.getExcelDataForPlot(elementInfo.plot);
-          if (excelData && excelData.status) {
-            statusCounts.set(excelData.status, (statusCounts.get(excelData.status) || 0) + 1);
-          }
-        }
-
-        // Add to legend
-        for (const [status, color] of Object.entries(statusColors)) {
-          const count = statusCounts.get(status) || 0;
-          if (count > 0) {
-            legend.push({
-              label: status,
-              color: color,
-              count: count
-            });
-          }
-        }
-        break;
-    }
-
-    return legend;
-  }
 
   /**
    * Get contractor legend (for block labels)
@@ -589,15 +433,6 @@ class EmbeddedColorManager {
     return legend;
   }
 
-  /**
-   * Clear all colors
-   */
-  clear() {
-    viewerManager.clearColors();
-    this.colorMap.clear();
-    this.currentScheme = null;
-    console.log('🧹 Colors cleared');
-  }
 }
 
 // Export singleton instance
@@ -6,6 +6,11 @@
 
 import { viewerManager } from './viewer.js';
 import { CONFIG } from './config.js';
+import { workCalendar } from './workCalendar.js';
+import { analysisCache } from './analysisCache.js';
+import { propertyExtractor } from './propertyExtractor.js';
+import { extractionRules } from './extractionRules.js';
+import { extractElementInfo } from './propertyExtraction.js';
 
 class EmbeddedDataManager {
   constructor() {
@@ -20,25 +25,35 @@ class EmbeddedDataManager {
 
   /**
    * Analyze all elements and extract embedded properties (CHUNKED for large models)
-   * Also specifically extracts villa elements from node 3 in the federated model
+   * Properties are read and parsed off the main thread by propertyExtractor; if it is cancelled
+   * the previous analysis is kept.
+   * Also specifically extracts villa elements from node 3 in the federated model.
+   * The result is cached in IndexedDB and restored on the next load of the same model version.
    * @param {Function} progressCallback - Optional callback(progress, message)
-   * @returns {Promise<object>} Analysis statistics
+   * @param {boolean} forceRebuild - Ignore the cached analysis and scan the model again
+   * @returns {Promise<object>} Analysis statistics (fromCache / cachedAt when restored)
    */
-  async analyzeModel(progressCallback = null) {
+  async analyzeModel(progressCallback = null, forceRebuild = false) {
     console.log('🔄 Analyzing model properties...');
 
-    this.elementData.clear();
-    this.phaseGroups.clear();
-    this.neighborhoodGroups.clear();
-    this.blockGroups.clear();
-    this.plotGroups.clear();
-    this.componentGroups.clear();
-
     // Get all element IDs from the main tree
     const allDbIds = await viewerManager.getAllDbIds();
     const totalElements = allDbIds.length;
     console.log(`📊 Total elements in model: ${totalElements}`);
 
+    // Extraction rules first: the cache is only valid for the rules it was built with
+    await extractionRules.load();
+
+    // Restore the cached analysis of the same model version
+    const model = analysisCache.describeModel();
+    if (model && !forceRebuild) {
+      const cachedStats = await this.restoreCachedAnalysis(model, totalElements);
+      if (cachedStats) {
+        if (progressCallback) progressCallback(100, 'Restored cached analysis');
+        return cachedStats;
+      }
+    }
+
     // CRITICAL: In federated Navisworks models, villa elements are under node 3
     // We need to also extract directly from node 3 tree to get all villa DbIds
     console.log('🏗️  Extracting villa elements from node 3...');
@@ -53,95 +68,75 @@ class EmbeddedDataManager {
 
     console.log(`📦 Total DbIds to analyze: ${totalToAnalyze} (${totalElements} from main tree + ${villaDbIds.length} from villa node)`);
 
-    // Process in chunks to avoid memory crashes
-    const CHUNK_SIZE = 5000;
-    const totalChunks = Math.ceil(totalToAnalyze / CHUNK_SIZE);
-    let analyzedCount = 0;
-
-    console.log(`📦 Processing in ${totalChunks} chunks of ${CHUNK_SIZE} elements each...`);
-
-    for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-      const startIdx = chunkIndex * CHUNK_SIZE;
-      const endIdx = Math.min(startIdx + CHUNK_SIZE, totalToAnalyze);
-      const chunkDbIds = combinedDbIds.slice(startIdx, endIdx);
-
-      const progress = Math.round(((chunkIndex + 1) / totalChunks) * 100);
-      const message = `Processing chunk ${chunkIndex + 1}/${totalChunks} (${chunkDbIds.length} elements)`;
-      console.log(`🔄 ${message} - ${progress}%`);
-
-      if (progressCallback) {
-        progressCallback(progress, message);
+    // Query and parse the properties off the main thread, in chunks to avoid memory crashes
+    const { scanned, entries } = await propertyExtractor.extractElements(combinedDbIds, {
+      onProgress: ({ processed, total, chunk, chunks }) => {
+        const progress = Math.round((processed / total) * 100);
+        const message = `Processing chunk ${chunk}/${chunks} (${processed}/${total} elements)`;
+        console.log(`🔄 ${message} - ${progress}%`);
+        if (progressCallback) {
+          progressCallback(progress, message);
+        }
       }
+    });
+    console.log(`   🏘️ Villa: ${entries.length} | 🏗️ Infrastructure: ${scanned - entries.length}`);
 
-      // Get properties for this chunk only
-      const bulkProperties = await viewerManager.getBulkProperties(chunkDbIds, null);
-
-      // Process chunk
-      let villaCount = 0;
-      let infrastructureCount = 0;
-      bulkProperties.forEach(prop => {
-        const elementInfo = this.extractElementInfo(prop.properties);
-
-        if (elementInfo) {
-          villaCount++;
-          this.elementData.set(prop.dbId, elementInfo);
-
-          // Group by phase
-          if (elementInfo.phase) {
-            const phase = this.normalizeValue(elementInfo.phase);
-            if (!this.phaseGroups.has(phase)) {
-              this.phaseGroups.set(phase, []);
-            }
-            this.phaseGroups.get(phase).push(prop.dbId);
-          }
-
-          // Group by neighborhood (sector)
-          if (elementInfo.sector) {
-            const neighborhood = this.normalizeValue(elementInfo.sector);
-            if (!this.neighborhoodGroups.has(neighborhood)) {
-              this.neighborhoodGroups.set(neighborhood, []);
-            }
-            this.neighborhoodGroups.get(neighborhood).push(prop.dbId);
-          }
+    // Replace the previous analysis only once the extraction has finished (it may be cancelled)
+    this.elementData.clear();
+    this.phaseGroups.clear();
+    this.neighborhoodGroups.clear();
+    this.blockGroups.clear();
+    this.plotGroups.clear();
+    this.componentGroups.clear();
 
-          // Group by block
-          if (elementInfo.block) {
-            if (!this.blockGroups.has(elementInfo.block)) {
-              this.blockGroups.set(elementInfo.block, []);
-            }
-            this.blockGroups.get(elementInfo.block).push(prop.dbId);
-          }
+    let analyzedCount = 0;
+    entries.forEach(([dbId, elementInfo]) => {
+      this.elementData.set(dbId, elementInfo);
+
+      // Group by phase
+      if (elementInfo.phase) {
+        const phase = this.normalizeValue(elementInfo.phase);
+        if (!this.phaseGroups.has(phase)) {
+          this.phaseGroups.set(phase, []);
+        }
+        this.phaseGroups.get(phase).push(dbId);
+      }
 
-          // Group by plot
-          if (elementInfo.plot) {
-            if (!this.plotGroups.has(elementInfo.plot)) {
-              this.plotGroups.set(elementInfo.plot, []);
-            }
-            this.plotGroups.get(elementInfo.plot).push(prop.dbId);
-          }
+      // Group by neighborhood (sector)
+      if (elementInfo.sector) {
+        const neighborhood = this.normalizeValue(elementInfo.sector);
+        if (!this.neighborhoodGroups.has(neighborhood)) {
+          this.neighborhoodGroups.set(neighborhood, []);
+        }
+        this.neighborhoodGroups.get(neighborhood).push(dbId);
+      }
 
-          // Group by component
-          if (elementInfo.component) {
-            if (!this.componentGroups.has(elementInfo.component)) {
-              this.componentGroups.set(elementInfo.component, new Set());
-            }
-            this.componentGroups.get(elementInfo.component).add(prop.dbId);
-          }
+      // Group by block
+      if (elementInfo.block) {
+        if (!this.blockGroups.has(elementInfo.block)) {
+          this.blockGroups.set(elementInfo.block, []);
+        }
+        this.blockGroups.get(elementInfo.block).push(dbId);
+      }
 
-          analyzedCount++;
-        } else {
-          infrastructureCount++;
+      // Group by plot
+      if (elementInfo.plot) {
+        if (!this.plotGroups.has(elementInfo.plot)) {
+          this.plotGroups.set(elementInfo.plot, []);
         }
-      });
+        this.plotGroups.get(elementInfo.plot).push(dbId);
+      }
 
-      // Log chunk analysis
-      if (villaCount > 0 || infrastructureCount > 0) {
-        console.log(`   🏘️ Villa: ${villaCount} | 🏗️ Infrastructure: ${infrastructureCount}`);
+      // Group by component
+      if (elementInfo.component) {
+        if (!this.componentGroups.has(elementInfo.component)) {
+          this.componentGroups.set(elementInfo.component, new Set());
+        }
+        this.componentGroups.get(elementInfo.component).add(dbId);
       }
 
-      // Allow browser to breathe between chunks
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
+      analyzedCount++;
+    });
 
     const stats = {
       totalElements: totalElements,
@@ -155,9 +150,55 @@ class EmbeddedDataManager {
     };
 
     console.log(`✅ Analysis complete:`, stats);
+
+    if (model) {
+      try {
+        await analysisCache.save(model, totalElements, {
+          elementData: this.elementData,
+          groups: {
+            phaseGroups: this.phaseGroups,
+            neighborhoodGroups: this.neighborhoodGroups,
+            blockGroups: this.blockGroups,
+            plotGroups: this.plotGroups,
+            componentGroups: this.componentGroups
+          },
+          stats,
+          rulesSignature: extractionRules.signature
+        });
+      } catch (error) {
+        console.warn('⚠️ Could not cache the model analysis:', error.message);
+      }
+    }
+
     return stats;
   }
 
+  /**
+   * Restore elementData and the group maps from the analysis cache
+   * @param {object} model - From analysisCache.describeModel()
+   * @param {number} totalElements - Elements in the loaded instance tree (staleness check)
+   * @returns {Promise<object|null>} Cached statistics, or null if there is no valid cache
+   */
+  async restoreCachedAnalysis(model, totalElements) {
+    try {
+      const record = await analysisCache.load(model, totalElements, extractionRules.signature);
+      if (!record) return null;
+
+      this.elementData = record.elementData;
+      this.phaseGroups = record.groups.phaseGroups;
+      this.neighborhoodGroups = record.groups.neighborhoodGroups;
+      this.blockGroups = record.groups.blockGroups;
+      this.plotGroups = record.groups.plotGroups;
+      this.componentGroups = record.groups.componentGroups;
+
+      console.log(`⚡ Restored cached analysis: ${this.elementData.size} elements, ${this.plotGroups.size} plots`);
+      return { ...record.stats, fromCache: true, cachedAt: record.savedAt };
+    } catch (error) {
+      console.warn('⚠️ Could not read the cached analysis - analyzing the model:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Load Excel data for status and precaster mapping
    * @param {Object} dataParser - The dataParser instance with rawData
@@ -190,17 +231,60 @@ class EmbeddedDataManager {
       const plot = String(getColumn(row, 'Plot', 'plot')).trim();
       if (!plot) return;
 
-      this.excelData.set(plot, {
+      const entry = {
         status: getColumn(row, 'Status', 'status'),
         precaster: getColumn(row, 'PreCaster', 'Precaster', 'precaster'),
         villaType: getColumn(row, 'Villa', 'villa'),
-        block: getColumn(row, 'Block', 'block')
-      });
+        block: getColumn(row, 'Block', 'block'),
+        contractor: getColumn(row, 'Contractor', 'contractor'),
+        precastFactory: getColumn(row, 'Precast Factory', 'precastFactory'),
+        phase: getColumn(row, 'Phase', 'phase'),
+        neighborhood: getColumn(row, 'Neighborhood', 'neighborhood'),
+        // Dates for time-based coloring (4D playback)
+        plannedStart: dataParser.parseExcelDate(getColumn(row, 'Planned Start', 'plannedStart')),
+        plannedFinish: dataParser.parseExcelDate(getColumn(row, 'Planned Finish', 'plannedFinish')),
+        actualStart: dataParser.parseExcelDate(getColumn(row, 'Actual Start', 'actualStart')),
+        actualFinish: dataParser.parseExcelDate(getColumn(row, 'Actual Finish', 'actualFinish')),
+        percentComplete: getColumn(row, 'Percent Complete', '% Complete', 'percentComplete')
+      };
+
+      const existing = this.excelData.get(plot);
+      this.excelData.set(plot, existing ? this.mergePlotActivities(existing, entry) : entry);
     });
     
     console.log(`✅ Loaded Excel data for ${this.excelData.size} plots`);
   }
   
+  /**
+   * Combine several activities of one plot (XER / MS Project imports list each stage as a row).
+   * The plot spans all its activities and takes the status of the latest started one.
+   * @param {Object} existing - Plot data so far
+   * @param {Object} entry - Next activity of the same plot
+   * @returns {Object} Combined plot data
+   */
+  mergePlotActivities(existing, entry) {
+    const earliest = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+    const latest = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+    const started = entry.status && entry.status !== 'Not Started';
+
+    return {
+      status: started ? entry.status : existing.status,
+      precaster: existing.precaster || entry.precaster,
+      villaType: existing.villaType || entry.villaType,
+      block: existing.block || entry.block,
+      contractor: existing.contractor || entry.contractor,
+      precastFactory: existing.precastFactory || entry.precastFactory,
+      phase: existing.phase || entry.phase,
+      neighborhood: existing.neighborhood || entry.neighborhood,
+      plannedStart: earliest(existing.plannedStart, entry.plannedStart),
+      plannedFinish: latest(existing.plannedFinish, entry.plannedFinish),
+      actualStart: earliest(existing.actualStart, entry.actualStart),
+      // The plot is only finished when every activity is
+      actualFinish: existing.actualFinish && entry.actualFinish ? latest(existing.actualFinish, entry.actualFinish) : null,
+      percentComplete: started ? entry.percentComplete : existing.percentComplete
+    };
+  }
+
   /**
    * Get Excel data for a specific plot
    * @param {string} plotNumber
@@ -317,284 +401,31 @@ class EmbeddedDataManager {
   }
 
   /**
-   * Extract element information from properties
+   * Extract element information from properties, using the extraction rules
+   * (config/extraction-rules.json - loaded by analyzeModel)
    * @param {Array} properties - Element properties
    * @returns {object|null} Extracted information or null if infrastructure
    */
   extractElementInfo(properties) {
-    const info = {};
-    let hasVillaProperties = false;
-
-    properties.forEach(prop => {
-      const name = prop.displayName;
-      const category = prop.displayCategory || '';
-      const nameLower = name.toLowerCase();
-      const value = prop.displayValue;
-
-      // Skip empty/null values
-      if (!value || value === '' || value === 'N/A') return;
-
-      // ========== PRIMARY REVIT PROPERTIES (Element category) ==========
-      // In NWC models, properties are: displayCategory="Element", displayName="Block|Plot|NBH|Villa_Type"
-
-      // Extract Block - e.g., "156", "155" (villa block numbers)
-      if ((category === 'Element' && name === 'Block') || name === 'Element/Block') {
-        // Villa blocks are plain numbers, NOT formatted with R prefix
-        info.block = String(value);
-        hasVillaProperties = true;
-      }
-
-      // Extract Neighborhood (NBH) - e.g., "SW02", "SE03"
-      if ((category === 'Element' && name === 'NBH') || name === 'Element/NBH') {
-        info.neighborhood = String(value);
-        info.sector = String(value);
-        hasVillaProperties = true;
-      }
-
-      // Extract Plot - e.g., "1919", "1918", "2039"
-      if ((category === 'Element' && name === 'Plot') || name === 'Element/Plot') {
-        const plotValue = String(value).trim();
-        if (plotValue && !isNaN(plotValue)) {
-          info.plot = plotValue;
-          hasVillaProperties = true;
-        }
-      }
-      
-      // Also check Villa_Plot No. as alternative plot field
-      if ((category === 'Element' && name === 'Villa_Plot No.') || name === 'Element/Villa_Plot No.') {
-        const plotValue = String(value).trim();
-        if (!info.plot && plotValue && !isNaN(plotValue)) {
-          info.plot = plotValue;
-          hasVillaProperties = true;
-        }
-      }
-
-      // Extract Villa Type - e.g., "C10", "DP2", "VL1"
-      if ((category === 'Element' && name === 'Villa_Type') || name === 'Element/Villa_Type') {
-        info.villaType = value;
-        info.component = value; // Use villa type as primary component
-        hasVillaProperties = true;
-      }
-      
-      // Extract Zone - e.g., "C"
-      if ((category === 'Element' && name === 'Zone') || name === 'Element/Zone') {
-        info.zone = value;
-      }
-
-      // Extract Level (Level/Name) - e.g., "GR.F"
-      if (name === 'Level/Name') {
-        info.level = value;
-      }
-
-      // Extract Phase (Phase Created/Name) - e.g., "New Construction"
-      // NOTE: Only extract for villa elements (not infrastructure)
-      // Infrastructure phases are extracted later only if no villa properties found
-      if (name === 'Phase Created/Name' && !info.phase) {
-        info.phase = value;
-      }
-
-      // ========== ITEM-LEVEL PROPERTIES (Navisworks wrapper) ==========
-
-      // Item/Name - e.g., "DP2 REPRESENTATION"
-      if (name === 'Item/Name' && !info.name) {
-        info.name = value;
-      }
-
-      // Item/Type - e.g., "Generic Models: DP2 REPRESENTATION: DP2 REPRESENTATION"
-      if (name === 'Item/Type' && !info.type) {
-        info.type = value;
-      }
-
-      // Item/Layer - e.g., "GR.F" (can be level fallback)
-      if (name === 'Item/Layer' && !info.level) {
-        info.level = value;
-      }
-
-      // Item/Source File - e.g., "Test power BI_Ali_ElraeiJZDC9.rvt"
-      if (name === 'Item/Source File') {
-        info.sourceFile = value;
-      }
-
-      // ========== ELEMENT PROPERTIES ==========
-
-      // Element/Name - e.g., "DP2 REPRESENTATION"
-      if (name === 'Element/Name' && !info.name) {
-        info.name = value;
-      }
-
-      // Element/Type - e.g., "DP2 REPRESENTATION"
-      if (name === 'Element/Type' && !info.type) {
-        info.type = value;
-      }
-
-      // Element/Family - e.g., "DP2 REPRESENTATION"
-      if (name === 'Element/Family') {
-        info.family = value;
-      }
-
-      // Element/Category - e.g., "Generic Models"
-      if (name === 'Element/Category') {
-        info.category = value;
-        // Use category as component fallback only if no villa type
-        if (!info.component) {
-          info.component = value;
-        }
-      }
-
-      // Element/Substructure - "Yes"/"No"
-      if (name === 'Element/Substructure') {
-        info.substructure = value;
-      }
-
-      // Element/Volume - e.g., "1144.316 m³"
-      if (name === 'Element/Volume') {
-        info.volume = value;
-      }
-
-      // ========== CATEGORY PROPERTIES ==========
-
-      // Category/Name - e.g., "Generic Models"
-      if (name === 'Category/Name' && !info.category) {
-        info.category = value;
-      }
-
-      // ========== DOCUMENT PROPERTIES ==========
-
-      // Document/Title - e.g., "Test power BI_Ali_ElraeiJZDC9"
-      if (name === 'Document/Title' && !info.documentTitle) {
-        info.documentTitle = value;
-      }
-
-      // ========== REVIT TYPE PROPERTIES ==========
-
-      // Revit Type/Name - e.g., "DP2 REPRESENTATION"
-      if (name === 'Revit Type/Name' && !info.revitType) {
-        info.revitType = value;
-      }
-
-      // Symbol/FamilyName - e.g., "DP2 REPRESENTATION"
-      if (name === 'Symbol/FamilyName' && !info.family) {
-        info.family = value;
-      }
-
-      // ========== LEGACY/DWG/NAVISWORKS FALLBACK PROPERTIES ==========
-      // (Only used if Element/ properties are not found)
-
-      // Extract Activity ID
-      if (name === 'Activity_ID') {
-        info.activityId = value;
-        // Only use as fallback if no Element/Block found
-        if (!info.block) {
-          const blockInfo = this.extractBlockFromActivityId(value);
-          if (blockInfo) info.block = blockInfo;
-        }
-        if (!info.phase) {
-          const phaseInfo = this.extractPhaseFromActivityId(value);
-          if (phaseInfo) info.phase = phaseInfo;
-        }
-      }
-
-      // Extract Network/Zone
-      // NOTE: Only for infrastructure (not villa elements)
-      if (name === 'General:Network name') {
-        info.network = value;
-        // Only set as neighborhood if no villa NBH property found
-        // Villa elements use Element/NBH which sets hasVillaProperties = true
-        if (!info.neighborhood && !info.sector) {
-          info.network = value;
-        }
-      }
-
-      // Extract Layer (DWG)
-      if ((name === 'Layer' || name === 'General:Layer name') && !info.layer) {
-        info.layer = value;
-      }
-
-      // ========== DATE PROPERTIES ==========
-
-      // Extract dates (if they exist)
-      if (nameLower.includes('start') && nameLower.includes('date')) {
-        info.plannedStart = value;
-      }
-      if (nameLower.includes('finish') && nameLower.includes('date')) {
-        info.plannedFinish = value;
-      }
-      if (nameLower.includes('completion')) {
-        info.completionDate = value;
-      }
-    });
-
-    // ========== VILLA-ONLY FILTERING ==========
-    // CRITICAL: Only return villa elements (those with Element/Block, Element/NBH, Element/Plot, or Element/Villa_Type)
-    // This filters out all infrastructure elements (roads, MEP, structure)
-    // 
-    // Infrastructure elements have properties like:
-    //   - Element/Category, Item/Name, Item/Type (no villa properties)
-    //   - Block formatted as R001, R002 (infrastructure blocks)
-    //   - Phase numbers like "141" (infrastructure phase)
-    // 
-    // Villa elements have properties like:
-    //   - Element/Block = 38, 39, etc. (villa blocks)
-    //   - Element/NBH = SE01, SE02, SE03 (villa neighborhoods)
-    //   - Element/Plot = 415, 425, 430, etc. (villa plots)
-    //   - Element/Villa_Type = DP2, DP3, etc. (villa types)
-    //
-    // Only return if hasVillaProperties flag was set
-    if (!hasVillaProperties) {
-      return null;  // Skip infrastructure elements entirely
-    }
-
-    // Villa element found - clean up any infrastructure-derived fields
-    // Remove fields that came from infrastructure properties
-    delete info.network;
-    delete info.activityId;
-    
-    // Ensure neighborhood is ONLY from villa NBH property (Element/NBH or NBH)
-    // Not from infrastructure Network/Zone
-    // At this point, if info.neighborhood was set, it's from villa NBH property
-    // If not set, leave it empty
-
-    // Villa element found - ensure it has at least one key identifier for grouping
-    const hasKeyIdentifier = info.block || info.plot || info.villaType || info.neighborhood;
-    return hasKeyIdentifier ? info : null;
+    return extractElementInfo(properties, extractionRules.getCompiled());
   }
 
   /**
-   * Extract block info from Activity ID
+   * Extract block info from Activity ID (the "Activity_ID" block rules of the extraction rules)
    * Example: 141CWARSSE4R002PW030 -> "R002"
    */
   extractBlockFromActivityId(activityId) {
     if (!activityId) return null;
-
-    // Look for pattern like R002, R001, B034, etc.
-    const blockMatch = activityId.match(/[RB](\d{3})/);
-    if (blockMatch) {
-      return blockMatch[0]; // Returns "R002", "B034", etc.
-    }
-
-    // Alternative: look for 3-4 digit numbers
-    const numMatch = activityId.match(/\d{3,4}/);
-    if (numMatch) {
-      return numMatch[0];
-    }
-
-    return null;
+    return extractionRules.extractField('Activity_ID', activityId, 'block');
   }
 
   /**
-   * Extract phase from Activity ID
+   * Extract phase from Activity ID (the "Activity_ID" phase rule of the extraction rules)
    * Example: 141CWARSSE4R002PW030 -> "141"
    */
   extractPhaseFromActivityId(activityId) {
     if (!activityId) return null;
-
-    // First 2-3 digits might be phase
-    const phaseMatch = activityId.match(/^(\d{2,3})/);
-    if (phaseMatch) {
-      return phaseMatch[1];
-    }
-
-    return null;
+    return extractionRules.extractField('Activity_ID', activityId, 'phase');
   }
 
   /**
@@ -772,15 +603,12 @@ class EmbeddedDataManager {
    * @returns {string} Status
    */
   calculateStatus(elementInfo) {
-    const now = new Date();
-
     if (elementInfo.completionDate) {
       return 'COMPLETED';
     }
 
     if (elementInfo.plannedFinish) {
-      const planned = new Date(elementInfo.plannedFinish);
-      if (now > planned) {
+      if (workCalendar.isLate(new Date(elementInfo.plannedFinish))) {
         return 'DELAYED';
       }
       return 'IN_PROGRESS';
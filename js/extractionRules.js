@@ -0,0 +1,226 @@
+/**
+ * Extraction Rules Module
+ * Loads and checks the property-extraction rule set (CONFIG.EXTRACTION_RULES_URL). Each rule maps
+ * a source property (path or wildcard) to an element field, with an optional regex capture,
+ * a transform and a priority. The rule set is passed as-is to the property worker.
+ */
+
+import { CONFIG } from './config.js';
+import { compileRules, resolveFields } from './propertyExtraction.js';
+
+const TRANSFORMS = ['string', 'trim', 'upper', 'lower', 'number'];
+
+// Minimal fallback used when config/extraction-rules.json cannot be loaded: it only keeps villa
+// elements and reads the fields the dashboard groups by (block, neighborhood, plot, villa type, phase).
+// It is not a copy of the file - add new rules to the file, not here.
+const FALLBACK_RULE_SET = {
+  name: 'Built-in fallback rules',
+  ignoreValues: ['', 'N/A'],
+  rules: [
+    { source: 'Element/Block', field: 'block', priority: 20, transform: 'string', villa: true },
+    { source: 'Activity_ID', field: 'block', priority: 10, regex: '[RB]\\d{3}', group: 0 },
+    { source: 'Element/NBH', field: 'neighborhood', priority: 20, transform: 'string', villa: true },
+    { source: 'Element/Plot', field: 'plot', priority: 20, transform: 'trim', villa: true },
+    { source: 'Element/Villa_Type', field: 'villaType', priority: 20, villa: true },
+    { source: 'Activity_ID', field: 'phase', priority: 10, regex: '^(\\d{2,3})', group: 1 }
+  ]
+};
+
+// Paths in CONFIG are relative to the app root (the folder above js/)
+const APP_ROOT = new URL('../', import.meta.url);
+
+class ExtractionRuleManager {
+  constructor() {
+    this.ruleSet = null;
+    this.compiled = null;
+    this.signature = null;
+    this.loading = null;
+    this.loadError = null; // Why the rule set file could not be used (the built-in fallback rules are active then)
+    this.fallbackCompiled = null;
+  }
+
+  /**
+   * Load the rule set file (once - later calls reuse it)
+   * Falls back to the built-in fallback rules when the file cannot be read or is invalid
+   * @param {boolean} forceReload - Fetch the file again
+   * @returns {Promise<object>} Validated rule set
+   */
+  async load(forceReload = false) {
+    if (this.ruleSet && !forceReload) return this.ruleSet;
+    if (this.loading && !forceReload) return this.loading;
+
+    const url = new URL(CONFIG.EXTRACTION_RULES_URL, APP_ROOT);
+    this.loading = (async () => {
+      try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const ruleSet = this.use(await response.json());
+        this.loadError = null;
+        return ruleSet;
+      } catch (error) {
+        this.loadError = `Could not load extraction rules (${CONFIG.EXTRACTION_RULES_URL}): ${error.message}`;
+        console.warn(`⚠️ ${this.loadError} - using the built-in fallback rules`);
+        return this.use(FALLBACK_RULE_SET);
+      } finally {
+        this.loading = null;
+      }
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Validate a rule set and make it the active one
+   * @param {object} data - Parsed rule set JSON
+   * @returns {object} Validated rule set
+   * @throws {Error} When the rule set is invalid
+   */
+  use(data) {
+    const ruleSet = this.normalizeRuleSet(data);
+    this.ruleSet = ruleSet;
+    this.compiled = compileRules(ruleSet);
+    this.signature = this.computeSignature(ruleSet);
+    console.log(`📐 Extraction rules loaded: "${ruleSet.name}" (${ruleSet.rules.length} rules)`);
+    return ruleSet;
+  }
+
+  /**
+   * Check a rule set read from JSON
+   * @param {object} data - { name, ignoreValues, rules: [{ source, field, priority, regex, flags, group, transform, villa }] }
+   * @returns {object} Normalized rule set
+   * @throws {Error} When the rule set is invalid
+   */
+  normalizeRuleSet(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('An extraction rule set must be a JSON object');
+    }
+    if (!Array.isArray(data.rules) || data.rules.length === 0) {
+      throw new Error('An extraction rule set needs a non-empty "rules" list');
+    }
+
+    const rules = data.rules.map((rule, index) => {
+      const where = `Extraction rule ${index + 1}`;
+
+      const sources = [].concat(rule.source ?? []);
+      if (sources.length === 0 || sources.some(source => typeof source !== 'string' || !source.trim())) {
+        throw new Error(`${where}: "source" must be a property path or a list of them`);
+      }
+
+      const field = String(rule.field || '').trim();
+      if (!/^[A-Za-z_$][\w$]*$/.test(field)) {
+        throw new Error(`${where}: "field" must be a field name such as "block"`);
+      }
+
+      const priority = rule.priority === undefined ? 0 : Number(rule.priority);
+      if (!Number.isFinite(priority)) {
+        throw new Error(`${where} (${field}): "priority" must be a number`);
+      }
+
+      const normalized = { source: Array.isArray(rule.source) ? sources : sources[0], field, priority };
+
+      if (rule.regex !== undefined) {
+        try {
+          new RegExp(rule.regex, rule.flags || '');
+        } catch (error) {
+          throw new Error(`${where} (${field}): invalid regex - ${error.message}`);
+        }
+        normalized.regex = String(rule.regex);
+        if (rule.flags) normalized.flags = String(rule.flags);
+      }
+
+      if (rule.group !== undefined) {
+        if (!normalized.regex) throw new Error(`${where} (${field}): "group" needs a "regex"`);
+        if (!Number.isInteger(rule.group) || rule.group < 0) {
+          throw new Error(`${where} (${field}): "group" must be a capture group number`);
+        }
+        normalized.group = rule.group;
+      }
+
+      if (rule.transform !== undefined) {
+        if (!TRANSFORMS.includes(rule.transform)) {
+          throw new Error(`${where} (${field}): unknown transform "${rule.transform}" (use ${TRANSFORMS.join(', ')})`);
+        }
+        normalized.transform = rule.transform;
+      }
+
+      if (rule.villa) normalized.villa = true;
+      if (rule.description) normalized.description = String(rule.description);
+      return normalized;
+    });
+
+    if (!rules.some(rule => rule.villa)) {
+      throw new Error('An extraction rule set needs at least one rule with "villa": true, or no element is kept');
+    }
+
+    return {
+      name: String(data.name || 'Extraction rules'),
+      description: data.description ? String(data.description) : '',
+      ignoreValues: Array.isArray(data.ignoreValues) ? data.ignoreValues : [],
+      rules
+    };
+  }
+
+  /**
+   * Compiled active rule set, for extraction on the main thread
+   * @returns {object} From compileRules()
+   * @throws {Error} When load() has not completed yet
+   */
+  getCompiled() {
+    if (!this.compiled) {
+      throw new Error('Extraction rules are not loaded yet - await extractionRules.load() first');
+    }
+    return this.compiled;
+  }
+
+  /**
+   * Read one field from a single property value, e.g. the block from an Activity_ID
+   * Uses the built-in fallback rules until load() has completed - await load() first where possible
+   * @param {string} name - Property displayName, e.g. 'Activity_ID'
+   * @param {string} value - Property value
+   * @param {string} field - Field to read, e.g. 'block'
+   * @returns {*} Field value, or null when no rule matches
+   */
+  extractField(name, value, field) {
+    if (!this.compiled && !this.fallbackCompiled) {
+      this.fallbackCompiled = compileRules(this.normalizeRuleSet(FALLBACK_RULE_SET));
+    }
+
+    const { info } = resolveFields([{ displayName: name, displayValue: value }], this.compiled || this.fallbackCompiled);
+    return info[field] ?? null;
+  }
+
+  /**
+   * Short hash of a rule set, stored with cached analyses so a rule change rebuilds them
+   * @param {object} ruleSet - Validated rule set
+   * @returns {string} Hex signature
+   */
+  computeSignature(ruleSet) {
+    const text = JSON.stringify(ruleSet);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Show how a rule set resolves against one element (used by test-extraction-rules.html)
+   * @param {Array} properties - Element properties ({ displayCategory, displayName, displayValue })
+   * @param {object} ruleSet - Rule set to test, or null for the active one
+   * @returns {object} { result, info, villa, trace } - result is what analyzeModel would keep
+   *   (null for infrastructure); trace lists every rule match with its outcome
+   */
+  explain(properties, ruleSet = null) {
+    const rules = ruleSet ? compileRules(this.normalizeRuleSet(ruleSet)) : this.getCompiled();
+    const trace = [];
+    const { info, villa } = resolveFields(properties, rules, trace);
+    return { result: villa ? info : null, info, villa, trace };
+  }
+}
+
+// Export singleton instance
+export const extractionRules = new ExtractionRuleManager();
+export default extractionRules;
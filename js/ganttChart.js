@@ -4,6 +4,69 @@
  */
 
 import { dataParser } from './dataParser.js';
+import { criticalPath } from './criticalPath.js';
+import { colorSchemes } from './colorSchemes.js';
+import { scheduleEditor } from './scheduleEditor.js';
+import { ganttExport } from './ganttExport.js';
+import { milestoneManager } from './milestones.js';
+import { workCalendar } from './workCalendar.js';
+
+// Critical blocks in the model
+const CRITICAL_COLOR = { r: 220, g: 53, b: 69, a: 0.85 };
+
+// Bar colors
+const GANTT_CONTRACTOR_COLORS = {
+  'SPML': '#66B3FF',     // Light Blue for SPML
+  'ABR': '#DAA520'       // Golden for ABR
+};
+
+const GANTT_STATUS_COLORS = {
+  'Raft Completed': '#0066FF',
+  'Pre-Cast in Progress': '#66FFFF',
+  'Pre-Cast Completed': '#CCCC00',
+  'MEP & Finishes in Progress': '#FF66CC',
+  'MEP & Finishes Completed': '#66FF33',
+  'Villa Handover': '#339966'
+};
+
+const GANTT_DEFAULT_BAR_COLOR = '#667eea';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Width of the row label column; the timeline starts right after it
+const LABEL_WIDTH = 200;
+
+// Zoom levels, from closest to widest. tiers = timeline header rows (top first)
+const ZOOM_LEVELS = {
+  day: { label: 'Day', pixelsPerDay: 30, tiers: ['month', 'day'] },
+  week: { label: 'Week', pixelsPerDay: 8, tiers: ['month', 'week'] },
+  month: { label: 'Month', pixelsPerDay: 3, tiers: ['month'] },
+  quarter: { label: 'Quarter', pixelsPerDay: 1, tiers: ['quarter'] }
+};
+
+// Fixed row heights so rows can be positioned without rendering them
+const BLOCK_ROW_HEIGHT = 42;
+const VILLA_ROW_HEIGHT = 34;
+const GROUP_ROW_HEIGHT = 32;
+
+// Group-by options: villa column holding the value (a block takes its villas' most common value)
+const GROUP_FIELDS = {
+  contractor: { label: 'Contractor', villaKey: 'Contractor' },
+  precaster: { label: 'PreCaster', villaKey: 'PreCaster' },
+  precastFactory: { label: 'Precast Factory', villaKey: 'Precast Factory' },
+  phase: { label: 'Phase', villaKey: 'Phase' },
+  neighborhood: { label: 'Neighborhood', villaKey: 'Neighborhood' },
+  status: { label: 'Status', villaKey: 'Status' }
+};
+
+// Group for blocks whose villas have no value in the group column
+const UNGROUPED_LABEL = 'Not set';
+
+// Group for blocks whose villas have different values in the group column
+const MIXED_LABEL = 'Mixed';
+
+// Extra rows rendered above and below the visible area
+const OVERSCAN_PX = 400;
 
 class GanttChart {
   constructor() {
@@ -26,10 +89,39 @@ class GanttChart {
     this.showVillas = false;
     
     this.timelineMonths = [];
-    this.pixelsPerDay = 3;
+    this.zoomLevel = 'month';
+    this.pixelsPerDay = ZOOM_LEVELS[this.zoomLevel].pixelsPerDay;
+    this.lastWheelZoom = 0;
+    
+    // Virtualized rows: only rows near the visible area are in the DOM
+    this.rowLayout = []; // [{ type, blockKey, blockData | villa, top, height, header }]
+    this.blockRows = new Map(); // blockKey → block entry in rowLayout
+    this.renderedRows = new Map(); // rowLayout index → row element
+    this.stickyRow = null; // Copy of the current block's row pinned to the top
+    this.renderRange = null; // { minDate, maxDate } of the last render
+    this.scrollFrame = null;
     this.todayLinePosition = null; // Store today line position
     this.currentBlockMap = null; // Store block map to persist labels
     
+    this.baselineData = null; // Frozen baseline: blockKey → { plannedStart, plannedFinish, villasByPlot }
+    this.baselineInfo = null; // Baseline version metadata
+    this.slipFilterDays = null; // Only show blocks that slipped more than N days (null = off)
+    
+    this.blockLinks = []; // Dependencies rolled up to blocks: [{ from, to, type, lagDays }]
+    this.criticalPathResult = null; // Float per block from criticalPath.analyze()
+    this.showDependencies = false;
+    this.showCriticalPath = false;
+    this.showProgress = true; // Actual bars, percent complete and forecast finish
+    this.editMode = false; // Drag/resize block bars to reschedule
+    
+    this.groupBy = null; // Key of GROUP_FIELDS (null = no grouping)
+    this.sortBy = 'block'; // 'block', 'start', 'finish' or 'slip'
+    this.collapsedGroups = new Set(); // `${groupBy}:${value}` of collapsed groups
+    
+    this.milestones = []; // From milestoneManager.getMilestones()
+    this.showMilestones = true;
+    this.milestoneRule = null; // Milestone whose date highlights blocks finishing after it
+    
     this.init();
   }
   
@@ -103,6 +195,167 @@ class GanttChart {
     document.getElementById('ganttFilterModel')?.addEventListener('change', (e) => {
       this.filterVillasInModel(e.target.checked);
     });
+    
+    // Slip filter (needs a baseline)
+    const updateSlipFilter = () => {
+      const enabled = document.getElementById('ganttSlipFilter')?.checked;
+      const days = parseInt(document.getElementById('ganttSlipDays')?.value || 0);
+      this.slipFilterDays = enabled ? days : null;
+      this.applyFilters();
+      this.renderChart();
+    };
+    document.getElementById('ganttSlipFilter')?.addEventListener('change', updateSlipFilter);
+    document.getElementById('ganttSlipDays')?.addEventListener('change', () => {
+      if (document.getElementById('ganttSlipFilter')?.checked) updateSlipFilter();
+    });
+    
+    document.getElementById('ganttShowProgress')?.addEventListener('change', (e) => {
+      this.showProgress = e.target.checked;
+      this.renderChart();
+    });
+    
+    // Dependencies and critical path
+    document.getElementById('ganttShowDependencies')?.addEventListener('change', (e) => {
+      this.showDependencies = e.target.checked;
+      this.renderChart();
+    });
+    
+    document.getElementById('ganttCriticalPath')?.addEventListener('change', (e) => {
+      this.showCriticalPath = e.target.checked;
+      this.renderChart();
+      this.isolateCriticalBlocks(e.target.checked);
+    });
+    
+    // Work calendar
+    workCalendar.onChange = () => this.loadScheduleData();
+    document.getElementById('ganttCalendarBtn')?.addEventListener('click', () => workCalendar.showSettings());
+    
+    // Milestones
+    document.getElementById('ganttShowMilestones')?.addEventListener('change', (e) => {
+      this.showMilestones = e.target.checked;
+      this.renderChart();
+    });
+    
+    document.getElementById('ganttMilestoneRule')?.addEventListener('change', (e) => {
+      this.setMilestoneRule(e.target.value || null);
+    });
+    
+    document.getElementById('ganttLoadMilestonesBtn')?.addEventListener('click', () => {
+      document.getElementById('ganttMilestoneFile')?.click();
+    });
+    
+    document.getElementById('ganttMilestoneFile')?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Allow loading the same file again
+      if (!file) return;
+      
+      try {
+        await milestoneManager.loadFile(file);
+        this.updateMilestones();
+        this.renderChart();
+      } catch (error) {
+        console.error('❌ Milestone file error:', error);
+        alert('Could not load milestones: ' + error.message);
+      }
+    });
+    
+    document.getElementById('ganttClearMilestonesBtn')?.addEventListener('click', () => {
+      milestoneManager.clearFile();
+      this.updateMilestones();
+      this.renderChart();
+    });
+    
+    // Grouping and sorting
+    document.getElementById('ganttGroupBy')?.addEventListener('change', (e) => {
+      this.groupBy = GROUP_FIELDS[e.target.value] ? e.target.value : null;
+      this.renderChart();
+    });
+    
+    document.getElementById('ganttSortBy')?.addEventListener('change', (e) => {
+      this.sortBy = e.target.value;
+      this.renderChart();
+    });
+    
+    // Zoom
+    document.getElementById('ganttZoom')?.addEventListener('change', (e) => this.setZoom(e.target.value));
+    
+    this.content?.addEventListener('wheel', (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      
+      // One level per gesture - trackpads send many small wheel events
+      const now = Date.now();
+      if (now - this.lastWheelZoom < 200) return;
+      this.lastWheelZoom = now;
+      
+      const levels = Object.keys(ZOOM_LEVELS);
+      const index = levels.indexOf(this.zoomLevel) + (e.deltaY < 0 ? -1 : 1);
+      if (index < 0 || index >= levels.length) return;
+      
+      const cursorX = e.clientX - this.content.getBoundingClientRect().left;
+      this.setZoom(levels[index], cursorX);
+    }, { passive: false });
+    
+    // Bar editing
+    scheduleEditor.onChange = () => this.loadScheduleData();
+    
+    document.getElementById('ganttEditMode')?.addEventListener('change', (e) => {
+      this.editMode = e.target.checked;
+      this.updateEditControls();
+      this.renderChart();
+    });
+    document.getElementById('ganttUndoBtn')?.addEventListener('click', () => scheduleEditor.undo());
+    document.getElementById('ganttRedoBtn')?.addEventListener('click', () => scheduleEditor.redo());
+    document.getElementById('ganttSaveXlsxBtn')?.addEventListener('click', () => this.saveEditedSchedule());
+    
+    document.addEventListener('keydown', (e) => {
+      if (!this.editMode || !this.window.classList.contains('visible')) return;
+      if (!(e.ctrlKey || e.metaKey) || e.target.matches?.('input, select, textarea')) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        scheduleEditor.undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        scheduleEditor.redo();
+      }
+    });
+    
+    // Export
+    document.getElementById('ganttExportBtn')?.addEventListener('click', () => this.exportChart());
+    
+    // Virtualized rows follow the scroll position and window size
+    this.content?.addEventListener('scroll', () => this.scheduleVisibleRows());
+    if (this.content && window.ResizeObserver) {
+      new ResizeObserver(() => this.scheduleVisibleRows()).observe(this.content);
+    }
+  }
+  
+  /**
+   * Change the timeline zoom level, keeping the date under anchorX in place
+   * @param {string} level - Key of ZOOM_LEVELS
+   * @param {number} anchorX - X position in the content area to zoom around (default: center)
+   */
+  setZoom(level, anchorX = null) {
+    if (!ZOOM_LEVELS[level] || level === this.zoomLevel) return;
+    
+    const anchor = anchorX ?? this.content.clientWidth / 2;
+    const timelineX = Math.max(0, this.content.scrollLeft + anchor - LABEL_WIDTH);
+    const anchorDays = timelineX / this.pixelsPerDay;
+    
+    this.zoomLevel = level;
+    this.pixelsPerDay = ZOOM_LEVELS[level].pixelsPerDay;
+    
+    const zoomSelect = document.getElementById('ganttZoom');
+    if (zoomSelect) zoomSelect.value = level;
+    
+    console.log(`🔍 Gantt zoom: ${ZOOM_LEVELS[level].label} (${this.pixelsPerDay}px/day)`);
+    
+    if (this.filteredData && this.filteredData.size > 0) {
+      this.renderChart();
+      this.content.scrollLeft = Math.max(0, anchorDays * this.pixelsPerDay + LABEL_WIDTH - anchor);
+    }
   }
   
   setupDragging() {
@@ -300,6 +553,7 @@ class GanttChart {
       this.toggleBtn.style.display = 'none';
     }
     this.loadScheduleData();
+    workCalendar.loadShared(); // Reloads the bars if an admin changed the calendar
   }
   
   close() {
@@ -401,9 +655,172 @@ class GanttChart {
       console.log('   villas count:', firstBlock[1].villas?.length || 0);
     }
     
+    this.updateCalendarLabel();
+    this.updateCriticalPath();
+    this.updateMilestones();
+    
     // Apply filters and render
     this.applyFilters();
     this.renderChart();
+    
+    if (this.showCriticalPath) {
+      this.isolateCriticalBlocks(true);
+    }
+    
+    this.updateEditControls();
+  }
+  
+  /**
+   * Enable undo/redo/save to match the edit history
+   */
+  updateEditControls() {
+    const undoBtn = document.getElementById('ganttUndoBtn');
+    const redoBtn = document.getElementById('ganttRedoBtn');
+    const saveBtn = document.getElementById('ganttSaveXlsxBtn');
+    const editLabel = document.getElementById('ganttEditLabel');
+    const editCount = scheduleEditor.canUndo() ? scheduleEditor.undoStack.length : 0;
+    
+    if (undoBtn) {
+      undoBtn.disabled = !this.editMode || !scheduleEditor.canUndo();
+      undoBtn.title = scheduleEditor.canUndo() ? `Undo ${scheduleEditor.undoStack.at(-1).label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !this.editMode || !scheduleEditor.canRedo();
+      redoBtn.title = scheduleEditor.canRedo() ? `Redo ${scheduleEditor.redoStack.at(-1).label} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+    }
+    if (saveBtn) {
+      saveBtn.disabled = !this.editMode || !dataParser.rawData;
+    }
+    if (editLabel) {
+      editLabel.textContent = editCount > 0 ? `✏️ ${editCount} unsaved edit${editCount !== 1 ? 's' : ''}` : '';
+    }
+  }
+  
+  /**
+   * Export the current view as PDF (A3/A4) or PNG
+   */
+  async exportChart() {
+    const format = document.getElementById('ganttExportFormat')?.value || 'pdf-a3';
+    const exportBtn = document.getElementById('ganttExportBtn');
+    if (exportBtn) exportBtn.disabled = true;
+    
+    try {
+      await ganttExport.exportChart(this, format);
+    } catch (error) {
+      console.error('❌ Gantt export failed:', error);
+      alert('Could not export the Gantt chart: ' + error.message);
+    } finally {
+      if (exportBtn) exportBtn.disabled = false;
+    }
+  }
+  
+  /**
+   * Download the edited schedule as .xlsx
+   */
+  saveEditedSchedule() {
+    try {
+      scheduleEditor.exportWorkbook();
+    } catch (error) {
+      console.error('❌ Could not save edited schedule:', error);
+      alert('Could not save the schedule: ' + error.message);
+    }
+  }
+  
+  /**
+   * Let a block bar be dragged (reschedule) or resized from either end (change duration).
+   * The bar previews the new dates while dragging; the edit is applied on release.
+   */
+  makeBarEditable(bar, blockKey, blockData) {
+    bar.classList.add('editable');
+    
+    ['start', 'finish'].forEach(edge => {
+      const handle = document.createElement('div');
+      handle.className = `gantt-bar-handle ${edge}`;
+      handle.dataset.edge = edge;
+      handle.title = edge === 'start' ? 'Drag to change the start date' : 'Drag to change the finish date';
+      bar.appendChild(handle);
+    });
+    
+    bar.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      
+      const mode = e.target.dataset.edge || 'move';
+      const startX = e.clientX;
+      const startLeft = parseFloat(bar.style.left);
+      const startWidth = parseFloat(bar.style.width);
+      const duration = Math.round((blockData.plannedFinish - blockData.plannedStart) / DAY_MS);
+      const label = bar.querySelector('span');
+      const originalLabel = label?.textContent;
+      let days = 0;
+      
+      const getDates = () => {
+        const start = new Date(blockData.plannedStart);
+        const finish = new Date(blockData.plannedFinish);
+        if (mode !== 'finish') start.setDate(start.getDate() + days);
+        if (mode !== 'start') finish.setDate(finish.getDate() + days);
+        return { start, finish };
+      };
+      
+      const onMove = (moveEvent) => {
+        days = Math.round((moveEvent.clientX - startX) / this.pixelsPerDay);
+        
+        // A bar can shrink to one day but not turn inside out
+        if (mode === 'start') days = Math.min(days, duration);
+        if (mode === 'finish') days = Math.max(days, -duration);
+        
+        const shift = days * this.pixelsPerDay;
+        bar.style.left = (startLeft + (mode === 'finish' ? 0 : shift)) + 'px';
+        bar.style.width = (startWidth + (mode === 'finish' ? shift : mode === 'start' ? -shift : 0)) + 'px';
+        
+        const { start, finish } = getDates();
+        if (label) label.textContent = `${this.formatDate(start)} - ${this.formatDate(finish)}`;
+      };
+      
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        bar.classList.remove('dragging');
+        
+        if (days === 0) {
+          bar.style.left = startLeft + 'px';
+          bar.style.width = startWidth + 'px';
+          if (label) label.textContent = originalLabel;
+          return;
+        }
+        
+        const { start, finish } = getDates();
+        scheduleEditor.rescheduleBlock(blockKey, start, finish);
+      };
+      
+      bar.classList.add('dragging');
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+  }
+  
+  /**
+   * Roll the schedule's relationships up to blocks and recompute float
+   */
+  updateCriticalPath() {
+    this.blockLinks = criticalPath.buildBlockLinks(dataParser.dependencies, dataParser.parsedData, this.scheduleData);
+    this.criticalPathResult = criticalPath.analyze(this.scheduleData, this.blockLinks);
+    
+    const label = document.getElementById('ganttCriticalPathLabel');
+    if (label) {
+      const { criticalBlocks, projectFinish } = this.criticalPathResult;
+      label.textContent = this.blockLinks.length > 0
+        ? `🛤️ ${criticalBlocks.length} critical block${criticalBlocks.length !== 1 ? 's' : ''} • finish ${this.formatDate(projectFinish)}`
+        : 'No relationships in schedule';
+    }
+  }
+  
+  /**
+   * Float info for a block, or null if it was left out of the analysis
+   */
+  getBlockFloat(blockKey) {
+    return this.criticalPathResult?.nodes.get(blockKey) || null;
   }
   
   applyDateFilter() {
@@ -449,7 +866,34 @@ class GanttChart {
       this.filterVillasInModel(true);
     }
   }
-  
+
+  /**
+   * Applied date filter as YYYY-MM-DD strings (saved views)
+   * @returns {object} { start, end } - null when open-ended
+   */
+  getDateRange() {
+    const toDateString = (date) => date ? date.toISOString().split('T')[0] : null;
+    return { start: toDateString(this.dateRange.start), end: toDateString(this.dateRange.end) };
+  }
+
+  /**
+   * Set the date filter from a saved view, without filtering the 3D model (the view restores isolation itself)
+   * @param {object} range - { start, end } as YYYY-MM-DD strings, null when open-ended
+   */
+  setDateRange({ start = null, end = null } = {}) {
+    document.getElementById('ganttStartDate').value = start || '';
+    document.getElementById('ganttEndDate').value = end || '';
+    this.dateRange.start = start ? new Date(start) : null;
+    this.dateRange.end = end ? new Date(end) : null;
+
+    console.log(`📅 Date filter set: ${start || 'none'} to ${end || 'none'}`);
+
+    if (this.window?.classList.contains('visible') && this.scheduleData.size > 0) {
+      this.applyFilters();
+      this.renderChart();
+    }
+  }
+
   applyFilters() {
     this.filteredData = new Map();
     
@@ -483,15 +927,15 @@ class GanttChart {
         if (!blockInRange) continue;
       }
       
-      // Apply look-ahead filter (adjustable weeks)
+      // Apply look-ahead filter (adjustable weeks of working days, so holidays and shutdowns extend it)
       if (this.showLookAhead) {
-        const today = new Date();
-        const weeksInput = document.getElementById('ganttLookAheadWeeks');
-        const weeks = parseInt(weeksInput?.value || 12);
-        const lookAheadDate = new Date(today);
-        lookAheadDate.setDate(today.getDate() + (weeks * 7));
-        
-        if (plannedStart > lookAheadDate) continue;
+        if (plannedStart > this.getLookAheadDate()) continue;
+      }
+      
+      // Apply slip filter (blocks that finish more than N days after the baseline)
+      if (this.slipFilterDays !== null && this.baselineData) {
+        const slip = this.getSlipDays(plannedFinish, this.baselineData.get(blockKey)?.plannedFinish);
+        if (slip === null || slip <= this.slipFilterDays) continue;
       }
       
       // Update blockData with converted dates
@@ -505,6 +949,226 @@ class GanttChart {
     console.log(`📊 Filtered data: ${this.filteredData.size} blocks`);
   }
   
+  /**
+   * Freeze a parsed schedule as the baseline drawn under the current bars
+   * @param {Map} scheduleByBlock - DataParser.scheduleByBlock of the baseline version
+   * @param {object} info - Baseline version metadata
+   */
+  setBaseline(scheduleByBlock, info = null) {
+    this.baselineData = new Map();
+    
+    for (const [blockKey, blockData] of scheduleByBlock) {
+      const villasByPlot = new Map();
+      (blockData.villas || []).forEach(villa => {
+        villasByPlot.set(String(villa.Plot).trim(), {
+          plannedStart: villa['Planned Start'],
+          plannedFinish: villa['Planned Finish']
+        });
+      });
+      
+      this.baselineData.set(blockKey, {
+        plannedStart: blockData.plannedStart,
+        plannedFinish: blockData.plannedFinish,
+        villasByPlot
+      });
+    }
+    
+    this.baselineInfo = info;
+    this.updateBaselineControls();
+    console.log(`📌 Gantt baseline set: ${this.baselineData.size} blocks${info ? ` (v${info.version})` : ''}`);
+    
+    if (this.scheduleData.size > 0) {
+      this.applyFilters();
+      this.renderChart();
+    }
+  }
+  
+  clearBaseline() {
+    this.baselineData = null;
+    this.baselineInfo = null;
+    this.slipFilterDays = null;
+    this.updateBaselineControls();
+    console.log('🧹 Gantt baseline cleared');
+    
+    if (this.scheduleData.size > 0) {
+      this.applyFilters();
+      this.renderChart();
+    }
+  }
+  
+  /**
+   * Enable the slip filter only when a baseline is loaded
+   */
+  updateBaselineControls() {
+    const slipCheckbox = document.getElementById('ganttSlipFilter');
+    const slipDays = document.getElementById('ganttSlipDays');
+    const hasBaseline = !!this.baselineData;
+    
+    if (slipCheckbox) {
+      slipCheckbox.disabled = !hasBaseline;
+      if (!hasBaseline) slipCheckbox.checked = false;
+    }
+    if (slipDays) slipDays.disabled = !hasBaseline;
+    
+    const baselineLabel = document.getElementById('ganttBaselineLabel');
+    if (baselineLabel) {
+      baselineLabel.textContent = this.baselineInfo ? `📌 Baseline v${this.baselineInfo.version}` : '';
+    }
+  }
+  
+  /**
+   * Finish slip against the baseline in working days (project calendar)
+   */
+  getSlipDays(currentFinish, baselineFinish) {
+    return workCalendar.workdaysBetween(baselineFinish, currentFinish);
+  }
+  
+  /**
+   * Last date of the look-ahead window: N weeks of working days from today
+   */
+  getLookAheadDate() {
+    const weeks = parseInt(document.getElementById('ganttLookAheadWeeks')?.value || 12);
+    const lookAheadDate = workCalendar.addWorkdays(new Date(), weeks * workCalendar.getWorkdaysPerWeek());
+    lookAheadDate.setHours(23, 59, 59, 999); // Include starts later on the last day
+    return lookAheadDate;
+  }
+  
+  /**
+   * Create the thin baseline bar drawn under a current bar
+   */
+  createBaselineBar(baseline, minDate, label) {
+    if (!baseline || !baseline.plannedStart || !baseline.plannedFinish) return null;
+    
+    const bar = document.createElement('div');
+    bar.className = 'gantt-baseline-bar';
+    bar.style.left = this.calculateBarPosition(baseline.plannedStart, minDate) + 'px';
+    bar.style.width = this.calculateBarWidth(baseline.plannedStart, baseline.plannedFinish) + 'px';
+    bar.title = `${label} baseline${this.baselineInfo ? ` (v${this.baselineInfo.version})` : ''}\nStart: ${this.formatDate(baseline.plannedStart)}\nFinish: ${this.formatDate(baseline.plannedFinish)}`;
+    return bar;
+  }
+  
+  /**
+   * Create the slip badge shown next to a row label
+   */
+  createSlipBadge(slip) {
+    if (slip === null) return '';
+    
+    const slipClass = slip > 0 ? 'late' : (slip < 0 ? 'early' : 'on-time');
+    const text = slip > 0 ? `+${slip}d` : `${slip}d`;
+    return `<span class="gantt-slip-badge ${slipClass}" title="Finish vs baseline (working days)">${text}</span>`;
+  }
+  
+  /**
+   * Percent complete of a villa from its status stage.
+   * Statuses without a known stage fall back to the Percent Complete column, then to the actual dates.
+   * @returns {number} 0-100
+   */
+  getVillaProgress(villa) {
+    const stageProgress = colorSchemes.resolveStatusProgress(villa.Status);
+    if (stageProgress !== null) return stageProgress;
+    
+    const percent = parseFloat(villa['Percent Complete']);
+    if (!isNaN(percent)) return Math.max(0, Math.min(100, percent));
+    
+    return villa['Actual Finish'] ? 100 : 0;
+  }
+  
+  /**
+   * Actual dates, percent complete and forecast finish of a bar (see workCalendar.forecast)
+   * @param {object} task - { plannedStart, plannedFinish, actualStart, actualFinish, percentComplete }
+   * @returns {object} { ...task, forecastFinish, lateDays (working days) }
+   */
+  getProgressForecast(task) {
+    return { ...task, ...workCalendar.forecast(task) };
+  }
+  
+  /**
+   * Roll villa actuals and progress up to the block
+   * Actual finish is only set once every villa has finished.
+   */
+  getBlockProgress(blockKey, blockData) {
+    const villas = this.scheduleData.get(blockKey)?.villas || [];
+    let actualStart = null;
+    let actualFinish = null;
+    let finishedCount = 0;
+    
+    villas.forEach(villa => {
+      const start = villa['Actual Start'];
+      const finish = villa['Actual Finish'];
+      if (start && (!actualStart || start < actualStart)) actualStart = start;
+      if (finish) {
+        finishedCount++;
+        if (!actualFinish || finish > actualFinish) actualFinish = finish;
+      }
+    });
+    
+    const percentComplete = villas.length > 0
+      ? Math.round(villas.reduce((sum, villa) => sum + this.getVillaProgress(villa), 0) / villas.length)
+      : 0;
+    
+    return this.getProgressForecast({
+      plannedStart: blockData.plannedStart,
+      plannedFinish: blockData.plannedFinish,
+      actualStart,
+      actualFinish: villas.length > 0 && finishedCount === villas.length ? actualFinish : null,
+      percentComplete
+    });
+  }
+  
+  /**
+   * Add the percent-complete fill, actual bar and forecast marker to a row
+   * @param {HTMLElement} timeline - Row timeline
+   * @param {HTMLElement} bar - Planned bar
+   * @param {object} progress - From getProgressForecast()
+   * @param {Date} minDate - Timeline start
+   */
+  addProgressBars(timeline, bar, progress, minDate) {
+    const fill = document.createElement('div');
+    fill.className = 'gantt-progress-fill';
+    fill.style.width = progress.percentComplete + '%';
+    bar.prepend(fill);
+    
+    if (progress.lateDays > 0) {
+      bar.classList.add('late');
+    }
+    
+    if (progress.actualStart) {
+      const actualEnd = progress.actualFinish || new Date();
+      const actualBar = document.createElement('div');
+      actualBar.className = progress.actualFinish ? 'gantt-actual-bar' : 'gantt-actual-bar in-progress';
+      actualBar.style.left = this.calculateBarPosition(progress.actualStart, minDate) + 'px';
+      actualBar.style.width = this.calculateBarWidth(progress.actualStart, actualEnd) + 'px';
+      actualBar.title = `Actual start: ${this.formatDate(progress.actualStart)}\n` +
+        (progress.actualFinish ? `Actual finish: ${this.formatDate(progress.actualFinish)}` : 'In progress');
+      timeline.appendChild(actualBar);
+    }
+    
+    if (progress.percentComplete < 100 && progress.forecastFinish) {
+      const marker = document.createElement('div');
+      marker.className = progress.lateDays > 0 ? 'gantt-forecast-marker late' : 'gantt-forecast-marker';
+      marker.style.left = this.calculateBarPosition(progress.forecastFinish, minDate) + 'px';
+      marker.title = `Forecast finish: ${this.formatDate(progress.forecastFinish)}` +
+        (progress.lateDays > 0 ? ` (${progress.lateDays} working days late)` : '');
+      timeline.appendChild(marker);
+    }
+    
+    bar.title += `\nComplete: ${progress.percentComplete}%`;
+    if (progress.actualStart) bar.title += `\nActual start: ${this.formatDate(progress.actualStart)}`;
+    if (progress.actualFinish) bar.title += `\nActual finish: ${this.formatDate(progress.actualFinish)}`;
+    if (progress.percentComplete < 100) {
+      bar.title += `\nForecast finish: ${this.formatDate(progress.forecastFinish)}`;
+    }
+    if (progress.lateDays > 0) bar.title += ` (${progress.lateDays} working days late)`;
+  }
+  
+  /**
+   * Badge for rows forecast to finish after their planned finish
+   */
+  createLateBadge(progress) {
+    if (!this.showProgress || !progress || progress.lateDays <= 0) return '';
+    return `<span class="gantt-late-badge" title="Forecast finish is ${progress.lateDays} working days after planned finish">Late</span>`;
+  }
+  
   renderChart() {
     if (this.filteredData.size === 0) {
       this.showEmptyState('No blocks match the current filters.');
@@ -522,22 +1186,36 @@ class GanttChart {
     
     // Add today line
     this.renderTodayLine(minDate, maxDate);
+    
+    this.renderMilestones(minDate, maxDate);
+    this.renderNonWorkingDays(minDate, maxDate);
+    
+    // Connector arrows need the rows laid out first
+    if (this.showDependencies) {
+      this.renderDependencyArrows();
+    }
   }
   
   calculateDateRange() {
     let minDate = null;
     let maxDate = null;
     
-    for (const [, blockData] of this.filteredData) {
-      const { plannedStart, plannedFinish } = blockData;
+    for (const [blockKey, blockData] of this.filteredData) {
+      const baseline = this.baselineData?.get(blockKey);
+      const starts = [blockData.plannedStart, baseline?.plannedStart];
+      const finishes = [blockData.plannedFinish, baseline?.plannedFinish];
       
-      if (plannedStart && (!minDate || plannedStart < minDate)) {
-        minDate = new Date(plannedStart);
-      }
+      starts.forEach(plannedStart => {
+        if (plannedStart && (!minDate || plannedStart < minDate)) {
+          minDate = new Date(plannedStart);
+        }
+      });
       
-      if (plannedFinish && (!maxDate || plannedFinish > maxDate)) {
-        maxDate = new Date(plannedFinish);
-      }
+      finishes.forEach(plannedFinish => {
+        if (plannedFinish && (!maxDate || plannedFinish > maxDate)) {
+          maxDate = new Date(plannedFinish);
+        }
+      });
     }
     
     // Fallback to current date if no data
@@ -572,6 +1250,48 @@ class GanttChart {
     return { minDate, maxDate };
   }
   
+  /**
+   * Split a date range into timeline cells of one unit
+   * @param {string} unit - 'day', 'week' (Monday start), 'month' or 'quarter'
+   * @returns {Array} [{ date, days, label }]
+   */
+  getTimelineCells(minDate, maxDate, unit) {
+    const cells = [];
+    const rangeEnd = new Date(maxDate.getFullYear(), maxDate.getMonth(), maxDate.getDate() + 1);
+    let cursor = new Date(minDate.getFullYear(), minDate.getMonth(), minDate.getDate());
+    
+    while (cursor < rangeEnd) {
+      let next;
+      let label;
+      
+      if (unit === 'day') {
+        next = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+        label = String(cursor.getDate());
+      } else if (unit === 'week') {
+        const daysToMonday = (8 - cursor.getDay()) % 7 || 7;
+        next = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + daysToMonday);
+        label = cursor.toLocaleDateString('en-US', { day: 'numeric', month: 'short' });
+      } else if (unit === 'quarter') {
+        const quarter = Math.floor(cursor.getMonth() / 3);
+        next = new Date(cursor.getFullYear(), (quarter + 1) * 3, 1);
+        label = `Q${quarter + 1}-${cursor.getFullYear()}`;
+      } else {
+        next = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+        label = `${cursor.toLocaleDateString('en-US', { month: 'short' })}-${cursor.getFullYear()}`;
+      }
+      
+      const end = next < rangeEnd ? next : rangeEnd;
+      cells.push({
+        date: new Date(cursor),
+        days: Math.round((end - cursor) / DAY_MS),
+        label
+      });
+      cursor = next;
+    }
+    
+    return cells;
+  }
+  
   renderTimeline(minDate, maxDate) {
     this.timeline.innerHTML = '';
     this.timelineMonths = [];
@@ -582,164 +1302,488 @@ class GanttChart {
     header.textContent = 'Construction Activity';
     this.timeline.appendChild(header);
     
-    // Timeline grid
+    // Timeline grid - one row per tier of the zoom level
     const grid = document.createElement('div');
     grid.className = 'gantt-timeline-grid';
     
-    const currentDate = new Date(minDate);
+    const { tiers } = ZOOM_LEVELS[this.zoomLevel];
     
-    while (currentDate <= maxDate) {
-      const monthStart = new Date(currentDate);
-      const monthEnd = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
-      
-      const daysInMonth = monthEnd.getDate();
-      const monthWidth = daysInMonth * this.pixelsPerDay;
-      
-      const monthCell = document.createElement('div');
-      monthCell.className = 'gantt-timeline-month';
-      monthCell.style.width = monthWidth + 'px';
-      monthCell.innerHTML = `
-        <div class="gantt-month-name">${monthStart.toLocaleDateString('en-US', { month: 'short' })}-${monthStart.getFullYear()}</div>
-      `;
-      
-      grid.appendChild(monthCell);
+    tiers.forEach((unit, tierIndex) => {
+      const tier = document.createElement('div');
+      tier.className = 'gantt-timeline-tier';
       
-      this.timelineMonths.push({
-        date: new Date(monthStart),
-        width: monthWidth,
-        days: daysInMonth
+      this.getTimelineCells(minDate, maxDate, unit).forEach(cell => {
+        const width = cell.days * this.pixelsPerDay;
+        const cellEl = document.createElement('div');
+        cellEl.style.width = width + 'px';
+        
+        if (tierIndex === 0) {
+          cellEl.className = 'gantt-timeline-month';
+          cellEl.innerHTML = `<div class="gantt-month-name">${cell.label}</div>`;
+          this.timelineMonths.push({
+            date: cell.date,
+            width,
+            days: cell.days
+          });
+        } else {
+          cellEl.className = 'gantt-timeline-tick';
+          cellEl.textContent = cell.label;
+          cellEl.title = this.formatDate(cell.date);
+        }
+        
+        tier.appendChild(cellEl);
       });
       
-      currentDate.setMonth(currentDate.getMonth() + 1);
-    }
+      grid.appendChild(tier);
+    });
     
+    // Stretch the sticky header over the full timeline so it scrolls with the rows
+    const timelineWidth = this.timelineMonths.reduce((sum, month) => sum + month.width, 0);
+    this.timeline.style.minWidth = (LABEL_WIDTH + timelineWidth) + 'px';
     this.timeline.appendChild(grid);
   }
   
+  /**
+   * Lay out every block (and villa) row, then render only the rows near the visible area
+   */
   renderTasks(minDate, maxDate) {
     this.tasksContainer.innerHTML = '';
+    this.renderedRows = new Map();
+    this.stickyRow = null;
+    this.renderRange = { minDate, maxDate };
     
-    // Sort blocks by number
-    const sortedBlocks = Array.from(this.filteredData.entries()).sort((a, b) => {
-      const numA = parseInt(a[0]) || 0;
-      const numB = parseInt(b[0]) || 0;
-      return numA - numB;
-    });
+    const sortedBlocks = this.sortBlocks(Array.from(this.filteredData.entries()));
     
-    for (const [blockKey, blockData] of sortedBlocks) {
-      const taskRow = this.createTaskRow(blockKey, blockData, minDate, maxDate);
-      this.tasksContainer.appendChild(taskRow);
+    this.rowLayout = [];
+    this.blockRows = new Map();
+    let top = 0;
+    
+    const addBlockRows = ([blockKey, blockData]) => {
+      const header = { type: 'block', blockKey, blockData, top, height: BLOCK_ROW_HEIGHT };
+      this.rowLayout.push(header);
+      this.blockRows.set(blockKey, header);
+      top += BLOCK_ROW_HEIGHT;
       
       // Add villa rows if "Show Villas" is enabled
       if (this.showVillas) {
-        const villaRows = this.createVillaRows(blockKey, minDate, maxDate);
-        villaRows.forEach(row => this.tasksContainer.appendChild(row));
+        this.getSortedVillas(blockKey).forEach(villa => {
+          if (!villa['Planned Start'] || !villa['Planned Finish']) return;
+          this.rowLayout.push({ type: 'villa', blockKey, villa, top, height: VILLA_ROW_HEIGHT, header });
+          top += VILLA_ROW_HEIGHT;
+        });
       }
+      
+      header.bottom = top; // End of the block's villa rows
+    };
+    
+    if (this.groupBy) {
+      this.groupBlocks(sortedBlocks).forEach(group => {
+        const collapsed = this.collapsedGroups.has(group.key);
+        this.rowLayout.push({ type: 'group', group, collapsed, top, height: GROUP_ROW_HEIGHT });
+        top += GROUP_ROW_HEIGHT;
+        if (!collapsed) group.blocks.forEach(addBlockRows);
+      });
+    } else {
+      sortedBlocks.forEach(addBlockRows);
     }
+    
+    const timelineDays = Math.round((maxDate - minDate) / DAY_MS) + 1;
+    this.tasksContainer.style.height = top + 'px';
+    this.tasksContainer.style.width = (LABEL_WIDTH + timelineDays * this.pixelsPerDay) + 'px';
+    
+    this.renderVisibleRows();
+    console.log(`📋 Laid out ${this.rowLayout.length} rows (${this.renderedRows.size} rendered)`);
+  }
+  
+  /**
+   * Render the visible rows on the next animation frame
+   */
+  scheduleVisibleRows() {
+    if (this.scrollFrame || !this.renderRange) return;
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.renderVisibleRows();
+    });
   }
   
-  createVillaRows(blockKey, minDate, maxDate) {
-    const rows = [];
+  /**
+   * Add rows that scrolled into view, remove rows that scrolled out,
+   * and pin the current block's row to the top while its villas are visible
+   */
+  renderVisibleRows() {
+    if (!this.renderRange || this.rowLayout.length === 0) return;
     
-    // Get villas from the block's data structure
-    const blockData = this.scheduleData.get(blockKey);
-    if (!blockData || !blockData.villas || blockData.villas.length === 0) {
-      return rows;
-    }
+    const { minDate, maxDate } = this.renderRange;
+    const viewTop = this.content.scrollTop - this.tasksContainer.offsetTop;
+    const viewBottom = viewTop + this.content.clientHeight;
     
-    const blockVillas = blockData.villas;
+    const first = this.findRowAt(viewTop - OVERSCAN_PX);
+    const last = this.findRowAt(viewBottom + OVERSCAN_PX);
     
-    // Sort by plot number
-    blockVillas.sort((a, b) => {
-      const plotA = parseInt(a.Plot) || 0;
-      const plotB = parseInt(b.Plot) || 0;
-      return plotA - plotB;
-    });
+    for (const [index, element] of this.renderedRows) {
+      if (index < first || index > last) {
+        element.remove();
+        this.renderedRows.delete(index);
+      }
+    }
     
-    blockVillas.forEach((villa, index) => {
-      const startDate = villa['Planned Start'];
-      const finishDate = villa['Planned Finish'];
-      
-      if (!startDate || !finishDate) return;
+    for (let index = first; index <= last; index++) {
+      if (this.renderedRows.has(index)) continue;
       
-      // Get status and precaster from villa data
-      const status = villa.Status || '';
-      const precaster = villa.PreCaster || '';
-      
-      // Debug first villa
-      if (index === 0) {
-        console.log('🏠 First villa in block:', {
-          Plot: villa.Plot,
-          Status: status,
-          PreCaster: precaster,
-          rawVilla: villa
-        });
+      const entry = this.rowLayout[index];
+      let row;
+      if (entry.type === 'group') {
+        row = this.createGroupRow(entry.group, entry.collapsed, minDate);
+      } else if (entry.type === 'block') {
+        row = this.createTaskRow(entry.blockKey, entry.blockData, minDate, maxDate);
+      } else {
+        row = this.createVillaRow(entry.blockKey, entry.villa, minDate);
       }
       
-      // Define status colors - exact match and partial match
-      const statusColors = {
-        'Raft Completed': '#0066FF',
-        'Pre-Cast in Progress': '#66FFFF',
-        'Pre-Cast Completed': '#CCCC00',
-        'MEP & Finishes in Progress': '#FF66CC',
-        'MEP & Finishes Completed': '#66FF33',
-        'Villa Handover': '#339966'
-      };
-      
-      // Try exact match first, then partial match
-      let barColor = statusColors[status];
-      if (!barColor) {
-        // Partial match
-        const statusLower = status.toLowerCase();
-        if (statusLower.includes('raft')) barColor = '#0066FF';
-        else if (statusLower.includes('pre-cast') && statusLower.includes('progress')) barColor = '#66FFFF';
-        else if (statusLower.includes('pre-cast') && statusLower.includes('completed')) barColor = '#CCCC00';
-        else if (statusLower.includes('mep') && statusLower.includes('progress')) barColor = '#FF66CC';
-        else if (statusLower.includes('mep') && statusLower.includes('completed')) barColor = '#66FF33';
-        else if (statusLower.includes('handover')) barColor = '#339966';
-        else barColor = '#667eea'; // Default gray
+      this.positionRow(row, entry.top, entry.height);
+      this.tasksContainer.appendChild(row);
+      this.renderedRows.set(index, row);
+    }
+    
+    this.updateStickyRow(viewTop);
+  }
+  
+  /**
+   * Index of the row at a vertical position (clamped to the first/last row)
+   */
+  findRowAt(y) {
+    let low = 0;
+    let high = this.rowLayout.length - 1;
+    
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.rowLayout[mid].top <= y) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return low;
+  }
+  
+  /**
+   * Place a row at its layout position
+   */
+  positionRow(row, top, height) {
+    row.classList.add('gantt-virtual-row');
+    row.style.top = top + 'px';
+    row.style.height = height + 'px';
+  }
+  
+  /**
+   * Keep the block row of the villas at the top of the view pinned (sticky block header).
+   * It is pushed up by the next block's row as that scrolls in.
+   */
+  updateStickyRow(viewTop) {
+    const current = this.rowLayout[this.findRowAt(viewTop)];
+    const header = current?.type === 'villa' ? current.header : null;
+    
+    if (!header || viewTop <= header.top) {
+      this.stickyRow?.remove();
+      this.stickyRow = null;
+      return;
+    }
+    
+    if (this.stickyRow?.dataset.stickyBlock !== header.blockKey) {
+      this.stickyRow?.remove();
+      const { minDate, maxDate } = this.renderRange;
+      this.stickyRow = this.createTaskRow(header.blockKey, header.blockData, minDate, maxDate);
+      this.stickyRow.classList.add('gantt-sticky-block');
+      delete this.stickyRow.dataset.block; // Not a layout row
+      this.stickyRow.dataset.stickyBlock = header.blockKey;
+      this.tasksContainer.appendChild(this.stickyRow);
+    }
+    
+    this.positionRow(this.stickyRow, Math.min(viewTop, header.bottom - header.height), header.height);
+  }
+  
+  /**
+   * Sort block entries by the selected order (ties and blocks without the value
+   * fall back to block number)
+   * @param {Array} entries - [blockKey, blockData] pairs
+   */
+  sortBlocks(entries) {
+    const byNumber = (a, b) => (parseInt(a[0]) || 0) - (parseInt(b[0]) || 0);
+    
+    // Value to sort by; null sorts last
+    let valueOf = null;
+    let descending = false;
+    if (this.sortBy === 'start') {
+      valueOf = ([, blockData]) => blockData.plannedStart?.getTime() ?? null;
+    } else if (this.sortBy === 'finish') {
+      valueOf = ([, blockData]) => blockData.plannedFinish?.getTime() ?? null;
+    } else if (this.sortBy === 'slip') {
+      // Most slipped first; blocks without a baseline last
+      valueOf = ([blockKey, blockData]) => this.getSlipDays(blockData.plannedFinish, this.baselineData?.get(blockKey)?.plannedFinish);
+      descending = true;
+    }
+    
+    if (!valueOf) return entries.sort(byNumber);
+    
+    return entries.sort((a, b) => {
+      const valueA = valueOf(a);
+      const valueB = valueOf(b);
+      if (valueA === null || valueB === null) {
+        return valueA === valueB ? byNumber(a, b) : (valueA === null ? 1 : -1);
+      }
+      return (descending ? valueB - valueA : valueA - valueB) || byNumber(a, b);
+    });
+  }
+  
+  /**
+   * Value of the group-by column for a block: the block's own value when it has one
+   * (contractor), otherwise the value its villas share - "Mixed" when they differ
+   */
+  getBlockGroupValue(blockKey, blockData, field) {
+    const { villaKey } = GROUP_FIELDS[field];
+    const own = field === 'contractor' ? blockData.contractor : null;
+    if (own) return String(own).trim();
+    
+    const values = new Set();
+    (blockData.villas || this.scheduleData.get(blockKey)?.villas || []).forEach(villa => {
+      const value = String(villa[villaKey] ?? '').trim();
+      if (value) values.add(value);
+    });
+    
+    if (values.size > 1) return MIXED_LABEL;
+    return values.values().next().value || UNGROUPED_LABEL;
+  }
+  
+  /**
+   * Split sorted blocks into groups by the group-by column. Blocks keep their order
+   * inside a group; groups are ordered by name with "Not set" last.
+   * @param {Array} sortedBlocks - [blockKey, blockData] pairs
+   * @returns {Array} [{ key, value, blocks, villaCount, plannedStart, plannedFinish }]
+   */
+  groupBlocks(sortedBlocks) {
+    const groups = new Map();
+    
+    sortedBlocks.forEach(([blockKey, blockData]) => {
+      const value = this.getBlockGroupValue(blockKey, blockData, this.groupBy);
+      if (!groups.has(value)) {
+        groups.set(value, {
+          key: `${this.groupBy}:${value}`,
+          value,
+          blocks: [],
+          villaCount: 0,
+          plannedStart: null,
+          plannedFinish: null
+        });
       }
       
-      const row = document.createElement('div');
-      row.className = 'gantt-task-row';
-      row.style.background = '#f9f9f9';
-      
-      // Villa label
-      const label = document.createElement('div');
-      label.className = 'gantt-task-label';
-      label.style.paddingLeft = '30px'; // Indent to show hierarchy
-      label.innerHTML = `
-        <div class="gantt-task-name" style="font-size: 11px;">Plot ${villa.Plot}</div>
-        <div class="gantt-task-meta">${precaster ? 'PC: ' + precaster : ''}</div>
-      `;
-      row.appendChild(label);
-      
-      // Villa timeline
-      const timeline = document.createElement('div');
-      timeline.className = 'gantt-task-timeline';
-      
-      const barPosition = this.calculateBarPosition(startDate, minDate);
-      const barWidth = this.calculateBarWidth(startDate, finishDate);
-      
-      const bar = document.createElement('div');
-      bar.className = 'gantt-task-bar villa-task';
-      bar.style.left = barPosition + 'px';
-      bar.style.width = barWidth + 'px';
-      bar.style.background = barColor;
-      
-      const startStr = this.formatDate(startDate);
-      const endStr = this.formatDate(finishDate);
-      
-      bar.innerHTML = `<span>${precaster || ''}</span>`;
-      bar.title = `Plot ${villa.Plot}\nStatus: ${status}\nPrecaster: ${precaster}\nStart: ${startStr}\nFinish: ${endStr}`;
-      
-      timeline.appendChild(bar);
-      row.appendChild(timeline);
-      
-      rows.push(row);
+      const group = groups.get(value);
+      group.blocks.push([blockKey, blockData]);
+      group.villaCount += blockData.villas?.length || 0;
+      if (!group.plannedStart || blockData.plannedStart < group.plannedStart) group.plannedStart = blockData.plannedStart;
+      if (!group.plannedFinish || blockData.plannedFinish > group.plannedFinish) group.plannedFinish = blockData.plannedFinish;
+    });
+    
+    // "Mixed" and "Not set" go after the named groups
+    const rank = (value) => (value === MIXED_LABEL ? 1 : value === UNGROUPED_LABEL ? 2 : 0);
+    return Array.from(groups.values()).sort((a, b) =>
+      rank(a.value) - rank(b.value) || a.value.localeCompare(b.value, undefined, { numeric: true }));
+  }
+  
+  /**
+   * Collapse or expand a group and lay the rows out again
+   */
+  toggleGroup(groupKey) {
+    if (this.collapsedGroups.has(groupKey)) {
+      this.collapsedGroups.delete(groupKey);
+    } else {
+      this.collapsedGroups.add(groupKey);
+    }
+    this.renderChart();
+  }
+  
+  /**
+   * Create a group header row with a summary bar over its blocks' span
+   */
+  createGroupRow(group, collapsed, minDate) {
+    const { value, blocks, villaCount, plannedStart, plannedFinish } = group;
+    const fieldLabel = GROUP_FIELDS[this.groupBy].label;
+    
+    const row = document.createElement('div');
+    row.className = collapsed ? 'gantt-task-row gantt-group-row collapsed' : 'gantt-task-row gantt-group-row';
+    row.dataset.group = group.key;
+    row.title = collapsed ? 'Click to expand' : 'Click to collapse';
+    row.addEventListener('click', () => this.toggleGroup(group.key));
+    
+    const label = document.createElement('div');
+    label.className = 'gantt-task-label';
+    label.innerHTML = `
+      <div class="gantt-task-name"><span class="gantt-group-toggle">${collapsed ? '▶' : '▼'}</span> <span class="gantt-group-value"></span></div>
+      <div class="gantt-task-meta">${fieldLabel} • ${blocks.length} block${blocks.length !== 1 ? 's' : ''} • ${villaCount} villa${villaCount !== 1 ? 's' : ''}</div>
+    `;
+    // The value comes from the spreadsheet - set as text, never as markup
+    label.querySelector('.gantt-group-value').textContent = value;
+    row.appendChild(label);
+    
+    const timeline = document.createElement('div');
+    timeline.className = 'gantt-task-timeline';
+    
+    const bar = document.createElement('div');
+    bar.className = 'gantt-summary-bar';
+    bar.style.left = this.calculateBarPosition(plannedStart, minDate) + 'px';
+    bar.style.width = this.calculateBarWidth(plannedStart, plannedFinish) + 'px';
+    if (this.groupBy === 'contractor') {
+      bar.style.color = this.getContractorBarColor(value); // Bar and bracket ends use currentColor
+    }
+    bar.title = `${fieldLabel}: ${value}\nStart: ${this.formatDate(plannedStart)}\nFinish: ${this.formatDate(plannedFinish)}`;
+    
+    timeline.appendChild(bar);
+    row.appendChild(timeline);
+    
+    return row;
+  }
+  
+  /**
+   * Villas of a block sorted by plot number
+   */
+  getSortedVillas(blockKey) {
+    const blockData = this.scheduleData.get(blockKey);
+    if (!blockData || !blockData.villas) return [];
+    
+    return [...blockData.villas].sort((a, b) => {
+      const plotA = parseInt(a.Plot) || 0;
+      const plotB = parseInt(b.Plot) || 0;
+      return plotA - plotB;
     });
+  }
+  
+  /**
+   * Block bar color by contractor (case-insensitive match)
+   */
+  getContractorBarColor(contractor) {
+    const contractorUpper = String(contractor || '').toUpperCase().trim();
+    return GANTT_CONTRACTOR_COLORS[contractorUpper] || GANTT_DEFAULT_BAR_COLOR;
+  }
+  
+  /**
+   * Villa bar color by status stage (exact match first, then partial match)
+   */
+  getStatusBarColor(status) {
+    const stage = colorSchemes.resolveStatusStage(status);
+    return GANTT_STATUS_COLORS[stage] || GANTT_DEFAULT_BAR_COLOR;
+  }
+  
+  /**
+   * Legend entries for the current view (contractor colors, plus status colors when villas are shown)
+   * @returns {Array} [{ label, color, kind: 'bar' | 'baseline' | 'line' | 'milestone' | 'outline' }]
+   */
+  getLegendItems() {
+    const items = Object.entries(GANTT_CONTRACTOR_COLORS).map(([label, color]) => ({ label, color, kind: 'bar' }));
+    items.push({ label: 'Other contractor', color: GANTT_DEFAULT_BAR_COLOR, kind: 'bar' });
+    
+    if (this.showVillas) {
+      Object.entries(GANTT_STATUS_COLORS).forEach(([label, color]) => items.push({ label, color, kind: 'bar' }));
+    }
+    if (this.baselineData) {
+      items.push({ label: 'Baseline', color: '#999999', kind: 'baseline' });
+    }
+    items.push({ label: 'Today', color: '#dc3545', kind: 'line' });
+    
+    if (this.showMilestones) {
+      new Set(this.milestones.map(milestone => milestone.type)).forEach(type => {
+        const { label, color } = milestoneManager.getTypeInfo(type);
+        items.push({ label, color, kind: 'milestone' });
+      });
+    }
+    if (this.milestoneRule) {
+      items.push({ label: `Finishes after ${this.milestoneRule.name}`, color: '#dc3545', kind: 'outline' });
+    }
     
-    return rows;
+    return items;
+  }
+  
+  /**
+   * Create the row of one villa, indented under its block
+   */
+  createVillaRow(blockKey, villa, minDate) {
+    const startDate = villa['Planned Start'];
+    const finishDate = villa['Planned Finish'];
+    
+    if (!startDate || !finishDate) return null;
+    
+    // Get status and precaster from villa data
+    const status = villa.Status || '';
+    const precaster = villa.PreCaster || '';
+    
+    const barColor = this.getStatusBarColor(status);
+    
+    const row = document.createElement('div');
+    row.className = 'gantt-task-row';
+    row.style.background = '#f9f9f9';
+    
+    // Baseline dates for this villa
+    const villaBaseline = this.baselineData?.get(blockKey)?.villasByPlot.get(String(villa.Plot).trim());
+    const villaSlip = this.getSlipDays(finishDate, villaBaseline?.plannedFinish);
+    
+    const villaProgress = this.showProgress ? this.getProgressForecast({
+      plannedStart: startDate,
+      plannedFinish: finishDate,
+      actualStart: villa['Actual Start'],
+      actualFinish: villa['Actual Finish'],
+      percentComplete: this.getVillaProgress(villa)
+    }) : null;
+    
+    // Villa label
+    const label = document.createElement('div');
+    label.className = 'gantt-task-label';
+    label.style.paddingLeft = '30px'; // Indent to show hierarchy
+    label.innerHTML = `
+      <div class="gantt-task-name" style="font-size: 11px;">Plot ${villa.Plot} ${this.createSlipBadge(villaSlip)} ${this.createLateBadge(villaProgress)}</div>
+      <div class="gantt-task-meta">${precaster ? 'PC: ' + precaster : ''}${villaProgress ? `${precaster ? ' • ' : ''}${villaProgress.percentComplete}%` : ''}</div>
+    `;
+    row.appendChild(label);
+    
+    // Villa timeline
+    const timeline = document.createElement('div');
+    timeline.className = 'gantt-task-timeline';
+    
+    const barPosition = this.calculateBarPosition(startDate, minDate);
+    const barWidth = this.calculateBarWidth(startDate, finishDate);
+    
+    const bar = document.createElement('div');
+    bar.className = 'gantt-task-bar villa-task';
+    bar.style.left = barPosition + 'px';
+    bar.style.width = barWidth + 'px';
+    bar.style.background = barColor;
+    
+    const startStr = this.formatDate(startDate);
+    const endStr = this.formatDate(finishDate);
+    
+    bar.innerHTML = `<span>${precaster || ''}</span>`;
+    bar.title = `Plot ${villa.Plot}\nStatus: ${status}\nPrecaster: ${precaster}\nStart: ${startStr}\nFinish: ${endStr}`;
+    if (villaSlip !== null) {
+      bar.title += `\nSlip vs baseline: ${villaSlip} working days`;
+    }
+    
+    const daysAfterMilestone = this.getMilestoneDaysAfter(blockKey, finishDate);
+    if (daysAfterMilestone !== null) {
+      bar.classList.add('after-milestone');
+      bar.title += `\nFinishes ${daysAfterMilestone} working days after ${this.milestoneRule.name}`;
+    }
+    
+    const villaBaselineBar = this.createBaselineBar(villaBaseline, minDate, `Plot ${villa.Plot}`);
+    if (villaBaselineBar) {
+      villaBaselineBar.classList.add('villa-baseline');
+      timeline.appendChild(villaBaselineBar);
+    }
+    
+    timeline.appendChild(bar);
+    if (villaProgress) {
+      this.addProgressBars(timeline, bar, villaProgress, minDate);
+    }
+    row.appendChild(timeline);
+    
+    return row;
   }
   
   renderTodayLine(minDate, maxDate) {
@@ -770,7 +1814,6 @@ class GanttChart {
     const position = this.calculateBarPosition(todayDate, minDate);
     
     // Add label column width (200px) to position - today line must align with timeline grid
-    const LABEL_WIDTH = 200;
     const adjustedPosition = LABEL_WIDTH + position;
     
     console.log(`📍 Today line calculation:`, {
@@ -844,6 +1887,159 @@ class GanttChart {
     this.tasksContainer.appendChild(line);
   }
   
+  /**
+   * Show the working week and number of days off next to the Calendar button
+   */
+  updateCalendarLabel() {
+    const label = document.getElementById('ganttCalendarLabel');
+    if (!label) return;
+    
+    const workdays = workCalendar.describeWorkdays(); // Loads the calendar on first use
+    const { holidays, shutdowns } = workCalendar.settings;
+    label.textContent = `${workdays}${holidays.length ? ` • ${holidays.length} holidays` : ''}${shutdowns.length ? ` • ${shutdowns.length} shutdowns` : ''}`;
+  }
+  
+  /**
+   * Shade non-working days of the project calendar over the rows.
+   * Weekends are only shaded at Day and Week zoom, where they are wide enough to read.
+   */
+  renderNonWorkingDays(minDate, maxDate) {
+    this.tasksContainer.querySelectorAll('.gantt-nonworking').forEach(el => el.remove());
+    
+    const includeWeekends = this.pixelsPerDay >= ZOOM_LEVELS.week.pixelsPerDay;
+    const periods = workCalendar.getNonWorkingPeriods(minDate, maxDate, includeWeekends);
+    
+    periods.forEach(period => {
+      const shade = document.createElement('div');
+      shade.className = `gantt-nonworking ${period.kind}`;
+      shade.style.left = (LABEL_WIDTH + this.calculateBarPosition(period.start, minDate)) + 'px';
+      shade.style.width = this.calculateBarWidth(period.start, period.end) + 'px';
+      this.tasksContainer.appendChild(shade);
+    });
+  }
+  
+  /**
+   * Reload milestones (schedule workbook sheet + separate file) and refresh the toolbar
+   */
+  updateMilestones() {
+    this.milestones = milestoneManager.getMilestones();
+    
+    // Keep the highlight rule if its milestone is still there
+    if (this.milestoneRule) {
+      this.milestoneRule = this.milestones.find(milestone => milestone.id === this.milestoneRule.id) || null;
+    }
+    
+    const ruleSelect = document.getElementById('ganttMilestoneRule');
+    if (ruleSelect) {
+      // Milestone ids and names come from the loaded file, so options are built as text
+      ruleSelect.replaceChildren(
+        new Option('No milestone highlight', ''),
+        ...this.milestones.map(milestone =>
+          new Option(`Finishing after ${milestone.name} (${this.formatDate(milestone.date)})`, milestone.id))
+      );
+      ruleSelect.value = this.milestoneRule?.id || '';
+      ruleSelect.disabled = this.milestones.length === 0;
+    }
+    
+    const label = document.getElementById('ganttMilestoneLabel');
+    if (label) {
+      label.textContent = this.milestones.length > 0
+        ? `📍 ${this.milestones.length} milestones${milestoneManager.fileName ? ` (${milestoneManager.fileName})` : ''}`
+        : '';
+    }
+    
+    const clearBtn = document.getElementById('ganttClearMilestonesBtn');
+    if (clearBtn) clearBtn.disabled = !milestoneManager.fileName;
+  }
+  
+  /**
+   * Highlight blocks (and villas) that finish after a milestone date
+   * @param {string|null} milestoneId - Milestone id, or null to turn the highlight off
+   */
+  setMilestoneRule(milestoneId) {
+    this.milestoneRule = this.milestones.find(milestone => milestone.id === milestoneId) || null;
+    
+    const ruleSelect = document.getElementById('ganttMilestoneRule');
+    if (ruleSelect) ruleSelect.value = this.milestoneRule?.id || '';
+    
+    if (this.milestoneRule) {
+      const lateBlocks = Array.from(this.filteredData.entries())
+        .filter(([blockKey, blockData]) => milestoneManager.getDaysAfter(this.milestoneRule, blockKey, blockData.plannedFinish) !== null);
+      console.log(`📍 ${lateBlocks.length} blocks finish after ${this.milestoneRule.name}`);
+    }
+    
+    this.renderChart();
+  }
+  
+  /**
+   * Days a bar finishes after the highlighted milestone (null if on time or no rule)
+   */
+  getMilestoneDaysAfter(blockKey, plannedFinish) {
+    if (!this.milestoneRule) return null;
+    return milestoneManager.getDaysAfter(this.milestoneRule, blockKey, plannedFinish);
+  }
+  
+  /**
+   * Milestones that fall inside a date range (periods that overlap it)
+   */
+  getVisibleMilestones(minDate, maxDate) {
+    if (!this.showMilestones) return [];
+    return this.milestones.filter(milestone =>
+      milestone.date <= maxDate && (milestone.endDate || milestone.date) >= minDate);
+  }
+  
+  /**
+   * Draw milestones: a diamond in the timeline header and a vertical marker through the rows.
+   * Periods (milestones with an end date, e.g. shutdowns) are drawn as a shaded band.
+   */
+  renderMilestones(minDate, maxDate) {
+    this.timeline.querySelector('.gantt-milestone-tier')?.remove();
+    this.tasksContainer.querySelectorAll('.gantt-milestone-line, .gantt-milestone-band').forEach(el => el.remove());
+    
+    const visible = this.getVisibleMilestones(minDate, maxDate);
+    if (visible.length === 0) return;
+    
+    const tier = document.createElement('div');
+    tier.className = 'gantt-timeline-tier gantt-milestone-tier';
+    
+    visible.forEach(milestone => {
+      const typeInfo = milestoneManager.getTypeInfo(milestone.type);
+      const start = milestone.date < minDate ? minDate : milestone.date;
+      const left = this.calculateBarPosition(start, minDate);
+      
+      let tooltip = `${milestone.name}\n${typeInfo.label}: ${this.formatDate(milestone.date)}`;
+      if (milestone.endDate) tooltip += ` - ${this.formatDate(milestone.endDate)}`;
+      if (milestone.blocks) tooltip += `\nBlocks: ${Array.from(milestone.blocks).join(', ')}`;
+      if (milestone.description) tooltip += `\n${milestone.description}`;
+      tooltip += '\nClick to highlight blocks finishing after this date';
+      
+      const diamond = document.createElement('div');
+      diamond.className = milestone === this.milestoneRule ? 'gantt-milestone-diamond active' : 'gantt-milestone-diamond';
+      diamond.style.left = left + 'px';
+      diamond.style.background = milestone.color;
+      diamond.title = tooltip;
+      diamond.addEventListener('click', () => {
+        this.setMilestoneRule(milestone === this.milestoneRule ? null : milestone.id);
+      });
+      tier.appendChild(diamond);
+      
+      const marker = document.createElement('div');
+      if (milestone.endDate) {
+        const end = milestone.endDate > maxDate ? maxDate : milestone.endDate;
+        marker.className = 'gantt-milestone-band';
+        marker.style.width = this.calculateBarWidth(start, end) + 'px';
+        marker.style.background = milestone.color;
+      } else {
+        marker.className = 'gantt-milestone-line';
+        marker.style.borderLeftColor = milestone.color;
+      }
+      marker.style.left = (LABEL_WIDTH + left) + 'px';
+      this.tasksContainer.appendChild(marker);
+    });
+    
+    this.timeline.querySelector('.gantt-timeline-grid')?.appendChild(tier);
+  }
+  
   filterBlocksByTodayLine(todayDate) {
     // Filter to show only blocks that start before or on the today line date
     console.log(`📊 Filtering blocks up to ${this.formatDate(todayDate)}`);
@@ -1177,15 +2373,30 @@ class GanttChart {
     const villaTypes = new Set(blockVillas.map(v => v['Villa Type'] || v.Villa || 'N/A'));
     const villaTypeStr = Array.from(villaTypes).join(', ');
     
+    // Baseline comparison
+    const baseline = this.baselineData?.get(blockKey);
+    const slip = this.getSlipDays(plannedFinish, baseline?.plannedFinish);
+    
+    // Actual progress and forecast
+    const progress = this.showProgress ? this.getBlockProgress(blockKey, blockData) : null;
+    
+    // Critical path
+    const float = this.getBlockFloat(blockKey);
+    const isCritical = this.showCriticalPath && float?.critical;
+    
+    // Milestone highlight
+    const daysAfterMilestone = this.getMilestoneDaysAfter(blockKey, plannedFinish);
+    
     const row = document.createElement('div');
     row.className = 'gantt-task-row';
+    row.dataset.block = blockKey;
     
     // Task label with villa info
     const label = document.createElement('div');
     label.className = 'gantt-task-label';
     label.innerHTML = `
-      <div class="gantt-task-name">Block ${blockNumber}</div>
-      <div class="gantt-task-meta">${villaCount} villa${villaCount !== 1 ? 's' : ''} • ${villaTypeStr}</div>
+      <div class="gantt-task-name">Block ${blockNumber} ${this.createSlipBadge(slip)} ${this.createLateBadge(progress)}</div>
+      <div class="gantt-task-meta">${villaCount} villa${villaCount !== 1 ? 's' : ''} • ${villaTypeStr}${progress ? ` • ${progress.percentComplete}%` : ''}</div>
     `;
     row.appendChild(label);
     
@@ -1197,26 +2408,11 @@ class GanttChart {
     const barPosition = this.calculateBarPosition(plannedStart, minDate);
     const barWidth = this.calculateBarWidth(plannedStart, plannedFinish);
     
-    // Define contractor colors
-    const contractorColors = {
-      'SPML': '#66B3FF',     // Light Blue for SPML
-      'ABR': '#DAA520'       // Golden for ABR
-    };
-    
-    // Get contractor color (case-insensitive match)
-    let barColor = '#667eea'; // Default color
-    if (contractor) {
-      const contractorUpper = contractor.toUpperCase().trim();
-      if (contractorUpper === 'SPML') {
-        barColor = contractorColors['SPML'];
-      } else if (contractorUpper === 'ABR') {
-        barColor = contractorColors['ABR'];
-      }
-    }
+    const barColor = this.getContractorBarColor(contractor);
     
     // Task bar
     const bar = document.createElement('div');
-    bar.className = 'gantt-task-bar';
+    bar.className = isCritical ? 'gantt-task-bar critical' : 'gantt-task-bar';
     bar.style.left = barPosition + 'px';
     bar.style.width = barWidth + 'px';
     bar.style.background = barColor;
@@ -1228,14 +2424,180 @@ class GanttChart {
       <span>${startStr} - ${endStr}</span>
     `;
     
-    bar.title = `Block ${blockNumber}\nContractor: ${contractor || 'N/A'}\nStart: ${startStr}\nFinish: ${endStr}`;
+    bar.title = `Block ${blockNumber}\nContractor: ${contractor || 'N/A'}\nStart: ${startStr}\nFinish: ${endStr}\nDuration: ${workCalendar.durationWorkdays(plannedStart, plannedFinish)} working days`;
+    if (this.editMode) {
+      this.makeBarEditable(bar, blockKey, blockData);
+    }
+    if (slip !== null) {
+      bar.title += `\nBaseline finish: ${this.formatDate(baseline.plannedFinish)}\nSlip: ${slip} working days`;
+    }
+    if (float && this.blockLinks.length > 0) {
+      bar.title += `\nTotal float: ${float.totalFloat} working days${float.critical ? ' (critical)' : ''}`;
+    }
+    if (daysAfterMilestone !== null) {
+      bar.classList.add('after-milestone');
+      bar.title += `\nFinishes ${daysAfterMilestone} working days after ${this.milestoneRule.name}`;
+    }
+    
+    const baselineBar = this.createBaselineBar(baseline, minDate, `Block ${blockNumber}`);
+    if (baselineBar) {
+      timeline.appendChild(baselineBar);
+    }
     
     timeline.appendChild(bar);
+    if (progress) {
+      this.addProgressBars(timeline, bar, progress, minDate);
+    }
     row.appendChild(timeline);
     
     return row;
   }
   
+  /**
+   * Draw connector arrows between the block rows of every visible dependency.
+   * FS links run from the predecessor's finish to the successor's start, SS start → start,
+   * FF finish → finish and SF start → finish.
+   */
+  renderDependencyArrows() {
+    this.tasksContainer.querySelector('.gantt-dependency-layer')?.remove();
+    if (this.blockLinks.length === 0) return;
+    
+    const { minDate } = this.renderRange;
+    
+    // Left/right edge and vertical middle of a block's bar (from the row layout, so rows
+    // scrolled out of view still get their arrows)
+    const getAnchor = (blockKey) => {
+      const entry = this.blockRows.get(blockKey);
+      if (!entry) return null;
+      const { plannedStart, plannedFinish } = entry.blockData;
+      const left = LABEL_WIDTH + this.calculateBarPosition(plannedStart, minDate);
+      return {
+        start: left,
+        finish: left + this.calculateBarWidth(plannedStart, plannedFinish),
+        y: entry.top + entry.height / 2
+      };
+    };
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'gantt-dependency-layer');
+    svg.setAttribute('width', this.tasksContainer.offsetWidth);
+    svg.setAttribute('height', this.tasksContainer.offsetHeight);
+    svg.innerHTML = `
+      <defs>
+        <marker id="ganttArrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M0,0 L8,4 L0,8 z" class="gantt-dependency-arrowhead"></path>
+        </marker>
+        <marker id="ganttArrowCritical" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M0,0 L8,4 L0,8 z" class="gantt-dependency-arrowhead critical"></path>
+        </marker>
+      </defs>
+    `;
+    
+    let drawn = 0;
+    this.blockLinks.forEach(link => {
+      const from = getAnchor(link.from);
+      const to = getAnchor(link.to);
+      if (!from || !to) return;
+      
+      const fromX = (link.type === 'SS' || link.type === 'SF') ? from.start : from.finish;
+      const toX = (link.type === 'FF' || link.type === 'SF') ? to.finish : to.start;
+      const GAP = 8;
+      
+      // Leave the predecessor, drop to the successor's row, then run into its bar
+      const exitX = (link.type === 'SS' || link.type === 'SF') ? fromX - GAP : fromX + GAP;
+      const entryX = (link.type === 'FF' || link.type === 'SF') ? toX + GAP : toX - GAP;
+      const points = [[fromX, from.y], [exitX, from.y], [exitX, to.y], [entryX, to.y], [toX, to.y]];
+      
+      const isCritical = this.showCriticalPath &&
+        this.getBlockFloat(link.from)?.critical && this.getBlockFloat(link.to)?.critical;
+      
+      const path = document.createElementNS(svgNS, 'path');
+      path.setAttribute('d', points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x},${y}`).join(' '));
+      path.setAttribute('class', isCritical ? 'gantt-dependency-line critical' : 'gantt-dependency-line');
+      path.setAttribute('marker-end', `url(#${isCritical ? 'ganttArrowCritical' : 'ganttArrow'})`);
+      
+      const title = document.createElementNS(svgNS, 'title');
+      const lag = link.lagDays ? ` ${link.lagDays > 0 ? '+' : ''}${link.lagDays}d` : '';
+      title.textContent = `Block ${link.from} → Block ${link.to} (${link.type}${lag})`;
+      path.appendChild(title);
+      
+      svg.appendChild(path);
+      drawn++;
+    });
+    
+    this.tasksContainer.appendChild(svg);
+    console.log(`🔗 Drew ${drawn} of ${this.blockLinks.length} block dependencies`);
+  }
+  
+  /**
+   * Isolate and highlight the critical blocks in the model
+   * @param {boolean} enabled - False restores the Gantt model filter (or shows everything)
+   */
+  isolateCriticalBlocks(enabled) {
+    if (!window.viewerManager || !window.viewerManager.viewer?.model) {
+      console.warn('⚠️ Viewer not available for critical path isolation');
+      return;
+    }
+    
+    if (!window.embeddedDataManager) {
+      console.warn('⚠️ Embedded data manager not available. Please analyze the model first.');
+      return;
+    }
+    
+    if (!enabled) {
+      // Swap the critical color back for the user's color scheme (its color map is untouched);
+      // the Gantt model filter then applies its own colors on top as usual
+      window.viewerManager.clearColors();
+      window.embeddedColorManager?.render();
+
+      const filterModelCheckbox = document.getElementById('ganttFilterModel');
+      if (filterModelCheckbox && filterModelCheckbox.checked) {
+        this.filterVillasInModel(true);
+      } else {
+        window.viewerManager.showAll();
+      }
+      console.log('🔄 Critical path isolation cleared');
+      return;
+    }
+    
+    const criticalBlocks = this.criticalPathResult?.criticalBlocks || [];
+    const blockMap = new Map();
+    const dbIdsToShow = [];
+    
+    criticalBlocks.forEach(blockKey => {
+      const blockDbIds = [];
+      this.villaData
+        .filter(villa => String(villa.Block).trim() === blockKey)
+        .forEach(villa => {
+          const plotDbIds = window.embeddedDataManager.getElementsByPlot(String(villa.Plot || villa.plot).trim());
+          if (plotDbIds && plotDbIds.length > 0) {
+            blockDbIds.push(...plotDbIds);
+          }
+        });
+      
+      if (blockDbIds.length > 0) {
+        dbIdsToShow.push(...blockDbIds);
+        blockMap.set(blockKey, { block: blockKey, dbIds: blockDbIds, types: new Set() });
+      }
+    });
+    
+    if (dbIdsToShow.length === 0) {
+      console.warn(`⚠️ No model elements found for ${criticalBlocks.length} critical blocks`);
+      return;
+    }
+    
+    window.viewerManager.isolate(dbIdsToShow);
+    window.viewerManager.clearColors();
+    window.viewerManager.setColor(dbIdsToShow, CRITICAL_COLOR);
+    window.viewerManager.fitToView(dbIdsToShow);
+    
+    this.currentBlockMap = blockMap;
+    this.createBlockLabels(blockMap);
+    
+    console.log(`🛤️ Isolated ${blockMap.size} critical blocks (${dbIdsToShow.length} elements)`);
+  }
+  
   calculateBarPosition(startDate, timelineStart) {
     const daysDiff = Math.floor((startDate - timelineStart) / (1000 * 60 * 60 * 24));
     const position = daysDiff * this.pixelsPerDay;
@@ -1254,6 +2616,10 @@ class GanttChart {
     return position;
   }
   
+  /**
+   * Bar width in calendar days - the timeline is drawn in calendar days, with non-working
+   * days shaded; durations and slip figures use working days (workCalendar)
+   */
   calculateBarWidth(startDate, endDate) {
     const duration = Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
     return duration * this.pixelsPerDay;
@@ -1270,6 +2636,10 @@ class GanttChart {
   
   showEmptyState(message) {
     this.timeline.innerHTML = '';
+    this.renderRange = null;
+    this.rowLayout = [];
+    this.tasksContainer.style.height = '';
+    this.tasksContainer.style.width = '';
     this.tasksContainer.innerHTML = `
       <div class="gantt-empty-state">
         <div class="gantt-empty-state-icon">📊</div>
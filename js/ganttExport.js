@@ -0,0 +1,527 @@
+/**
+ * Gantt Export Module
+ * Draws the current filtered Gantt view onto canvas pages and saves it as a PDF or PNG
+ * (rows are virtualized on screen, so the export draws from the row layout instead of the DOM)
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Landscape page sizes in mm
+const PAGE_SIZES = {
+  a3: { width: 420, height: 297 },
+  a4: { width: 297, height: 210 }
+};
+
+// CSS pixels per mm at 96 dpi
+const PX_PER_MM = 96 / 25.4;
+
+// Canvas pixels per CSS pixel (print resolution)
+const RENDER_SCALE = 2;
+
+// Largest canvas side most browsers accept
+const MAX_CANVAS_SIDE = 16000;
+
+// Time the browser gets to start a download before its object URL is released
+const DOWNLOAD_REVOKE_DELAY_MS = 10000;
+
+// Layout (CSS pixels)
+const MARGIN = 24;
+const TITLE_HEIGHT = 58;
+const LEGEND_HEIGHT = 26;
+const HEADER_HEIGHT = 34;
+const LABEL_WIDTH = 180;
+const BLOCK_ROW_HEIGHT = 26;
+const VILLA_ROW_HEIGHT = 20;
+const GROUP_ROW_HEIGHT = 22;
+const FONT = 'Segoe UI, Arial, sans-serif';
+
+class GanttExport {
+  /**
+   * Export the chart
+   * @param {GanttChart} chart - Gantt chart to export (its current filters, villas and today line)
+   * @param {string} format - 'pdf-a3', 'pdf-a4' or 'png'
+   */
+  async exportChart(chart, format) {
+    if (!chart.renderRange || chart.rowLayout.length === 0) {
+      throw new Error('Open the Gantt chart with schedule data before exporting');
+    }
+
+    if (format === 'png') {
+      await this.exportPng(chart);
+    } else {
+      this.exportPdf(chart, format === 'pdf-a4' ? 'a4' : 'a3');
+    }
+  }
+
+  /**
+   * Rows to print, from the chart's row layout
+   * @returns {Array} [{ type, label, meta, start, finish, color, baseline }]
+   */
+  getRows(chart) {
+    return chart.rowLayout.map(entry => {
+      if (entry.type === 'group') {
+        const { group } = entry;
+        return {
+          type: 'group',
+          label: group.value,
+          meta: `${group.blocks.length} blocks${entry.collapsed ? ' (collapsed)' : ''}`,
+          start: group.plannedStart,
+          finish: group.plannedFinish,
+          color: '#004E43',
+          baseline: null
+        };
+      }
+
+      if (entry.type === 'block') {
+        const { blockData, blockKey } = entry;
+        return {
+          type: 'block',
+          blockKey,
+          label: `Block ${blockData.blockNumber ?? blockKey}`,
+          meta: blockData.contractor || '',
+          start: blockData.plannedStart,
+          finish: blockData.plannedFinish,
+          color: chart.getContractorBarColor(blockData.contractor),
+          baseline: chart.baselineData?.get(blockKey) || null,
+          afterMilestone: chart.getMilestoneDaysAfter(blockKey, blockData.plannedFinish) !== null
+        };
+      }
+
+      const { villa, blockKey } = entry;
+      return {
+        type: 'villa',
+        blockKey,
+        label: `Plot ${villa.Plot}`,
+        meta: villa.PreCaster || villa.Status || '',
+        start: villa['Planned Start'],
+        finish: villa['Planned Finish'],
+        color: chart.getStatusBarColor(villa.Status || ''),
+        baseline: chart.baselineData?.get(blockKey)?.villasByPlot.get(String(villa.Plot).trim()) || null,
+        afterMilestone: chart.getMilestoneDaysAfter(blockKey, villa['Planned Finish']) !== null
+      };
+    });
+  }
+
+  /**
+   * Title block text lines
+   */
+  getTitleInfo(chart) {
+    const from = document.getElementById('ganttStartDate')?.value;
+    const to = document.getElementById('ganttEndDate')?.value;
+    // Date inputs hold YYYY-MM-DD, which new Date() reads as UTC (the day before, west of UTC)
+    const formatInput = (value) => value ? chart.formatDate(new Date(`${value}T00:00:00`)) : null;
+
+    let range = from || to
+      ? `${formatInput(from) || 'Start'} – ${formatInput(to) || 'End'}`
+      : 'All dates';
+    if (chart.showLookAhead) {
+      const weeks = parseInt(document.getElementById('ganttLookAheadWeeks')?.value || 12);
+      range += ` • ${weeks}-week look-ahead`;
+    }
+
+    const blockCount = chart.rowLayout.filter(entry => entry.type === 'block').length;
+    const villaCount = chart.rowLayout.filter(entry => entry.type === 'villa').length;
+
+    return {
+      title: 'Schedule Gantt Chart',
+      range: `Date range: ${range}`,
+      printed: `Printed: ${new Date().toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}`,
+      counts: `${blockCount} block${blockCount !== 1 ? 's' : ''}${villaCount > 0 ? ` • ${villaCount} villas` : ''}`
+    };
+  }
+
+  /**
+   * Draw the title block (and the page number when given)
+   */
+  drawTitleBlock(ctx, width, info, pageLabel = null) {
+    ctx.fillStyle = '#004E43';
+    ctx.fillRect(0, 0, width, 4);
+
+    ctx.fillStyle = '#004E43';
+    ctx.font = `bold 20px ${FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(info.title, 0, 12);
+
+    ctx.fillStyle = '#333';
+    ctx.font = `12px ${FONT}`;
+    ctx.fillText(`${info.range}   |   ${info.counts}`, 0, 38);
+
+    ctx.textAlign = 'right';
+    ctx.fillText(info.printed, width, 16);
+    if (pageLabel) ctx.fillText(pageLabel, width, 38);
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Draw the legend on one line
+   */
+  drawLegend(ctx, items, y) {
+    let x = 0;
+    ctx.font = `11px ${FONT}`;
+    ctx.textBaseline = 'middle';
+
+    items.forEach(item => {
+      if (item.kind === 'line') {
+        this.drawDashedLine(ctx, x + 6, y - 7, x + 6, y + 7, item.color);
+      } else if (item.kind === 'baseline') {
+        ctx.fillStyle = item.color;
+        ctx.fillRect(x, y + 2, 14, 4);
+      } else if (item.kind === 'milestone') {
+        this.drawDiamond(ctx, x + 7, y, 6, item.color);
+      } else if (item.kind === 'outline') {
+        ctx.strokeStyle = item.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, y - 5, 12, 10);
+      } else {
+        ctx.fillStyle = item.color;
+        ctx.fillRect(x, y - 6, 14, 12);
+      }
+      ctx.fillStyle = '#333';
+      ctx.fillText(item.label, x + 18, y);
+      x += 18 + ctx.measureText(item.label).width + 16;
+    });
+  }
+
+  drawDiamond(ctx, x, y, radius, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x, y - radius);
+    ctx.lineTo(x + radius, y);
+    ctx.lineTo(x, y + radius);
+    ctx.lineTo(x - radius, y);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  drawDashedLine(ctx, x1, y1, x2, y2, color) {
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  getRowHeight(row) {
+    if (row.type === 'group') return GROUP_ROW_HEIGHT;
+    return row.type === 'block' ? BLOCK_ROW_HEIGHT : VILLA_ROW_HEIGHT;
+  }
+
+  /**
+   * Text cut to fit a width
+   */
+  fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(fitted + '…').width > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return fitted + '…';
+  }
+
+  /**
+   * Draw the timeline header, rows and today line
+   * @param {object} options - { width, rows, minDate, maxDate, pixelsPerDay, todayDate }
+   * @returns {number} Height drawn
+   */
+  drawChart(ctx, chart, { width, rows, minDate, maxDate, pixelsPerDay, todayDate }) {
+    // Same day rounding as the on-screen bars (calculateBarPosition / calculateBarWidth)
+    const toX = (date) => LABEL_WIDTH + Math.floor((date - minDate) / DAY_MS) * pixelsPerDay;
+    const toWidth = (start, finish) => (Math.floor((finish - start) / DAY_MS) + 1) * pixelsPerDay;
+    const rowsHeight = rows.reduce((sum, row) => sum + this.getRowHeight(row), 0);
+
+    // Timeline header: months (quarters when narrow), with weeks or days under them when there is room
+    ctx.fillStyle = '#f8f9fa';
+    ctx.fillRect(0, 0, width, HEADER_HEIGHT);
+    ctx.fillStyle = '#004E43';
+    ctx.font = `bold 11px ${FONT}`;
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Construction Activity', 8, HEADER_HEIGHT / 2);
+
+    const majorUnit = pixelsPerDay * 30 < 50 ? 'quarter' : 'month';
+    const minorUnit = pixelsPerDay >= 14 ? 'day' : (pixelsPerDay * 7 >= 30 ? 'week' : null);
+    const majorHeight = minorUnit ? HEADER_HEIGHT / 2 : HEADER_HEIGHT;
+
+    ctx.strokeStyle = '#d0d0d0';
+    ctx.lineWidth = 1;
+    let x = LABEL_WIDTH;
+    chart.getTimelineCells(minDate, maxDate, majorUnit).forEach(cell => {
+      const cellWidth = cell.days * pixelsPerDay;
+      ctx.strokeRect(x, 0, cellWidth, majorHeight);
+      ctx.fillStyle = '#004E43';
+      ctx.font = `bold 11px ${FONT}`;
+      ctx.textAlign = 'center';
+      ctx.fillText(this.fitText(ctx, cell.label, cellWidth - 4), x + cellWidth / 2, majorHeight / 2);
+
+      // Month grid line through the rows
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, HEADER_HEIGHT);
+      ctx.lineTo(x + 0.5, HEADER_HEIGHT + rowsHeight);
+      ctx.strokeStyle = '#ececec';
+      ctx.stroke();
+      ctx.strokeStyle = '#d0d0d0';
+
+      x += cellWidth;
+    });
+
+    if (minorUnit) {
+      x = LABEL_WIDTH;
+      ctx.font = `9px ${FONT}`;
+      chart.getTimelineCells(minDate, maxDate, minorUnit).forEach(cell => {
+        const cellWidth = cell.days * pixelsPerDay;
+        ctx.strokeRect(x, majorHeight, cellWidth, HEADER_HEIGHT - majorHeight);
+        ctx.fillStyle = '#666';
+        ctx.fillText(this.fitText(ctx, cell.label, cellWidth - 2), x + cellWidth / 2, majorHeight + (HEADER_HEIGHT - majorHeight) / 2);
+        x += cellWidth;
+      });
+    }
+    ctx.textAlign = 'left';
+
+    ctx.strokeStyle = '#004E43';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, HEADER_HEIGHT);
+    ctx.lineTo(width, HEADER_HEIGHT);
+    ctx.stroke();
+
+    // Rows
+    let y = HEADER_HEIGHT;
+    rows.forEach(row => {
+      const height = this.getRowHeight(row);
+
+      if (row.type !== 'block') {
+        ctx.fillStyle = row.type === 'group' ? '#e6f2f0' : '#f9f9f9';
+        ctx.fillRect(0, y, width, height);
+      }
+
+      // Label column
+      const indent = row.type === 'villa' ? 22 : 8;
+      ctx.fillStyle = row.type === 'group' ? '#004E43' : '#333';
+      ctx.font = row.type === 'villa' ? `10px ${FONT}` : `bold 11px ${FONT}`;
+      ctx.textBaseline = 'middle';
+      const label = row.continued ? `${row.label} (cont.)` : row.label;
+      ctx.fillText(this.fitText(ctx, label, 80), indent, y + height / 2);
+      ctx.fillStyle = '#888';
+      ctx.font = `9px ${FONT}`;
+      ctx.fillText(this.fitText(ctx, row.meta, LABEL_WIDTH - indent - 92), indent + 84, y + height / 2);
+
+      // Baseline under the bar
+      if (row.baseline?.plannedStart && row.baseline?.plannedFinish) {
+        ctx.fillStyle = 'rgba(153, 153, 153, 0.7)';
+        ctx.fillRect(toX(row.baseline.plannedStart), y + height - 5, toWidth(row.baseline.plannedStart, row.baseline.plannedFinish), 3);
+      }
+
+      // Planned bar
+      if (row.start && row.finish) {
+        const barX = toX(row.start);
+        const barWidth = Math.max(2, toWidth(row.start, row.finish));
+        const barHeight = row.type === 'block' ? 16 : (row.type === 'group' ? 8 : 12);
+        ctx.fillStyle = row.color;
+        ctx.fillRect(barX, y + (height - barHeight) / 2, barWidth, barHeight);
+        if (row.afterMilestone) {
+          ctx.strokeStyle = '#dc3545';
+          ctx.lineWidth = 2;
+          ctx.strokeRect(barX, y + (height - barHeight) / 2, barWidth, barHeight);
+        }
+
+        // Group summary bars are too thin for text
+        let barText = row.type === 'villa' ? row.meta : null;
+        if (row.type === 'block') barText = `${chart.formatDate(row.start)} - ${chart.formatDate(row.finish)}`;
+        ctx.font = `9px ${FONT}`;
+        if (barText && ctx.measureText(barText).width < barWidth - 6) {
+          ctx.fillStyle = row.type === 'block' ? 'white' : '#222';
+          ctx.fillText(barText, barX + 3, y + height / 2);
+        }
+      }
+
+      ctx.strokeStyle = '#e8e8e8';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(0, y + height - 0.5);
+      ctx.lineTo(width, y + height - 0.5);
+      ctx.stroke();
+
+      y += height;
+    });
+
+    // Label column divider
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.beginPath();
+    ctx.moveTo(LABEL_WIDTH - 0.5, 0);
+    ctx.lineTo(LABEL_WIDTH - 0.5, y);
+    ctx.stroke();
+
+    // Milestones: periods as shaded bands, key dates as a line with a diamond on the header
+    chart.getVisibleMilestones(minDate, maxDate).forEach(milestone => {
+      const startX = toX(milestone.date < minDate ? minDate : milestone.date);
+      if (milestone.endDate) {
+        ctx.save();
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = milestone.color;
+        ctx.fillRect(startX, HEADER_HEIGHT, toWidth(milestone.date < minDate ? minDate : milestone.date, milestone.endDate > maxDate ? maxDate : milestone.endDate), y - HEADER_HEIGHT);
+        ctx.restore();
+      } else {
+        ctx.strokeStyle = milestone.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(startX, HEADER_HEIGHT);
+        ctx.lineTo(startX, y);
+        ctx.stroke();
+      }
+      this.drawDiamond(ctx, startX, HEADER_HEIGHT, 5, milestone.color);
+    });
+
+    // Today line
+    if (todayDate >= minDate && todayDate <= maxDate) {
+      const todayX = toX(todayDate);
+      this.drawDashedLine(ctx, todayX, HEADER_HEIGHT, todayX, y, '#dc3545');
+      ctx.fillStyle = '#dc3545';
+      ctx.font = `bold 9px ${FONT}`;
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`Today ${chart.formatDate(todayDate)}`, todayX + 3, HEADER_HEIGHT + 12);
+    }
+
+    return y;
+  }
+
+  /**
+   * Split rows into pages; a page that starts inside a block repeats the block row first
+   */
+  paginate(rows, rowsHeight) {
+    const pages = [];
+    let page = [];
+    let used = 0;
+    let currentBlockRow = null;
+
+    rows.forEach(row => {
+      const height = this.getRowHeight(row);
+
+      if (used + height > rowsHeight && page.length > 0) {
+        pages.push(page);
+        page = [];
+        used = 0;
+
+        if (row.type === 'villa' && currentBlockRow) {
+          page.push({ ...currentBlockRow, continued: true });
+          used += BLOCK_ROW_HEIGHT;
+        }
+      }
+
+      if (row.type !== 'villa') currentBlockRow = row.type === 'block' ? row : null;
+      page.push(row);
+      used += height;
+    });
+
+    if (page.length > 0) pages.push(page);
+    return pages;
+  }
+
+  /**
+   * Create a canvas scaled for drawing in CSS pixels
+   */
+  createCanvas(width, height, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+    return { canvas, ctx };
+  }
+
+  getTodayDate(chart) {
+    return chart.todayLinePosition !== null ? new Date(chart.todayLinePosition) : new Date();
+  }
+
+  /**
+   * Multi-page landscape PDF; the timeline is scaled to fit the page width
+   * @param {string} size - 'a3' or 'a4'
+   */
+  exportPdf(chart, size) {
+    const jsPDF = window.jspdf?.jsPDF;
+    if (!jsPDF) {
+      throw new Error('PDF library (jsPDF) is not loaded');
+    }
+
+    const page = PAGE_SIZES[size];
+    const pageWidth = page.width * PX_PER_MM;
+    const pageHeight = page.height * PX_PER_MM;
+    const contentWidth = pageWidth - MARGIN * 2;
+    const { minDate, maxDate } = chart.renderRange;
+    const totalDays = Math.round((maxDate - minDate) / DAY_MS) + 1;
+    const pixelsPerDay = (contentWidth - LABEL_WIDTH) / totalDays;
+
+    const rowsHeight = pageHeight - MARGIN * 2 - TITLE_HEIGHT - LEGEND_HEIGHT - HEADER_HEIGHT;
+    const pages = this.paginate(this.getRows(chart), rowsHeight);
+    const info = this.getTitleInfo(chart);
+    const legend = chart.getLegendItems();
+    const todayDate = this.getTodayDate(chart);
+
+    const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: size });
+
+    pages.forEach((rows, index) => {
+      const { canvas, ctx } = this.createCanvas(pageWidth, pageHeight, RENDER_SCALE);
+      ctx.translate(MARGIN, MARGIN);
+      this.drawTitleBlock(ctx, contentWidth, info, `Page ${index + 1} of ${pages.length}`);
+      this.drawLegend(ctx, legend, TITLE_HEIGHT + LEGEND_HEIGHT / 2 - 4);
+      ctx.translate(0, TITLE_HEIGHT + LEGEND_HEIGHT);
+      this.drawChart(ctx, chart, { width: contentWidth, rows, minDate, maxDate, pixelsPerDay, todayDate });
+
+      if (index > 0) pdf.addPage(size, 'landscape');
+      pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, page.width, page.height);
+    });
+
+    const stamp = new Date().toISOString().split('T')[0];
+    pdf.save(`gantt_${size.toUpperCase()}_${stamp}.pdf`);
+    console.log(`🖨️ Exported Gantt PDF (${size.toUpperCase()}, ${pages.length} pages, ${chart.rowLayout.length} rows)`);
+  }
+
+  /**
+   * One high-resolution PNG of the whole view at the current zoom
+   */
+  async exportPng(chart) {
+    const { minDate, maxDate } = chart.renderRange;
+    const totalDays = Math.round((maxDate - minDate) / DAY_MS) + 1;
+    const rows = this.getRows(chart);
+    const rowsHeight = rows.reduce((sum, row) => sum + this.getRowHeight(row), 0);
+
+    // Keep the legend readable even for short schedules
+    const contentWidth = Math.max(LABEL_WIDTH + totalDays * chart.pixelsPerDay, 900);
+    const pixelsPerDay = (contentWidth - LABEL_WIDTH) / totalDays;
+    const width = contentWidth + MARGIN * 2;
+    const height = MARGIN * 2 + TITLE_HEIGHT + LEGEND_HEIGHT + HEADER_HEIGHT + rowsHeight;
+    const scale = Math.min(RENDER_SCALE, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height);
+
+    const { canvas, ctx } = this.createCanvas(width, height, scale);
+    ctx.translate(MARGIN, MARGIN);
+    this.drawTitleBlock(ctx, contentWidth, this.getTitleInfo(chart));
+    this.drawLegend(ctx, chart.getLegendItems(), TITLE_HEIGHT + LEGEND_HEIGHT / 2 - 4);
+    ctx.translate(0, TITLE_HEIGHT + LEGEND_HEIGHT);
+    this.drawChart(ctx, chart, { width: contentWidth, rows, minDate, maxDate, pixelsPerDay, todayDate: this.getTodayDate(chart) });
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      // Browsers return no blob when the canvas is too large to encode
+      throw new Error(`The chart is too large for a PNG (${canvas.width}×${canvas.height}px) - zoom out or export a PDF`);
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gantt_${new Date().toISOString().split('T')[0]}.png`;
+    a.click();
+    // Revoking right away can cancel the download before the browser has read the blob
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY_MS);
+
+    console.log(`🖼️ Exported Gantt PNG (${canvas.width}×${canvas.height}px, ${rows.length} rows)`);
+  }
+}
+
+// Export singleton instance
+export const ganttExport = new GanttExport();
+export default ganttExport;
@@ -0,0 +1,15 @@
+/**
+ * HTML Utilities
+ * Shared helper for building markup from data (sheet headers, view and scheme names, block codes)
+ */
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a value for HTML text or a quoted attribute
+ * @param {*} value - Value to show (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ENTITIES[ch]);
+}
@@ -10,6 +10,7 @@ import { modelDataMapper } from './modelDataMapper.js';
 import { colorManager } from './colorManager.js';
 import { propertyPanel } from './propertyPanel.js';
 import { authManager } from './auth.js';
+import { propertyExtractor } from './propertyExtractor.js';
 
 class Application {
   constructor() {
@@ -91,9 +92,10 @@ class Application {
       excelInput.addEventListener('change', (e) => this.handleExcelUpload(e));
     }
 
-    // Color scheme selector
+    // Color scheme selector (the registered schemes, same as the dashboard)
     const colorSchemeSelect = document.getElementById('colorScheme');
     if (colorSchemeSelect) {
+      colorManager.fillSchemeSelect(colorSchemeSelect, 'Block');
       colorSchemeSelect.addEventListener('change', (e) => {
         this.applyColorScheme(e.target.value);
       });
@@ -128,6 +130,12 @@ class Application {
     if (exportStatsBtn) {
       exportStatsBtn.addEventListener('click', () => this.exportStats());
     }
+
+    // Cancel button (shown while model properties are read)
+    const cancelMappingBtn = document.getElementById('cancelMappingBtn');
+    if (cancelMappingBtn) {
+      cancelMappingBtn.addEventListener('click', () => propertyExtractor.cancel());
+    }
   }
 
   /**
@@ -206,7 +214,7 @@ class Application {
       this.updateStatus('Parsing Excel file...', 'info');
 
       // Parse Excel file
-      await dataParser.parseExcelFile(file);
+      await dataParser.parseScheduleFile(file);
 
       this.dataLoaded = true;
       this.updateStatus(`Excel loaded: ${dataParser.parsedData.length} rows`, 'success');
@@ -229,11 +237,15 @@ class Application {
    * Build mappings between model and data, then apply colors
    */
   async buildMappingsAndColor() {
+    const cancelBtn = document.getElementById('cancelMappingBtn');
     try {
       this.updateStatus('Mapping data to model...', 'info');
 
-      // Build mappings
-      const stats = await modelDataMapper.buildMappings();
+      // Properties are read in the background - let the user stop a long scan
+      if (cancelBtn) cancelBtn.style.display = '';
+      const stats = await modelDataMapper.buildMappings((progress, message) => {
+        this.updateStatus(`Mapping data to model... ${message} - ${progress}%`, 'info');
+      });
 
       this.updateStatus(
         `Mapped ${stats.mapped} elements (${stats.mappingRate}%)`,
@@ -249,8 +261,15 @@ class Application {
       }
 
     } catch (error) {
+      if (propertyExtractor.isCancelled(error)) {
+        console.log('⏹️ Mapping cancelled');
+        this.updateStatus('Mapping cancelled - keeping the previous mappings', 'warning');
+        return;
+      }
       console.error('❌ Mapping error:', error);
       this.updateStatus('Failed to map data: ' + error.message, 'error');
+    } finally {
+      if (cancelBtn) cancelBtn.style.display = 'none';
     }
   }
 
@@ -380,7 +399,7 @@ class Application {
       html += `
         <div class="legend-item">
           <div class="legend-color" style="background: ${rgbColor};"></div>
-          <span class="legend-label">${item.label}</span>
+          <span class="legend-label"></span>
           <span class="legend-count">(${item.count})</span>
         </div>
       `;
@@ -388,6 +407,11 @@ class Application {
     
     html += '</div>';
     legendDiv.innerHTML = html;
+
+    // Labels come from the data (e.g. contractor names) - set them as text
+    legendDiv.querySelectorAll('.legend-label').forEach((label, index) => {
+      label.textContent = legendItems[index].label;
+    });
   }
 
   /**
@@ -0,0 +1,238 @@
+/**
+ * Milestones Module
+ * Contractual milestones and key dates (handover batches, authority inspections, shutdowns)
+ * read from a "Milestones" sheet of the schedule workbook or from a separate JSON / Excel file
+ */
+
+import { dataParser } from './dataParser.js';
+import { workCalendar } from './workCalendar.js';
+
+const STORAGE_KEY = 'gantt_milestones';
+
+// Sheet names (case-insensitive) read as milestones from the schedule workbook
+const MILESTONE_SHEET_NAMES = ['milestones', 'milestone', 'key dates', 'keydates'];
+
+// Milestone types; the first keyword found in the Type column (or the name) picks the type
+const MILESTONE_TYPES = {
+  handover: { label: 'Handover', color: '#28a745', keywords: ['handover', 'hand over', 'completion'] },
+  inspection: { label: 'Inspection', color: '#fd7e14', keywords: ['inspection', 'authority', 'approval', 'noc'] },
+  shutdown: { label: 'Shutdown', color: '#6c757d', keywords: ['shutdown', 'ramadan', 'eid', 'holiday', 'closure'] },
+  milestone: { label: 'Milestone', color: '#6f42c1', keywords: [] }
+};
+
+// Column names accepted in milestone sheets and JSON objects
+const MILESTONE_COLUMNS = {
+  name: ['Name', 'Milestone', 'Title', 'name', 'milestone', 'title'],
+  date: ['Date', 'Milestone Date', 'Start', 'Start Date', 'date', 'start'],
+  endDate: ['End Date', 'End', 'Finish', 'Until', 'endDate', 'end', 'finish'],
+  type: ['Type', 'Category', 'type', 'category'],
+  blocks: ['Blocks', 'Block', 'Applies To', 'blocks', 'block', 'appliesTo'],
+  description: ['Description', 'Notes', 'Remarks', 'description', 'notes'],
+  color: ['Color', 'Colour', 'color', 'colour']
+};
+
+class MilestoneManager {
+  constructor() {
+    this.fileMilestones = []; // Loaded from a separate file (kept across page loads)
+    this.fileName = null;
+    this.workbookCache = { workbook: null, milestones: [] }; // Milestones sheet of the loaded schedule
+
+    this.loadSaved();
+  }
+
+  /**
+   * Restore the milestones of the last loaded file
+   */
+  loadSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (!saved) return;
+      this.fileMilestones = this.parseRows(saved.milestones || []);
+      this.fileName = saved.fileName || null;
+      console.log(`📍 Restored ${this.fileMilestones.length} milestones from ${this.fileName}`);
+    } catch (error) {
+      console.warn('⚠️ Saved milestones are corrupted - ignoring them');
+      this.fileMilestones = [];
+    }
+  }
+
+  /**
+   * Type key from the Type column, or from the name when the type is blank
+   */
+  resolveType(type, name) {
+    const text = `${type || ''} ${type ? '' : name || ''}`.toLowerCase();
+    if (MILESTONE_TYPES[text.trim()]) return text.trim();
+
+    for (const [key, { keywords }] of Object.entries(MILESTONE_TYPES)) {
+      if (keywords.some(keyword => text.includes(keyword))) return key;
+    }
+    return 'milestone';
+  }
+
+  /**
+   * Blocks a milestone applies to ("12, 14-16; 20" → {12, 14, 15, 16, 20})
+   * @returns {Set|null} Block keys, or null when it applies to every block
+   */
+  parseBlockList(value) {
+    if (Array.isArray(value)) value = value.join(',');
+    const text = String(value ?? '').trim();
+    if (!text || /^all$/i.test(text)) return null;
+
+    const blocks = new Set();
+    text.split(/[,;]/).forEach(part => {
+      const range = part.trim().match(/^(\d+)\s*-\s*(\d+)$/);
+      if (range) {
+        for (let block = parseInt(range[1]); block <= parseInt(range[2]); block++) {
+          blocks.add(String(block));
+        }
+      } else if (part.trim()) {
+        blocks.add(part.trim());
+      }
+    });
+    return blocks.size > 0 ? blocks : null;
+  }
+
+  /**
+   * Normalize milestone rows (sheet rows or JSON objects)
+   * @param {Array} rows - Rows with the MILESTONE_COLUMNS columns
+   * @returns {Array} [{ id, name, date, endDate, type, blocks, description, color }] sorted by date
+   */
+  parseRows(rows) {
+    const milestones = [];
+
+    rows.forEach((row, index) => {
+      const name = String(dataParser.getColumn(row, ...MILESTONE_COLUMNS.name) ?? '').trim();
+      const date = dataParser.parseExcelDate(dataParser.getColumn(row, ...MILESTONE_COLUMNS.date));
+      if (!name || !date) {
+        if (name || date) console.warn(`⚠️ Milestone row ${index + 1} skipped - it needs a name and a date`);
+        return;
+      }
+
+      const endDate = dataParser.parseExcelDate(dataParser.getColumn(row, ...MILESTONE_COLUMNS.endDate));
+      const type = this.resolveType(dataParser.getColumn(row, ...MILESTONE_COLUMNS.type), name);
+      const color = String(dataParser.getColumn(row, ...MILESTONE_COLUMNS.color) ?? '').trim();
+
+      milestones.push({
+        id: `${name}|${date.getTime()}`,
+        name,
+        date,
+        endDate: endDate && endDate > date ? endDate : null, // Periods such as shutdowns
+        type,
+        blocks: this.parseBlockList(dataParser.getColumn(row, ...MILESTONE_COLUMNS.blocks)),
+        description: String(dataParser.getColumn(row, ...MILESTONE_COLUMNS.description) ?? '').trim(),
+        color: color || MILESTONE_TYPES[type].color
+      });
+    });
+
+    return milestones.sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Milestone rows of a workbook's milestones sheet
+   * @param {object} workbook - SheetJS workbook
+   * @param {boolean} anySheet - Fall back to the first sheet (separate milestone files)
+   * @returns {Array} Milestones, empty when there is no milestones sheet
+   */
+  readWorkbook(workbook, anySheet = false) {
+    const sheetName = workbook.SheetNames.find(name => MILESTONE_SHEET_NAMES.includes(name.trim().toLowerCase()))
+      || (anySheet ? workbook.SheetNames[0] : null);
+    if (!sheetName) return [];
+
+    const milestones = this.parseRows(XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]));
+    console.log(`📍 Read ${milestones.length} milestones from sheet "${sheetName}"`);
+    return milestones;
+  }
+
+  /**
+   * Load milestones from a separate file
+   * @param {File} file - .json (an array, or { milestones: [...] }) or .xlsx/.xls/.csv
+   * @returns {Promise<Array>} Loaded milestones
+   */
+  async loadFile(file) {
+    let milestones;
+
+    if (/\.json$/i.test(file.name)) {
+      const json = JSON.parse(await file.text());
+      const rows = Array.isArray(json) ? json : json.milestones;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON file must be an array of milestones or { "milestones": [...] }');
+      }
+      milestones = this.parseRows(rows);
+    } else {
+      const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+      milestones = this.readWorkbook(workbook, true);
+    }
+
+    if (milestones.length === 0) {
+      throw new Error('No milestones found - each row needs a Name and a Date');
+    }
+
+    this.fileMilestones = milestones;
+    this.fileName = file.name;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      fileName: file.name,
+      milestones: milestones.map(({ name, date, endDate, type, blocks, description, color }) => ({
+        name,
+        date: date.toISOString(),
+        endDate: endDate ? endDate.toISOString() : '',
+        type,
+        blocks: blocks ? Array.from(blocks) : '',
+        description,
+        color
+      }))
+    }));
+
+    console.log(`📍 Loaded ${milestones.length} milestones from ${file.name}`);
+    return milestones;
+  }
+
+  /**
+   * Forget the milestones of the separate file
+   */
+  clearFile() {
+    this.fileMilestones = [];
+    this.fileName = null;
+    localStorage.removeItem(STORAGE_KEY);
+    console.log('🧹 Milestone file cleared');
+  }
+
+  /**
+   * All milestones: the schedule workbook's milestones sheet plus the separate file, by date
+   */
+  getMilestones() {
+    const workbook = dataParser.source?.workbook || null;
+    if (workbook !== this.workbookCache.workbook) {
+      this.workbookCache = { workbook, milestones: workbook ? this.readWorkbook(workbook) : [] };
+    }
+
+    const seen = new Set();
+    return [...this.workbookCache.milestones, ...this.fileMilestones]
+      .filter(milestone => !seen.has(milestone.id) && seen.add(milestone.id))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Whether a milestone applies to a block (no block list = every block)
+   */
+  appliesTo(milestone, blockKey) {
+    return !milestone.blocks || milestone.blocks.has(String(blockKey).trim());
+  }
+
+  /**
+   * Working days a block finishes after a milestone it applies to
+   * @returns {number|null} Working days late (> 0), or null if on time / not applicable
+   */
+  getDaysAfter(milestone, blockKey, plannedFinish) {
+    if (!plannedFinish || !this.appliesTo(milestone, blockKey)) return null;
+    const days = workCalendar.workdaysBetween(milestone.date, plannedFinish);
+    return days > 0 ? days : null;
+  }
+
+  getTypeInfo(type) {
+    return MILESTONE_TYPES[type] || MILESTONE_TYPES.milestone;
+  }
+}
+
+// Export singleton instance
+export const milestoneManager = new MilestoneManager();
+export default milestoneManager;
@@ -6,6 +6,7 @@
 import { CONFIG } from './config.js';
 import { viewerManager } from './viewer.js';
 import { dataParser } from './dataParser.js';
+import { propertyExtractor } from './propertyExtractor.js';
 
 class ModelDataMapper {
   constructor() {
@@ -17,15 +18,12 @@ class ModelDataMapper {
 
   /**
    * Build mappings between model elements and Excel data
+   * Properties are read off the main thread by propertyExtractor (cancellable)
+   * @param {Function} progressCallback - Optional callback(progress, message)
    * @returns {Promise<object>} Mapping statistics
    */
-  async buildMappings() {
+  async buildMappings(progressCallback = null) {
     console.log('🔄 Building mappings...');
-    
-    this.mappings.clear();
-    this.reverseMappings.clear();
-    this.unmappedDbIds = [];
-    this.unmappedPlots = [];
 
     // Get all element IDs
     const allDbIds = await viewerManager.getAllDbIds();
@@ -38,10 +36,13 @@ class ModelDataMapper {
 
     console.log('🔍 Searching for properties:', propertyNames);
 
-    const bulkProperties = await viewerManager.getBulkProperties(
-      allDbIds,
-      propertyNames
-    );
+    const bulkProperties = await propertyExtractor.getProperties(allDbIds, propertyNames, {
+      onProgress: ({ processed, total }) => {
+        if (progressCallback) {
+          progressCallback(Math.round((processed / total) * 100), `Reading properties (${processed}/${total} elements)`);
+        }
+      }
+    });
 
     console.log(`📊 Got ${bulkProperties.length} elements with properties`);
     
@@ -54,6 +55,12 @@ class ModelDataMapper {
       }
     }
 
+    // Replace the previous mappings only once the properties have been read (it may be cancelled)
+    this.mappings.clear();
+    this.reverseMappings.clear();
+    this.unmappedDbIds = [];
+    this.unmappedPlots = [];
+
     // Map each element
     let mappedCount = 0;
     let sampleLogged = false;
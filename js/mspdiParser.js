@@ -0,0 +1,191 @@
+/**
+ * MSPDI Parser Module
+ * Reads Microsoft Project XML (MSPDI) files into schedule rows
+ */
+
+import { HOURS_PER_DAY, findLabelledValue, activityStatus } from './scheduleImport.js';
+
+// MSPDI PredecessorLink/Type → short form
+const LINK_TYPES = {
+  0: 'FF',
+  1: 'FS',
+  2: 'SF',
+  3: 'SS'
+};
+
+// LinkLag is stored in tenths of a minute
+const LAG_UNITS_PER_DAY = HOURS_PER_DAY * 60 * 10;
+
+class MspdiParser {
+  /**
+   * Text of a direct child element (avoids matching e.g. Baseline/Start for Start)
+   * @param {Element} element - Parent element
+   * @param {string} tagName - Child tag name
+   * @returns {string} Child text, or '' if missing
+   */
+  childText(element, tagName) {
+    for (const child of element.children) {
+      if (child.localName === tagName) return child.textContent.trim();
+    }
+    return '';
+  }
+
+  /**
+   * Direct child elements with a tag name
+   * @param {Element} element - Parent element
+   * @param {string} tagName - Child tag name
+   * @returns {Array<Element>}
+   */
+  childElements(element, tagName) {
+    return Array.from(element.children).filter(child => child.localName === tagName);
+  }
+
+  /**
+   * Parse an MSPDI date ("2025-03-01T08:00:00", local time)
+   * @param {string} value - MSPDI date string
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Read the project baseline (Baseline Number 0) of a task
+   * @param {Element} taskElement - Task element
+   * @returns {object} { start, finish }
+   */
+  readBaseline(taskElement) {
+    const baseline = this.childElements(taskElement, 'Baseline')
+      .find(el => this.childText(el, 'Number') === '0');
+
+    if (!baseline) return { start: null, finish: null };
+
+    return {
+      start: this.parseDate(this.childText(baseline, 'Start')),
+      finish: this.parseDate(this.childText(baseline, 'Finish'))
+    };
+  }
+
+  /**
+   * Parse MSPDI XML text into schedule rows (same columns as the Excel schedule) and dependencies.
+   * Summary tasks are not rows of their own; their names (by outline level) are used to find
+   * the block and plot of the tasks below them.
+   * @param {string} text - XML file contents
+   * @returns {object} { rows, dependencies, projects }
+   */
+  parse(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid XML file');
+    }
+
+    const project = xml.documentElement;
+    if (!project || project.localName !== 'Project') {
+      throw new Error('Not a Microsoft Project XML file (missing Project element)');
+    }
+
+    const tasksElement = this.childElements(project, 'Tasks')[0];
+    const taskElements = tasksElement ? this.childElements(tasksElement, 'Task') : [];
+
+    if (taskElements.length === 0) {
+      throw new Error('Project XML file has no tasks');
+    }
+
+    const projectName = this.childText(project, 'Title') || this.childText(project, 'Name');
+    const outlinePath = []; // Summary task names by outline level
+    const validUids = new Set();
+    const links = [];
+    const rows = [];
+    let unmapped = 0;
+
+    taskElements.forEach(taskElement => {
+      const uid = this.childText(taskElement, 'UID');
+      const name = this.childText(taskElement, 'Name');
+      const outlineLevel = parseInt(this.childText(taskElement, 'OutlineLevel'), 10) || 0;
+
+      // Outline level 0 is the project summary task
+      if (outlineLevel === 0 || this.childText(taskElement, 'IsNull') === '1') return;
+
+      outlinePath.length = outlineLevel - 1;
+      const ancestors = [...outlinePath].reverse();
+
+      if (this.childText(taskElement, 'Summary') === '1') {
+        outlinePath[outlineLevel - 1] = name;
+        return;
+      }
+
+      validUids.add(uid);
+      this.childElements(taskElement, 'PredecessorLink').forEach(link => {
+        links.push({
+          predecessor: this.childText(link, 'PredecessorUID'),
+          successor: uid,
+          type: LINK_TYPES[this.childText(link, 'Type')] || 'FS',
+          lagDays: (parseFloat(this.childText(link, 'LinkLag')) || 0) / LAG_UNITS_PER_DAY
+        });
+      });
+
+      const names = [name, ...ancestors];
+      const block = findLabelledValue('block', names);
+      const plot = findLabelledValue('plot', names);
+      if (!block && !plot) unmapped++;
+
+      const actualStart = this.parseDate(this.childText(taskElement, 'ActualStart'));
+      const actualFinish = this.parseDate(this.childText(taskElement, 'ActualFinish'));
+      const percentComplete = parseFloat(this.childText(taskElement, 'PercentComplete')) || 0;
+      const baseline = this.readBaseline(taskElement);
+
+      rows.push({
+        'Project': projectName,
+        'Activity ID': uid,
+        'Activity Name': name,
+        'Task Type': this.childText(taskElement, 'Milestone') === '1' ? 'Milestone' : 'Task',
+        'WBS': [...outlinePath].join(' / '),
+        'Outline Level': outlineLevel,
+        'Block': block || '',
+        'Plot': plot || '',
+        'Component': name,
+        'Planned Start': this.parseDate(this.childText(taskElement, 'Start')),
+        'Planned Finish': this.parseDate(this.childText(taskElement, 'Finish')),
+        'Actual Start': actualStart,
+        'Actual Finish': actualFinish,
+        'Baseline Start': baseline.start,
+        'Baseline Finish': baseline.finish,
+        'Percent Complete': percentComplete,
+        'Status': activityStatus(name, {
+          started: !!actualStart || percentComplete > 0,
+          finished: !!actualFinish || percentComplete >= 100
+        })
+      });
+    });
+
+    // Links to summary tasks have no row to attach to
+    const dependencies = links.filter(link => validUids.has(link.predecessor) && validUids.has(link.successor));
+
+    console.log(`✅ MS Project XML: ${rows.length} tasks, ${dependencies.length} relationships`);
+    if (unmapped > 0) {
+      console.warn(`⚠️ MS Project XML: ${unmapped} tasks have no block or plot in their name or outline`);
+    }
+
+    return {
+      rows,
+      dependencies,
+      projects: projectName ? [projectName] : []
+    };
+  }
+
+  /**
+   * Read an MSPDI file
+   * @param {File} file - .xml file
+   * @returns {Promise<object>} { rows, dependencies, projects }
+   */
+  async parseFile(file) {
+    return this.parse(await file.text());
+  }
+}
+
+// Export singleton instance
+export const mspdiParser = new MspdiParser();
+export default mspdiParser;
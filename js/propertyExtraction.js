@@ -0,0 +1,201 @@
+/**
+ * Property Extraction Module
+ * Rule-driven parsing of raw model properties, shared by the main thread, the fallback Web Worker
+ * (propertyWorker.js) and the viewer's property worker (via executeUserFunction).
+ * The rules come from config/extraction-rules.json (loaded and validated by extractionRules.js).
+ *
+ * Every function here is serialized with toString() and run inside the property worker,
+ * so it must only use its arguments and the other functions of this module - no imports,
+ * no globals, no `this`.
+ */
+
+/**
+ * Compile a rule set for fast lookup: exact sources by name, wildcards as regexes
+ * Sources: 'Element/Plot' (category path), 'Plot' (displayName) or '*start*date*' (wildcard,
+ * case-insensitive - against the category path when it contains '/', else the displayName)
+ * @param {object} ruleSet - Validated rule set ({ ignoreValues, rules })
+ * @returns {object} { exact: { source: [rule] }, wildcards: [{ pattern, path, rule }], ignoreValues }
+ */
+export function compileRules(ruleSet) {
+  const exact = {};
+  const wildcards = [];
+
+  ruleSet.rules.forEach((rule, index) => {
+    const compiled = {
+      index,
+      field: rule.field,
+      priority: rule.priority || 0,
+      villa: Boolean(rule.villa),
+      regex: rule.regex ? new RegExp(rule.regex, rule.flags || '') : null,
+      group: rule.group,
+      transform: rule.transform || null
+    };
+
+    [].concat(rule.source).forEach(source => {
+      if (source.includes('*')) {
+        const escaped = source.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        wildcards.push({ pattern: new RegExp(`^${escaped}$`, 'i'), path: source.includes('/'), rule: compiled });
+      } else {
+        if (!exact[source]) exact[source] = [];
+        exact[source].push(compiled);
+      }
+    });
+  });
+
+  return { exact, wildcards, ignoreValues: ruleSet.ignoreValues || [] };
+}
+
+/**
+ * Resolve every rule against the properties of one element
+ * For each field the rule with the highest priority wins; on a tie, the first matching property wins
+ * @param {Array} properties - Element properties
+ * @param {object} rules - From compileRules()
+ * @param {Array} trace - Optional: receives one entry per rule match
+ *   ({ property, value, rule, field, priority, result, status }) for the extraction-rules harness
+ * @returns {object} { info, villa } - villa is true if a rule marked with "villa" applied
+ */
+export function resolveFields(properties, rules, trace = null) {
+  const best = {}; // field -> { priority, value, entry }
+  let villa = false;
+
+  properties.forEach(prop => {
+    const value = prop.displayValue;
+
+    // Skip empty/null values
+    if (!value || rules.ignoreValues.includes(value)) return;
+
+    const name = prop.displayName;
+    const path = prop.displayCategory ? `${prop.displayCategory}/${name}` : name;
+
+    const matched = new Set();
+    (rules.exact[path] || []).forEach(rule => matched.add(rule));
+    (rules.exact[name] || []).forEach(rule => matched.add(rule));
+    rules.wildcards.forEach(({ pattern, path: byPath, rule }) => {
+      if (pattern.test(byPath ? path : name)) matched.add(rule);
+    });
+
+    matched.forEach(rule => {
+      const entry = trace ? { property: path, value, rule: rule.index, field: rule.field, priority: rule.priority } : null;
+      let result = value;
+
+      if (rule.regex) {
+        const match = String(value).match(rule.regex);
+        if (!match) {
+          if (entry) trace.push({ ...entry, status: 'no-match' });
+          return;
+        }
+        if (rule.group !== undefined) result = match[rule.group];
+      }
+
+      switch (rule.transform) {
+        case 'string': result = String(result); break;
+        case 'trim': result = String(result).trim(); break;
+        case 'upper': result = String(result).trim().toUpperCase(); break;
+        case 'lower': result = String(result).trim().toLowerCase(); break;
+        case 'number': result = parseFloat(result); break;
+      }
+
+      if (result === undefined || result === null || result === '' || Number.isNaN(result)) {
+        if (entry) trace.push({ ...entry, status: 'empty' });
+        return;
+      }
+
+      if (rule.villa) villa = true;
+      if (entry) {
+        entry.result = result;
+        entry.status = 'candidate';
+        trace.push(entry);
+      }
+
+      const current = best[rule.field];
+      if (!current || rule.priority > current.priority) {
+        best[rule.field] = { priority: rule.priority, value: result, entry };
+      }
+    });
+  });
+
+  const info = {};
+  Object.keys(best).forEach(field => {
+    info[field] = best[field].value;
+  });
+
+  if (trace) {
+    trace.forEach(entry => {
+      if (entry.status === 'candidate') {
+        entry.status = best[entry.field].entry === entry ? 'applied' : 'overridden';
+      }
+    });
+  }
+
+  return { info, villa };
+}
+
+/**
+ * Extract element information from properties
+ * CRITICAL: only villa elements are returned (a rule marked "villa" applied - Element/Block,
+ * Element/NBH, Element/Plot or Element/Villa_Type in the default rules). Everything else
+ * (roads, MEP, structure) is infrastructure and returns null.
+ * @param {Array} properties - Element properties
+ * @param {object} rules - From compileRules()
+ * @param {Array} trace - Optional: receives the rule matches (see resolveFields)
+ * @returns {object|null} Extracted information or null if infrastructure
+ */
+export function extractElementInfo(properties, rules, trace = null) {
+  const { info, villa } = resolveFields(properties, rules, trace);
+  return villa ? info : null;
+}
+/**
+ * Keep only the properties matching one of the requested names
+ * Supports 'Element/Plot' (category path), 'Element/*Plot*' (wildcard) and 'Plot' (displayName)
+ * @param {Array} properties - Element properties
+ * @param {Array<string>} propNames - Requested property names
+ * @returns {Array} Matching properties
+ */
+export function filterProperties(properties, propNames) {
+  return properties.filter(prop => {
+    for (const propName of propNames) {
+      if (propName.includes('/')) {
+        // Category path: 'Element/Plot'
+        const fullName = `${prop.category}/${prop.displayName}`;
+        if (fullName === propName) return true;
+      } else if (propName.includes('*')) {
+        // Wildcard: 'Element/*Plot*'
+        const pattern = new RegExp(`^${propName.replace(/\*/g, '.*')}$`, 'i');
+        const fullName = `${prop.category}/${prop.displayName}`;
+        if (pattern.test(fullName)) return true;
+      } else {
+        // Simple name: 'Plot'
+        if (prop.displayName === propName) return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Parse one chunk of elements for an extraction task
+ * @param {Array} items - [{ dbId, externalId, properties }]
+ * @param {object} task - { type: 'elements', rules } (validated rule set) or { type: 'properties', propNames }
+ * @returns {object} { scanned, entries } - entries are [dbId, info] pairs of the villa elements
+ *   for 'elements', and { dbId, externalId, properties } items for 'properties'
+ */
+export function parseChunk(items, task) {
+  if (task.type === 'elements') {
+    const rules = compileRules(task.rules);
+    const entries = [];
+    items.forEach(item => {
+      const info = extractElementInfo(item.properties, rules);
+      if (info) entries.push([item.dbId, info]);
+    });
+    return { scanned: items.length, entries };
+  }
+
+  return {
+    scanned: items.length,
+    entries: items.map(item => ({
+      dbId: item.dbId,
+      externalId: item.externalId,
+      properties: task.propNames ? filterProperties(item.properties, task.propNames) : item.properties
+    }))
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * Property Extractor Module
+ * Reads and parses model properties off the main thread, chunk by chunk, with progress and cancel.
+ *
+ * Preferred path: executeUserFunction runs the query and the parsing inside the viewer's
+ * property worker, so only the parsed results are posted back to the page.
+ * Fallback: getBulkProperties (queried in the viewer's worker) parsed in propertyWorker.js,
+ * or on the main thread if module workers are not available.
+ */
+
+import { viewerManager } from './viewer.js';
+import { extractionRules } from './extractionRules.js';
+import {
+  compileRules,
+  resolveFields,
+  extractElementInfo,
+  filterProperties,
+  parseChunk
+} from './propertyExtraction.js';
+
+const DEFAULT_CHUNK_SIZE = 5000;
+
+// Body of the user function run by the property database: the parsing functions are
+// serialized into it, so it does not depend on anything loaded in the page
+const USER_FUNCTION = `function userFunction(pdb, userData) {
+  ${compileRules}
+  ${resolveFields}
+  ${extractElementInfo}
+  ${filterProperties}
+  ${parseChunk}
+
+  const items = [];
+  userData.dbIds.forEach(dbId => {
+    const object = pdb.getObjectProperties(dbId);
+    if (object) {
+      items.push({ dbId, externalId: object.externalId, properties: object.properties });
+    }
+  });
+  return parseChunk(items, userData.task);
+}`;
+
+class PropertyExtractor {
+  constructor() {
+    this.mode = null; // 'userFunction' | 'worker' | 'mainThread', picked on first use per model
+    this.modeModel = null;
+    this.worker = null;
+    this.workerRequests = new Map(); // request id -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.activeRuns = new Set();
+  }
+
+  /**
+   * Extract element information (extractElementInfo with the extraction rules) for a list of elements
+   * @param {Array<number>} dbIds - Elements to scan
+   * @param {object} options - { chunkSize, onProgress({ processed, total, chunk, chunks }) }
+   * @returns {Promise<object>} { scanned, entries: [[dbId, info], ...] } - villa elements only
+   */
+  async extractElements(dbIds, options = {}) {
+    const rules = await extractionRules.load();
+    return this.run(dbIds, { type: 'elements', rules }, options);
+  }
+
+  /**
+   * Get the properties of a list of elements, filtered like viewerManager.getBulkProperties
+   * @param {Array<number>} dbIds - Elements to read
+   * @param {Array<string>} propNames - Property names to keep, or null for all
+   * @param {object} options - { chunkSize, onProgress({ processed, total, chunk, chunks }) }
+   * @returns {Promise<Array>} [{ dbId, externalId, properties }]
+   */
+  async getProperties(dbIds, propNames = null, options = {}) {
+    const { entries } = await this.run(dbIds, { type: 'properties', propNames }, options);
+    return entries;
+  }
+
+  /**
+   * Stop every running extraction after its current chunk
+   * The extraction promises reject with an error for which isCancelled() is true
+   */
+  cancel() {
+    if (this.activeRuns.size === 0) return;
+    console.log('⏹️ Cancelling property extraction...');
+    this.activeRuns.forEach(run => {
+      run.cancelled = true;
+    });
+  }
+
+  /**
+   * Whether an error comes from cancel() rather than a failure
+   * @param {Error} error - Error thrown by an extraction
+   * @returns {boolean}
+   */
+  isCancelled(error) {
+    return Boolean(error && error.cancelled);
+  }
+
+  /**
+   * Whether an extraction is in progress
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.activeRuns.size > 0;
+  }
+
+  /**
+   * Run a task over all elements in chunks
+   * @param {Array<number>} dbIds - Elements to process
+   * @param {object} task - Task passed to parseChunk
+   * @param {object} options - { chunkSize, onProgress }
+   * @returns {Promise<object>} { scanned, entries }
+   */
+  async run(dbIds, task, { chunkSize = DEFAULT_CHUNK_SIZE, onProgress = null } = {}) {
+    if (!viewerManager.model) {
+      throw new Error('Model not loaded');
+    }
+
+    const run = { cancelled: false };
+    this.activeRuns.add(run);
+
+    const total = dbIds.length;
+    const chunks = Math.ceil(total / chunkSize);
+    const result = { scanned: 0, entries: [] };
+
+    try {
+      for (let chunk = 0; chunk < chunks; chunk++) {
+        if (run.cancelled) {
+          const error = new Error('Property extraction cancelled');
+          error.cancelled = true;
+          throw error;
+        }
+
+        const chunkDbIds = dbIds.slice(chunk * chunkSize, (chunk + 1) * chunkSize);
+        const chunkResult = await this.runChunk(chunkDbIds, task);
+
+        result.scanned += chunkResult.scanned;
+        chunkResult.entries.forEach(entry => result.entries.push(entry));
+
+        if (onProgress) {
+          onProgress({
+            processed: Math.min((chunk + 1) * chunkSize, total),
+            total,
+            chunk: chunk + 1,
+            chunks
+          });
+        }
+      }
+    } finally {
+      this.activeRuns.delete(run);
+    }
+
+    return result;
+  }
+
+  /**
+   * Process one chunk with the best path available for the loaded model
+   * @param {Array<number>} dbIds - Elements of the chunk
+   * @param {object} task - Task passed to parseChunk
+   * @returns {Promise<object>} { scanned, entries }
+   */
+  async runChunk(dbIds, task) {
+    const model = viewerManager.model;
+    if (this.modeModel !== model) {
+      this.modeModel = model;
+      const propertyDb = model.getPropertyDb ? model.getPropertyDb() : null;
+      this.mode = propertyDb && typeof propertyDb.executeUserFunction === 'function' ? 'userFunction' : 'worker';
+      console.log(`🧵 Property extraction mode: ${this.mode}`);
+    }
+
+    if (this.mode === 'userFunction') {
+      try {
+        return await model.getPropertyDb().executeUserFunction(USER_FUNCTION, { dbIds, task });
+      } catch (error) {
+        console.warn('⚠️ executeUserFunction failed - falling back to getBulkProperties:', error?.message || error);
+        this.mode = 'worker';
+      }
+    }
+
+    const items = await viewerManager.getBulkProperties(dbIds, null);
+
+    if (this.mode === 'worker') {
+      try {
+        return await this.parseInWorker(items, task);
+      } catch (error) {
+        console.warn('⚠️ Property worker unavailable - parsing on the main thread:', error.message);
+        this.mode = 'mainThread';
+      }
+    }
+
+    return parseChunk(items, task);
+  }
+
+  /**
+   * Parse a chunk in the property Web Worker (started on first use)
+   * @param {Array} items - getBulkProperties results
+   * @param {object} task - Task passed to parseChunk
+   * @returns {Promise<object>} { scanned, entries }
+   */
+  parseInWorker(items, task) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./propertyWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const request = this.workerRequests.get(id);
+        if (!request) return;
+        this.workerRequests.delete(id);
+        if (error) {
+          request.reject(new Error(error));
+        } else {
+          request.resolve(result);
+        }
+      };
+      this.worker.onerror = (event) => {
+        const error = new Error(event.message || 'Property worker failed to start');
+        this.workerRequests.forEach(request => request.reject(error));
+        this.workerRequests.clear();
+        this.worker.terminate();
+        this.worker = null;
+      };
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.workerRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ id, items, task });
+    });
+  }
+}
+
+// Export singleton instance
+export const propertyExtractor = new PropertyExtractor();
+export default propertyExtractor;
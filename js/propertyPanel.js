@@ -5,6 +5,7 @@
 
 import { modelDataMapper } from './modelDataMapper.js';
 import { viewerManager } from './viewer.js';
+import { workCalendar } from './workCalendar.js';
 
 class PropertyPanel {
   constructor() {
@@ -408,12 +409,11 @@ class PropertyPanel {
    * @returns {string} Status
    */
   calculateStatus(plannedStart, plannedFinish, actualStart, actualFinish) {
-    const now = new Date();
     const planned = plannedFinish ? new Date(plannedFinish) : null;
     
     if (actualFinish) return 'COMPLETED';
     if (actualStart) {
-      return planned && now > planned ? 'DELAYED' : 'IN_PROGRESS';
+      return workCalendar.isLate(planned) ? 'DELAYED' : 'IN_PROGRESS';
     }
     return 'NOT_STARTED';
   }
@@ -0,0 +1,17 @@
+/**
+ * Property Worker
+ * Module Web Worker that parses getBulkProperties results off the main thread.
+ * Used by propertyExtractor when the property database cannot run executeUserFunction.
+ */
+
+import { parseChunk } from './propertyExtraction.js';
+
+self.onmessage = (event) => {
+  const { id, items, task } = event.data;
+
+  try {
+    self.postMessage({ id, result: parseChunk(items, task) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
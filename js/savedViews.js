@@ -0,0 +1,332 @@
+/**
+ * Saved Views Module
+ * Named dashboard views: camera, sidebar filters, color scheme, isolated elements, Gantt date range
+ * and label toggles. Views are kept per browser, shared through the server and exported as JSON files.
+ * Capturing and restoring the dashboard state is done by the dashboard (captureView / restoreView).
+ */
+
+import { CONFIG } from './config.js';
+import { authManager } from './auth.js';
+
+const STORAGE_KEY = 'saved_views';
+
+// Written into every view so later changes to the format can still read old files
+const VIEW_FORMAT = 1;
+
+// Sidebar filters stored in a view
+const FILTER_FIELDS = ['phase', 'neighborhood', 'block', 'plot'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SavedViewManager {
+  constructor() {
+    this.views = []; // Views saved in this browser
+    this.sharedViews = []; // Shared view summaries from the server [{ id, name, sharedBy, sharedAt }]
+    this.loadSaved();
+  }
+
+  /**
+   * Restore the views saved in this browser (a view that no longer validates is skipped on its own)
+   */
+  loadSaved() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+      console.warn('⚠️ Saved views are corrupted - ignoring them:', error.message);
+      this.views = [];
+      return;
+    }
+
+    this.views = (Array.isArray(saved) ? saved : []).flatMap(view => {
+      try {
+        return [this.normalizeView(view)];
+      } catch (error) {
+        console.warn(`⚠️ Skipping saved view "${view?.name || 'unnamed'}":`, error.message);
+        return [];
+      }
+    });
+
+    if (this.views.length > 0) {
+      console.log(`🔖 Restored ${this.views.length} saved views`);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.views));
+  }
+
+  getViews() {
+    return this.views;
+  }
+
+  getView(id) {
+    return this.views.find(view => view.id === id) || null;
+  }
+
+  createId() {
+    return `view_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Check a view read from storage, the server or a JSON file
+   * @param {object} view - { name, model, camera, filters, colorScheme, isolatedDbIds, gantt, labels }
+   * @returns {object} Normalized view
+   * @throws {Error} When the view is invalid
+   */
+  normalizeView(view) {
+    if (!view || typeof view !== 'object' || Array.isArray(view)) {
+      throw new Error('A view must be a JSON object');
+    }
+
+    const name = String(view.name || '').trim();
+    if (!name) throw new Error('A view needs a name');
+    if (view.format > VIEW_FORMAT) {
+      throw new Error(`View "${name}" was saved by a newer version of the dashboard`);
+    }
+
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+      filters[field] = String(view.filters?.[field] ?? '').trim();
+    });
+
+    const isolatedDbIds = view.isolatedDbIds || [];
+    if (!Array.isArray(isolatedDbIds) || isolatedDbIds.some(dbId => !Number.isInteger(dbId))) {
+      throw new Error(`View "${name}": "isolatedDbIds" must be a list of element ids`);
+    }
+
+    const gantt = view.gantt || {};
+    ['start', 'end'].forEach(key => {
+      if (gantt[key] && !DATE_PATTERN.test(gantt[key])) {
+        throw new Error(`View "${name}": Gantt ${key} date must be YYYY-MM-DD`);
+      }
+    });
+
+    if (view.camera !== undefined && view.camera !== null && typeof view.camera !== 'object') {
+      throw new Error(`View "${name}": "camera" must be a viewer viewport object`);
+    }
+
+    return {
+      format: VIEW_FORMAT,
+      id: String(view.id || '').trim() || this.createId(),
+      name,
+      createdAt: view.createdAt || new Date().toISOString(),
+      model: view.model ? { key: view.model.key || null, version: view.model.version ?? null } : null,
+      camera: view.camera || null,
+      filters,
+      colorScheme: String(view.colorScheme || 'None'),
+      isolatedDbIds,
+      gantt: { open: Boolean(gantt.open), start: gantt.start || null, end: gantt.end || null },
+      labels: { block: Boolean(view.labels?.block), precaster: Boolean(view.labels?.precaster) }
+    };
+  }
+
+  /**
+   * Save a view in this browser (a view with the same name is replaced)
+   * @param {object} view - View captured by the dashboard
+   * @returns {object} Saved view
+   * @throws {Error} When the view is invalid
+   */
+  saveView(view) {
+    const normalized = this.normalizeView(view);
+    const previous = this.views.slice();
+
+    this.putView(normalized);
+    this.persistOrRevert(previous);
+
+    console.log(`💾 Saved view "${normalized.name}"`);
+    return normalized;
+  }
+
+  /**
+   * Save views read from a file in one write (views with the same name are replaced)
+   * Each view gets a new id, so an imported id never clashes with a view saved here
+   * @param {Array<object>} views - Views from readFile()
+   * @returns {Array<object>} Saved views
+   * @throws {Error} When a view is invalid or the browser storage is full - nothing is saved then
+   */
+  saveViews(views) {
+    const normalized = views.map(view => ({ ...this.normalizeView(view), id: this.createId() }));
+    const previous = this.views.slice();
+
+    normalized.forEach(view => this.putView(view));
+    this.persistOrRevert(previous);
+
+    console.log(`💾 Saved ${normalized.length} imported views`);
+    return normalized;
+  }
+
+  /**
+   * Add a view to the list, or replace the view with the same name (keeping its id)
+   */
+  putView(view) {
+    const index = this.views.findIndex(saved => saved.name.toLowerCase() === view.name.toLowerCase());
+
+    if (index >= 0) {
+      view.id = this.views[index].id;
+      this.views[index] = view;
+    } else {
+      this.views.push(view);
+    }
+  }
+
+  /**
+   * Write the views, going back to the previous list if the browser storage refuses them
+   * @param {Array<object>} previous - Views before the change
+   */
+  persistOrRevert(previous) {
+    try {
+      this.persist();
+    } catch (error) {
+      // Views with many isolated elements can fill the browser storage
+      this.views = previous;
+      throw new Error(`Browser storage is full - export or delete some views first (${error.message})`);
+    }
+  }
+
+  /**
+   * Remove a view saved in this browser
+   */
+  deleteView(id) {
+    this.views = this.views.filter(view => view.id !== id);
+    this.persist();
+  }
+
+  /**
+   * Read views from a JSON file: one view, a list of views, or { views: [...] }
+   * @param {File} file - JSON file
+   * @returns {Promise<Array>} Normalized views (not saved yet)
+   */
+  async readFile(file) {
+    const json = JSON.parse(await file.text());
+    const list = Array.isArray(json) ? json : Array.isArray(json.views) ? json.views : [json];
+    if (list.length === 0) throw new Error('The file has no views');
+    return list.map(view => this.normalizeView(view));
+  }
+
+  /**
+   * Download a view as a JSON file
+   */
+  exportView(view) {
+    const json = JSON.stringify(this.normalizeView(view), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${view.name.replace(/[^a-z0-9-_]+/gi, '_')}.view.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    console.log(`📤 Exported view "${view.name}"`);
+  }
+
+  /**
+   * Build request headers, attaching the dashboard account JWT when signed in
+   * @param {object} extra - Additional headers
+   * @returns {Promise<object>} Headers object
+   */
+  async buildHeaders(extra = {}) {
+    const headers = { ...extra };
+    const token = await authManager.getUserToken();
+
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * List the views shared on the server (newest first)
+   * @returns {Promise<Array>} [{ id, name, sharedBy, sharedAt }]
+   */
+  async listShared() {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/views`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to list shared views: ${response.status}`);
+    }
+
+    const data = await response.json();
+    this.sharedViews = data.views || [];
+    return this.sharedViews;
+  }
+
+  /**
+   * Fetch a shared view with its state
+   * @param {string} id - Server view id
+   * @returns {Promise<object>} Normalized view (keeps sharedBy / sharedAt)
+   */
+  async fetchShared(id) {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/views/${encodeURIComponent(id)}`);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to fetch shared view: ${response.status}`);
+    }
+
+    const view = await response.json();
+    return { ...this.normalizeView(view), sharedBy: view.sharedBy, sharedAt: view.sharedAt };
+  }
+
+  /**
+   * Share a view on the server (needs a dashboard account)
+   * @param {object} view - Saved view
+   * @returns {Promise<object>} Stored view with its server id
+   */
+  async share(view) {
+    if (!authManager.getUsername()) {
+      throw new Error('Sign in to a dashboard account to share views');
+    }
+
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/views`, {
+      method: 'POST',
+      headers: await this.buildHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(this.normalizeView(view))
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to share view: ${response.status}`);
+    }
+
+    const stored = await response.json();
+    console.log(`🔗 Shared view "${stored.name}"`);
+    return stored;
+  }
+
+  /**
+   * Remove a shared view (the user who shared it, or an admin)
+   * @param {string} id - Server view id
+   */
+  async deleteShared(id) {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/views/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      headers: await this.buildHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to remove shared view: ${response.status}`);
+    }
+
+    this.sharedViews = this.sharedViews.filter(view => view.id !== id);
+  }
+
+  /**
+   * One-line summary of what a view restores (list tooltips)
+   */
+  describeView(view) {
+    const parts = [];
+    const filters = FILTER_FIELDS.filter(field => view.filters?.[field]).map(field => `${field} ${view.filters[field]}`);
+    if (filters.length > 0) parts.push(`Filters: ${filters.join(', ')}`);
+    if (view.colorScheme && view.colorScheme !== 'None') parts.push(`Colors: ${view.colorScheme}`);
+    if (view.isolatedDbIds?.length > 0) parts.push(`${view.isolatedDbIds.length} isolated elements`);
+    if (view.gantt?.start || view.gantt?.end) parts.push(`Gantt: ${view.gantt.start || '…'} to ${view.gantt.end || '…'}`);
+    if (view.sharedBy) parts.push(`Shared by ${view.sharedBy}`);
+    return parts.join(' · ') || 'Camera only';
+  }
+}
+
+// Export singleton instance
+export const savedViews = new SavedViewManager();
+export default savedViews;
@@ -0,0 +1,288 @@
+/**
+ * Schedule Diff Module
+ * Compares two schedule versions plot by plot and reports what changed
+ */
+
+import { DataParser } from './dataParser.js';
+import { scheduleService } from './scheduleService.js';
+import { workCalendar } from './workCalendar.js';
+import { escapeHtml } from './htmlUtils.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Change types in report order
+const CHANGE_TYPES = {
+  added: 'New Plot',
+  removed: 'Removed Plot',
+  status: 'Status Change',
+  plannedStart: 'Start Slip',
+  plannedFinish: 'Finish Slip',
+  contractor: 'Contractor Change',
+  precaster: 'PreCaster Change'
+};
+
+class ScheduleDiff {
+  constructor() {
+    this.lastResult = null;
+  }
+
+  /**
+   * Index normalized rows (from DataParser.processData) by plot
+   * @param {Array} rows - Parsed rows
+   * @returns {Map} plotKey → row (first row wins for duplicate plots)
+   */
+  indexRows(rows) {
+    const byPlot = new Map();
+
+    (rows || []).forEach(row => {
+      const plotKey = String(row.plot ?? '').trim().toLowerCase();
+      if (plotKey && !byPlot.has(plotKey)) {
+        byPlot.set(plotKey, row);
+      }
+    });
+
+    return byPlot;
+  }
+
+  /**
+   * Whole calendar days from one date to another (positive = later)
+   * @param {Date|null} from - Previous date
+   * @param {Date|null} to - Current date
+   * @returns {number|null} Day difference, or null if either date is missing
+   */
+  daysBetween(from, to) {
+    if (!from || !to) return null;
+    return Math.round((to.getTime() - from.getTime()) / MS_PER_DAY);
+  }
+
+  /**
+   * Compare two sets of normalized rows plot by plot
+   * @param {Array} previousRows - Rows of the older schedule
+   * @param {Array} currentRows - Rows of the newer schedule
+   * @param {object} labels - { from, to } version labels for the report
+   * @returns {object} { from, to, changes, summary }
+   */
+  compare(previousRows, currentRows, labels = {}) {
+    const previous = this.indexRows(previousRows);
+    const current = this.indexRows(currentRows);
+    const changes = [];
+
+    const addChange = (type, row, details = {}) => {
+      changes.push({
+        type,
+        label: CHANGE_TYPES[type],
+        plot: row.plot,
+        block: row.block,
+        villa: row.villa,
+        from: '',
+        to: '',
+        days: null,
+        ...details
+      });
+    };
+
+    current.forEach((row, plotKey) => {
+      const oldRow = previous.get(plotKey);
+
+      if (!oldRow) {
+        addChange('added', row, { to: row.status || '' });
+        return;
+      }
+
+      if (String(oldRow.status || '').trim() !== String(row.status || '').trim()) {
+        addChange('status', row, { from: oldRow.status || '', to: row.status || '' });
+      }
+
+      ['plannedStart', 'plannedFinish'].forEach(field => {
+        const moved = this.daysBetween(oldRow[field], row[field]);
+        const appeared = !oldRow[field] !== !row[field];
+
+        // Any date move is reported; the slip is counted in working days (project calendar)
+        if ((moved !== null && moved !== 0) || appeared) {
+          addChange(field, row, {
+            from: this.formatDate(oldRow[field]),
+            to: this.formatDate(row[field]),
+            days: workCalendar.workdaysBetween(oldRow[field], row[field])
+          });
+        }
+      });
+
+      ['contractor', 'precaster'].forEach(field => {
+        const oldValue = String(oldRow[field] || '').trim();
+        const newValue = String(row[field] || '').trim();
+        if (oldValue.toLowerCase() !== newValue.toLowerCase()) {
+          addChange(field, row, { from: oldValue, to: newValue });
+        }
+      });
+    });
+
+    previous.forEach((row, plotKey) => {
+      if (!current.has(plotKey)) {
+        addChange('removed', row, { from: row.status || '' });
+      }
+    });
+
+    const typeOrder = Object.keys(CHANGE_TYPES);
+    changes.sort((a, b) =>
+      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+      (parseInt(a.plot) || 0) - (parseInt(b.plot) || 0)
+    );
+
+    const summary = { total: changes.length, plotsCompared: current.size };
+    Object.keys(CHANGE_TYPES).forEach(type => {
+      summary[type] = changes.filter(c => c.type === type).length;
+    });
+
+    const finishSlips = changes.filter(c => c.type === 'plannedFinish' && c.days !== null);
+    summary.maxFinishSlip = finishSlips.length > 0 ? Math.max(...finishSlips.map(c => c.days)) : 0;
+
+    this.lastResult = {
+      from: labels.from || 'Previous',
+      to: labels.to || 'Current',
+      changes,
+      summary
+    };
+
+    console.log(`📊 Schedule diff ${this.lastResult.from} → ${this.lastResult.to}: ${changes.length} changes`, summary);
+    return this.lastResult;
+  }
+
+  /**
+   * Parse a stored schedule version into normalized rows without touching the loaded schedule
+   * @param {number|string} version - Stored version number
+   * @returns {Promise<Array>} Parsed rows
+   */
+  async loadVersionRows(version) {
+    const stored = await scheduleService.downloadSchedule(version);
+    if (!stored) {
+      throw new Error(`Schedule version ${version} not found`);
+    }
+
+    const parser = new DataParser();
+    return parser.parseScheduleFile(stored.file, { columnMapping: stored.metadata.columnMapping });
+  }
+
+  /**
+   * Compare a stored version against the rows currently loaded in the dashboard
+   * @param {number|string} version - Stored version to compare against
+   * @param {Array} currentRows - Currently loaded rows (dataParser.parsedData)
+   * @param {string} currentLabel - Label for the loaded schedule
+   * @returns {Promise<object>} Diff result
+   */
+  async compareWithVersion(version, currentRows, currentLabel = 'Loaded') {
+    const previousRows = await this.loadVersionRows(version);
+    return this.compare(previousRows, currentRows, { from: `v${version}`, to: currentLabel });
+  }
+
+  /**
+   * Format a date for the report
+   */
+  formatDate(date) {
+    if (!date) return '';
+    return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Show a diff result in a floating panel
+   * @param {object} result - Result from compare()
+   */
+  showPanel(result = this.lastResult) {
+    if (!result) return;
+
+    const existing = document.getElementById('scheduleDiffPanel');
+    if (existing) existing.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'scheduleDiffPanel';
+    panel.className = 'schedule-diff-panel';
+
+    const { summary } = result;
+    const summaryItems = Object.entries(CHANGE_TYPES)
+      .filter(([type]) => summary[type] > 0)
+      .map(([type, label]) => `<span class="diff-chip diff-${type}">${label}: ${summary[type]}</span>`)
+      .join('');
+
+    const rows = result.changes.map(change => {
+      const days = change.days === null ? '' : (change.days > 0 ? `+${change.days}` : String(change.days));
+      const daysClass = change.days > 0 ? 'diff-late' : (change.days < 0 ? 'diff-early' : '');
+      return `
+        <tr>
+          <td><span class="diff-chip diff-${change.type}">${change.label}</span></td>
+          <td>${escapeHtml(change.block)}</td>
+          <td>${escapeHtml(change.plot)}</td>
+          <td>${escapeHtml(change.from)}</td>
+          <td>${escapeHtml(change.to)}</td>
+          <td class="${daysClass}">${days}</td>
+        </tr>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <div class="schedule-diff-header">
+        <span>🔀 Schedule Changes: ${escapeHtml(result.from)} → ${escapeHtml(result.to)}</span>
+        <div>
+          <button id="scheduleDiffExport" class="schedule-diff-btn" title="Export to Excel">⬇️ Excel</button>
+          <button id="scheduleDiffClose" class="schedule-diff-btn" title="Close">✕</button>
+        </div>
+      </div>
+      <div class="schedule-diff-summary">
+        <strong>${summary.total}</strong> changes across ${summary.plotsCompared} plots
+        ${summary.maxFinishSlip > 0 ? ` · worst finish slip <strong>${summary.maxFinishSlip} working days</strong>` : ''}
+        <div>${summaryItems}</div>
+      </div>
+      <div class="schedule-diff-body">
+        ${result.changes.length === 0
+          ? '<p class="schedule-diff-empty">✅ No changes between these versions</p>'
+          : `<table class="schedule-diff-table">
+              <thead>
+                <tr><th>Change</th><th>Block</th><th>Plot</th><th>From</th><th>To</th><th>Working Days</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>`}
+      </div>
+    `;
+
+    document.body.appendChild(panel);
+
+    panel.querySelector('#scheduleDiffClose').addEventListener('click', () => panel.remove());
+    panel.querySelector('#scheduleDiffExport').addEventListener('click', () => this.exportToExcel(result));
+  }
+
+  /**
+   * Export a diff result to an Excel workbook (Summary + Changes sheets)
+   * @param {object} result - Result from compare()
+   */
+  exportToExcel(result = this.lastResult) {
+    if (!result) return;
+
+    const changeRows = result.changes.map(change => ({
+      'Change': change.label,
+      'Block': change.block,
+      'Plot': change.plot,
+      'Villa': change.villa,
+      'From': change.from,
+      'To': change.to,
+      'Slip (working days)': change.days ?? ''
+    }));
+
+    const summaryRows = [
+      { 'Item': 'Compared', 'Value': `${result.from} → ${result.to}` },
+      { 'Item': 'Plots compared', 'Value': result.summary.plotsCompared },
+      { 'Item': 'Total changes', 'Value': result.summary.total },
+      ...Object.entries(CHANGE_TYPES).map(([type, label]) => ({ 'Item': label, 'Value': result.summary[type] })),
+      { 'Item': 'Worst finish slip (working days)', 'Value': result.summary.maxFinishSlip }
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'Summary');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(changeRows), 'Changes');
+
+    const fileName = `schedule-changes_${result.from}_to_${result.to}.xlsx`.replace(/[^\w.-]+/g, '_');
+    XLSX.writeFile(workbook, fileName);
+    console.log(`✅ Exported ${changeRows.length} schedule changes to ${fileName}`);
+  }
+}
+
+// Export singleton instance
+export const scheduleDiff = new ScheduleDiff();
+export default scheduleDiff;
@@ -0,0 +1,261 @@
+/**
+ * Schedule Editor Module
+ * Reschedules blocks from the Gantt chart, keeps undo/redo history
+ * and writes the edited dates back to an .xlsx file
+ */
+
+import { CONFIG } from './config.js';
+import { dataParser } from './dataParser.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Row columns holding the planned dates
+const START_COLUMNS = ['Planned Start', 'plannedStart'];
+const FINISH_COLUMNS = ['Planned Finish', 'plannedFinish'];
+
+// Number format for date cells that were not numeric dates before
+const DEFAULT_DATE_FORMAT = 'd-mmm-yy';
+
+class ScheduleEditor {
+  constructor() {
+    this.undoStack = []; // Applied edits: [{ label, changes: [{ rowIndex, before, after }] }]
+    this.redoStack = [];
+    this.rawData = null; // Schedule the history belongs to
+    this.onChange = null; // Called after every edit, undo and redo
+  }
+
+  /**
+   * Start a new history when a different schedule has been loaded
+   */
+  syncWithParser() {
+    if (dataParser.rawData !== this.rawData) {
+      this.rawData = dataParser.rawData;
+      this.undoStack = [];
+      this.redoStack = [];
+    }
+  }
+
+  canUndo() {
+    this.syncWithParser();
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    this.syncWithParser();
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Shift a raw cell date by whole days, keeping its type
+   * (Excel serial numbers stay numbers, so they are written back unchanged in format)
+   * @param {number|string|Date} value - Raw cell value
+   * @param {number} days - Days to shift
+   * @returns {number|Date} Shifted value
+   */
+  shiftRawDate(value, days) {
+    if (typeof value === 'number') return value + days;
+    const date = value instanceof Date ? value : dataParser.parseExcelDate(value);
+    return date ? new Date(date.getTime() + days * DAY_MS) : value;
+  }
+
+  /**
+   * Move and/or resize a block. Every villa's planned dates are mapped from the old block span
+   * onto the new one, so a move shifts all villas and a resize stretches them proportionally.
+   * @param {string} blockKey - Block to reschedule
+   * @param {Date} newStart - New block planned start
+   * @param {Date} newFinish - New block planned finish
+   * @returns {object|null} The edit, or null if nothing changed
+   */
+  rescheduleBlock(blockKey, newStart, newFinish) {
+    this.syncWithParser();
+
+    const blockData = dataParser.scheduleByBlock.get(blockKey);
+    if (!blockData || !blockData.plannedStart || !blockData.plannedFinish) {
+      console.warn(`⚠️ Block ${blockKey} has no planned dates to edit`);
+      return null;
+    }
+
+    const oldStart = blockData.plannedStart;
+    const oldDuration = Math.round((blockData.plannedFinish - oldStart) / DAY_MS);
+    const newDuration = Math.round((newFinish - newStart) / DAY_MS);
+    const scale = oldDuration > 0 ? newDuration / oldDuration : 1;
+
+    // Days a villa date moves when mapped onto the new span
+    const shiftFor = (date) => {
+      const offset = Math.round((date - oldStart) / DAY_MS);
+      const target = Math.round((newStart - oldStart) / DAY_MS) + Math.round(offset * scale);
+      return target - offset;
+    };
+
+    const changes = [];
+    blockData.villas.forEach(villa => {
+      const row = dataParser.rawData[villa.rowIndex];
+      if (!row) return;
+
+      const startKey = dataParser.findColumnKey(row, ...START_COLUMNS);
+      const finishKey = dataParser.findColumnKey(row, ...FINISH_COLUMNS);
+      const before = { start: startKey ? row[startKey] : undefined, finish: finishKey ? row[finishKey] : undefined };
+      const after = { ...before };
+
+      if (villa['Planned Start'] && startKey) {
+        after.start = this.shiftRawDate(before.start, shiftFor(villa['Planned Start']));
+      }
+      if (villa['Planned Finish'] && finishKey) {
+        after.finish = this.shiftRawDate(before.finish, shiftFor(villa['Planned Finish']));
+      }
+
+      if (after.start !== before.start || after.finish !== before.finish) {
+        changes.push({ rowIndex: villa.rowIndex, startKey, finishKey, before, after });
+      }
+    });
+
+    if (changes.length === 0) return null;
+
+    const edit = {
+      label: `Block ${blockKey}: ${dataParser.formatScheduleDate(newStart)} → ${dataParser.formatScheduleDate(newFinish)}`,
+      blockKey,
+      changes
+    };
+
+    this.undoStack.push(edit);
+    this.redoStack = [];
+    this.applyChanges(edit, 'after');
+
+    console.log(`✏️ ${edit.label} (${changes.length} rows)`);
+    return edit;
+  }
+
+  /**
+   * Write one side of an edit into the raw rows and rebuild the parsed schedule
+   * @param {object} edit - Edit from the history
+   * @param {string} side - 'before' (undo) or 'after' (apply/redo)
+   */
+  applyChanges(edit, side) {
+    edit.changes.forEach(change => {
+      const row = dataParser.rawData[change.rowIndex];
+      if (change.startKey) row[change.startKey] = change[side].start;
+      if (change.finishKey) row[change.finishKey] = change[side].finish;
+    });
+
+    // Rebuild parsedData, the plot/block indexes and scheduleByBlock from the edited rows
+    dataParser.processData();
+
+    if (window.embeddedDataManager) {
+      window.embeddedDataManager.loadExcelData(dataParser);
+    }
+
+    if (this.onChange) {
+      this.onChange(edit, side);
+    }
+  }
+
+  undo() {
+    if (!this.canUndo()) return null;
+    const edit = this.undoStack.pop();
+    this.redoStack.push(edit);
+    this.applyChanges(edit, 'before');
+    console.log(`↶ Undo: ${edit.label}`);
+    return edit;
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+    const edit = this.redoStack.pop();
+    this.undoStack.push(edit);
+    this.applyChanges(edit, 'after');
+    console.log(`↷ Redo: ${edit.label}`);
+    return edit;
+  }
+
+  /**
+   * Column index of a header in the source sheet (case-insensitive, trimmed)
+   */
+  findHeaderColumn(sheet, headerRow, header) {
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const wanted = String(header).trim().toLowerCase();
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: headerRow, c })];
+      if (cell && String(cell.v).trim().toLowerCase() === wanted) return c;
+    }
+    return -1;
+  }
+
+  /**
+   * Write a date value into a cell, keeping the cell's number format
+   * (the cell object is replaced, never changed in place)
+   */
+  writeDateCell(sheet, r, c, value) {
+    const address = XLSX.utils.encode_cell({ r, c });
+    const existing = sheet[address] || {};
+
+    if (typeof value === 'number') {
+      sheet[address] = { ...existing, t: 'n', v: value, z: existing.z || DEFAULT_DATE_FORMAT };
+    } else if (value instanceof Date) {
+      sheet[address] = { ...existing, t: 'd', v: value, z: existing.t === 'n' && existing.z ? existing.z : DEFAULT_DATE_FORMAT };
+    } else {
+      return;
+    }
+    delete sheet[address].w; // Cached text of the old value
+  }
+
+  /**
+   * Save the edited schedule as .xlsx.
+   * Excel schedules are written into a copy of the original workbook, so every sheet, column and
+   * format stays as it was and only the edited planned dates change. Imported XER / MS Project
+   * schedules have no workbook and are saved as a new sheet with the schedule columns.
+   */
+  exportWorkbook() {
+    this.syncWithParser();
+
+    if (!dataParser.rawData || dataParser.rawData.length === 0) {
+      throw new Error('No schedule loaded');
+    }
+
+    const source = dataParser.source;
+    const stamp = new Date().toISOString().split('T')[0];
+
+    if (!source) {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(dataParser.rawData, { cellDates: true }), 'Schedule');
+      XLSX.writeFile(workbook, `schedule_edited_${stamp}.xlsx`);
+      console.log('💾 Saved imported schedule as a new workbook');
+      return;
+    }
+
+    // Write into a copy: the loaded workbook keeps the original dates, so rows whose edits
+    // were undone since an earlier export are saved with their original values again
+    const sheet = { ...source.workbook.Sheets[source.sheetName] };
+    const workbook = { ...source.workbook, Sheets: { ...source.workbook.Sheets, [source.sheetName]: sheet } };
+    const sheetRange = XLSX.utils.decode_range(sheet['!ref']);
+    const headerRow = sheetRange.s.r + source.headerRow;
+    const mappedColumns = source.columnMapping?.columns || {};
+
+    const startColumn = this.findHeaderColumn(sheet, headerRow, mappedColumns.PLANNED_START || CONFIG.EXCEL.COLUMNS.PLANNED_START);
+    const finishColumn = this.findHeaderColumn(sheet, headerRow, mappedColumns.PLANNED_FINISH || CONFIG.EXCEL.COLUMNS.PLANNED_FINISH);
+
+    if (startColumn === -1 || finishColumn === -1) {
+      throw new Error('Planned Start / Planned Finish columns not found in the original sheet');
+    }
+
+    // Rows changed by the edits that are currently applied
+    const editedRows = new Set();
+    this.undoStack.forEach(edit => edit.changes.forEach(change => editedRows.add(change.rowIndex)));
+
+    editedRows.forEach(rowIndex => {
+      const row = dataParser.rawData[rowIndex];
+      if (row.__rowNum__ === undefined) return;
+
+      this.writeDateCell(sheet, row.__rowNum__, startColumn, dataParser.getColumn(row, ...START_COLUMNS));
+      this.writeDateCell(sheet, row.__rowNum__, finishColumn, dataParser.getColumn(row, ...FINISH_COLUMNS));
+    });
+
+    const fileName = source.fileName.replace(/\.xlsx?$/i, '') + `_edited_${stamp}.xlsx`;
+    XLSX.writeFile(workbook, fileName);
+    console.log(`💾 Saved ${editedRows.size} edited rows to ${fileName}`);
+  }
+}
+
+// Export singleton instance
+export const scheduleEditor = new ScheduleEditor();
+export default scheduleEditor;
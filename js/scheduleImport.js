@@ -0,0 +1,39 @@
+/**
+ * Schedule Import Helpers
+ * Shared by the native schedule readers (Primavera XER, MS Project XML)
+ */
+
+// Planning tools store durations and lags in working hours
+export const HOURS_PER_DAY = 8;
+
+/**
+ * Find a labelled value (e.g. "Plot 1234", "Block: 34") in activity/WBS names
+ * @param {string} label - Label to look for
+ * @param {Array<string>} names - Names to search, most specific first
+ * @returns {string|null} Value after the label
+ */
+export function findLabelledValue(label, names) {
+  const pattern = new RegExp(`\\b${label}\\s*(?:no\\.?|#)?\\s*[:-]?\\s*([A-Z]?\\d+[A-Z]?)\\b`, 'i');
+
+  for (const name of names) {
+    const match = String(name || '').match(pattern);
+    if (match) return match[1];
+  }
+
+  return null;
+}
+
+/**
+ * Status text for an imported activity, in the same "<stage> in Progress" / "<stage> Completed"
+ * form as the Excel Status column so status coloring picks it up
+ * @param {string} activityName - Activity name (e.g. "Pre-Cast", "Raft")
+ * @param {object} progress - { started, finished }
+ * @returns {string} Status text
+ */
+export function activityStatus(activityName, { started, finished }) {
+  const stage = String(activityName || '').trim() || 'Activity';
+
+  if (finished) return `${stage} Completed`;
+  if (started) return `${stage} in Progress`;
+  return 'Not Started';
+}
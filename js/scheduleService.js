@@ -0,0 +1,238 @@
+/**
+ * Schedule Service Module
+ * Uploads schedule workbooks to the server and fetches stored versions
+ */
+
+import { CONFIG } from './config.js';
+import { authManager } from './auth.js';
+
+class ScheduleService {
+  constructor() {
+    this.currentVersion = null; // Metadata of the version currently loaded in the dashboard
+    this.baselineVersion = null; // Version number frozen as the baseline
+  }
+
+  /**
+   * Build request headers, attaching the dashboard account JWT when signed in
+   * @param {object} extra - Additional headers
+   * @returns {Promise<object>} Headers object
+   */
+  async buildHeaders(extra = {}) {
+    const headers = { ...extra };
+    const token = await authManager.getUserToken();
+
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    } else {
+      console.warn('⚠️ Not signed in to a dashboard account - request will be read-only');
+    }
+
+    return headers;
+  }
+
+  /**
+   * Upload a schedule workbook as a new server version
+   * @param {File} file - Excel file from input
+   * @param {object} options - { columnMapping } stored with the version so it parses the same way later
+   * @returns {Promise<object>} Stored version metadata
+   */
+  async uploadSchedule(file, { columnMapping = null } = {}) {
+    console.log(`⬆️ Uploading schedule to server: ${file.name}`);
+
+    const extraHeaders = {
+      'Content-Type': 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name)
+    };
+    if (columnMapping) {
+      extraHeaders['X-Column-Mapping'] = encodeURIComponent(JSON.stringify(columnMapping));
+    }
+
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules`, {
+      method: 'POST',
+      headers: await this.buildHeaders(extraHeaders),
+      body: file
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Schedule upload failed: ${response.status}`);
+    }
+
+    const metadata = await response.json();
+    this.currentVersion = metadata;
+    console.log(`✅ Schedule stored as version ${metadata.version}`);
+    return metadata;
+  }
+
+  /**
+   * List all stored schedule versions (newest first)
+   * @returns {Promise<Array>} Version metadata
+   */
+  async listVersions() {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to list schedule versions: ${response.status}`);
+    }
+
+    const data = await response.json();
+    this.baselineVersion = data.baselineVersion || null;
+    return data.versions || [];
+  }
+
+  /**
+   * Fetch the latest stored schedule
+   * @returns {Promise<{file: File, metadata: object}|null>} Workbook and metadata, or null if none stored
+   */
+  async fetchLatest() {
+    return this.fetchVersion('latest');
+  }
+
+  /**
+   * Fetch a stored schedule version
+   * @param {number|string} version - Version number or 'latest'
+   * @returns {Promise<{file: File, metadata: object}|null>} Workbook and metadata, or null if not found
+   */
+  async fetchVersion(version) {
+    const stored = await this.downloadSchedule(version);
+
+    if (stored) {
+      this.currentVersion = stored.metadata;
+    }
+    return stored;
+  }
+
+  /**
+   * Fetch the baseline schedule (does not change the current version)
+   * @returns {Promise<{file: File, metadata: object}|null>} Workbook and metadata, or null if no baseline is set
+   */
+  async fetchBaseline() {
+    return this.downloadSchedule('baseline');
+  }
+
+  /**
+   * Freeze a stored version as the baseline (admin only)
+   * @param {number} version - Version number
+   * @returns {Promise<object>} Baseline marker { version, setBy, setAt }
+   */
+  async setBaseline(version) {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules/baseline`, {
+      method: 'PUT',
+      headers: await this.buildHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ version })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to set baseline: ${response.status}`);
+    }
+
+    const baseline = await response.json();
+    this.baselineVersion = baseline.version;
+    console.log(`📌 Baseline set to v${baseline.version}`);
+    return baseline;
+  }
+
+  /**
+   * Download a stored workbook with its version metadata
+   * @param {number|string} version - Version number, 'latest' or 'baseline'
+   * @returns {Promise<{file: File, metadata: object}|null>} Workbook and metadata, or null if not found
+   */
+  async downloadSchedule(version) {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules/${version}`);
+
+    if (response.status === 404) {
+      console.log(`ℹ️ No stored schedule for "${version}"`);
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch schedule ${version}: ${response.status}`);
+    }
+
+    const metadata = {
+      version: parseInt(response.headers.get('X-Schedule-Version'), 10),
+      fileName: decodeURIComponent(response.headers.get('X-Schedule-File-Name') || 'schedule.xlsx'),
+      uploadedBy: decodeURIComponent(response.headers.get('X-Schedule-Uploaded-By') || 'unknown'),
+      uploadedAt: response.headers.get('X-Schedule-Uploaded-At'),
+      columnMapping: this.parseColumnMappingHeader(response.headers.get('X-Schedule-Column-Mapping'))
+    };
+
+    const blob = await response.blob();
+    const file = new File([blob], metadata.fileName, { type: blob.type });
+
+    console.log(`✅ Fetched schedule v${metadata.version} (${metadata.fileName})`);
+    return { file, metadata };
+  }
+
+  /**
+   * Fetch the project work calendar shared by all users
+   * @returns {Promise<object|null>} { workdays, holidays, shutdowns, setBy, setAt }, or null if none is saved
+   */
+  async fetchCalendar() {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules/calendar`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch work calendar: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.calendar || null;
+  }
+
+  /**
+   * Save the project work calendar for everyone (admin only)
+   * @param {object} calendar - { workdays, holidays, shutdowns }
+   * @returns {Promise<object>} Stored calendar
+   */
+  async saveCalendar(calendar) {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules/calendar`, {
+      method: 'PUT',
+      headers: await this.buildHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(calendar)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to save work calendar: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.calendar;
+  }
+
+  /**
+   * Remove the saved work calendar so everyone uses the default one (admin only)
+   */
+  async resetCalendar() {
+    const response = await fetch(`${CONFIG.SERVER_URL}/api/schedules/calendar`, {
+      method: 'DELETE',
+      headers: await this.buildHeaders()
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to reset work calendar: ${response.status}`);
+    }
+  }
+
+  /**
+   * Decode the column mapping sent with a stored version
+   * @param {string|null} header - X-Schedule-Column-Mapping header value
+   * @returns {object|null} Column mapping
+   */
+  parseColumnMappingHeader(header) {
+    if (!header) return null;
+
+    try {
+      return JSON.parse(decodeURIComponent(header));
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid column mapping on stored schedule:', error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export const scheduleService = new ScheduleService();
+export default scheduleService;
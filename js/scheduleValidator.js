@@ -0,0 +1,227 @@
+/**
+ * Schedule Validator Module
+ * Checks every parsed schedule row before the data is accepted and shows a report
+ */
+
+import { embeddedDataManager } from './embeddedDataManager.js';
+import { colorSchemes } from './colorSchemes.js';
+import { escapeHtml } from './htmlUtils.js';
+
+// Statuses that are valid but have no color of their own
+const NEUTRAL_STATUSES = ['not started'];
+
+// Date columns: parsed field → [source column names]
+const DATE_FIELDS = {
+  plannedStart: ['Planned Start', 'plannedStart'],
+  plannedFinish: ['Planned Finish', 'plannedFinish'],
+  actualStart: ['Actual Start', 'actualStart'],
+  actualFinish: ['Actual Finish', 'actualFinish']
+};
+
+// Issue types in report order
+const ISSUE_TYPES = {
+  missingBlock: { severity: 'error', label: 'Missing block' },
+  invalidDate: { severity: 'error', label: 'Invalid date' },
+  finishBeforeStart: { severity: 'error', label: 'Finish before start' },
+  futureActual: { severity: 'error', label: 'Actual date in the future' },
+  missingPlot: { severity: 'warning', label: 'Missing plot' },
+  duplicatePlot: { severity: 'warning', label: 'Duplicate plot' },
+  unknownStatus: { severity: 'warning', label: 'Unknown status' },
+  plotNotInModel: { severity: 'warning', label: 'Plot not in model' }
+};
+
+class ScheduleValidator {
+  constructor() {
+    this.lastResult = null;
+  }
+
+  /**
+   * Format a date for messages
+   */
+  formatDate(date) {
+    return date ? date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '';
+  }
+
+  /**
+   * Validate parsed schedule rows
+   * @param {DataParser} parser - Parser holding the candidate schedule (parsedData)
+   * @param {object} options - { today: reference date for future checks }
+   * @returns {object} { issues, summary, rowCount }
+   */
+  validate(parser, { today = new Date() } = {}) {
+    const rows = parser.parsedData || [];
+    const issues = [];
+    const seenPlots = new Map(); // plot|activity → first row number
+
+    // Model plots are only known once the model has been analyzed
+    const modelPlots = new Set(Array.from(embeddedDataManager.plotGroups.keys()).map(plot => String(plot).trim()));
+    const checkModel = modelPlots.size > 0;
+
+    const addIssue = (type, row, message) => {
+      issues.push({
+        type,
+        severity: ISSUE_TYPES[type].severity,
+        label: ISSUE_TYPES[type].label,
+        rowNumber: row.rowNumber,
+        block: row.block,
+        plot: row.plot,
+        message
+      });
+    };
+
+    rows.forEach(row => {
+      const block = String(row.block ?? '').trim();
+      const plot = String(row.plot ?? '').trim();
+
+      if (!block) {
+        addIssue('missingBlock', row, 'Row has no block and will not appear in the Gantt chart');
+      }
+      if (!plot) {
+        addIssue('missingPlot', row, 'Row has no plot and cannot be linked to a villa in the model');
+      }
+
+      // Cells that have a value that could not be read as a date
+      Object.entries(DATE_FIELDS).forEach(([field, columns]) => {
+        const raw = parser.getColumn(row._original || {}, ...columns);
+        if (raw !== '' && raw !== null && raw !== undefined && !row[field]) {
+          addIssue('invalidDate', row, `${columns[0]} "${raw}" is not a valid date`);
+        }
+      });
+
+      if (row.plannedStart && row.plannedFinish && row.plannedFinish < row.plannedStart) {
+        addIssue('finishBeforeStart', row,
+          `Planned Finish ${this.formatDate(row.plannedFinish)} is before Planned Start ${this.formatDate(row.plannedStart)}`);
+      }
+      if (row.actualStart && row.actualFinish && row.actualFinish < row.actualStart) {
+        addIssue('finishBeforeStart', row,
+          `Actual Finish ${this.formatDate(row.actualFinish)} is before Actual Start ${this.formatDate(row.actualStart)}`);
+      }
+
+      ['actualStart', 'actualFinish'].forEach(field => {
+        if (row[field] && row[field] > today) {
+          addIssue('futureActual', row, `${DATE_FIELDS[field][0]} ${this.formatDate(row[field])} is in the future`);
+        }
+      });
+
+      const status = String(row.status ?? '').trim();
+      if (status && !NEUTRAL_STATUSES.includes(status.toLowerCase()) && !colorSchemes.resolveStatusColor(status)) {
+        addIssue('unknownStatus', row, `Status "${status}" is not a known construction status and will show grey`);
+      }
+
+      if (plot) {
+        // Imported schedules list several activities per plot - only the same activity twice is a duplicate
+        const key = `${plot.toLowerCase()}|${String(row.activityId ?? '').trim()}`;
+        if (seenPlots.has(key)) {
+          addIssue('duplicatePlot', row, `Plot ${plot} already appears on row ${seenPlots.get(key)}`);
+        } else {
+          seenPlots.set(key, row.rowNumber);
+        }
+
+        if (checkModel && !modelPlots.has(plot)) {
+          addIssue('plotNotInModel', row, `Plot ${plot} was not found in the loaded model`);
+        }
+      }
+    });
+
+    const typeOrder = Object.keys(ISSUE_TYPES);
+    issues.sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.rowNumber - b.rowNumber);
+
+    const summary = {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      rowsWithIssues: new Set(issues.map(issue => issue.rowNumber)).size,
+      modelChecked: checkModel
+    };
+    typeOrder.forEach(type => {
+      summary[type] = issues.filter(issue => issue.type === type).length;
+    });
+
+    this.lastResult = { issues, summary, rowCount: rows.length };
+    console.log(`🔎 Schedule validation: ${rows.length} rows, ${summary.errors} errors, ${summary.warnings} warnings`);
+    return this.lastResult;
+  }
+
+  /**
+   * Show the validation report and let the user accept or reject the schedule
+   * @param {object} result - Result from validate()
+   * @param {string} fileName - Schedule file name
+   * @returns {Promise<boolean>} True if accepted
+   */
+  showReport(result, fileName) {
+    document.getElementById('scheduleValidationReport')?.remove();
+
+    const { summary } = result;
+    const chips = Object.entries(ISSUE_TYPES)
+      .filter(([type]) => summary[type] > 0)
+      .map(([type, { severity, label }]) => `<span class="validation-chip validation-${severity}">${label}: ${summary[type]}</span>`)
+      .join('');
+
+    const rows = result.issues.map(issue => `
+      <tr class="validation-row-${issue.severity}">
+        <td>${issue.rowNumber}</td>
+        <td>${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.label}</td>
+        <td>${escapeHtml(issue.block)}</td>
+        <td>${escapeHtml(issue.plot)}</td>
+        <td>${escapeHtml(issue.message)}</td>
+      </tr>
+    `).join('');
+
+    // Errors do not block loading, but the button says they will be ignored
+    const acceptLabel = summary.errors > 0
+      ? `Accept and Ignore ${summary.errors} Error${summary.errors === 1 ? '' : 's'}`
+      : 'Accept with Warnings';
+
+    const report = document.createElement('div');
+    report.id = 'scheduleValidationReport';
+    report.className = 'column-mapping-overlay';
+    report.innerHTML = `
+      <div class="column-mapping-dialog validation-dialog">
+        <div class="column-mapping-header">
+          <span>🔎 Schedule Validation: ${escapeHtml(fileName)}</span>
+        </div>
+        <div class="column-mapping-body">
+          <div class="validation-summary">
+            <strong>${result.rowCount}</strong> rows checked ·
+            <strong class="validation-error-text">${summary.errors}</strong> errors ·
+            <strong class="validation-warning-text">${summary.warnings}</strong> warnings
+            in ${summary.rowsWithIssues} rows
+            ${summary.modelChecked ? '' : '<div class="validation-note">ℹ️ Model not analyzed yet - plots were not checked against the model</div>'}
+            <div>${chips}</div>
+          </div>
+          <table class="schedule-diff-table validation-table">
+            <thead><tr><th>Row</th><th>Issue</th><th>Block</th><th>Plot</th><th>Details</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <div class="column-mapping-footer">
+          <span class="column-mapping-status">
+            ${summary.errors > 0 ? 'Rows with errors are loaded as they are (rows without a block are skipped)' : ''}
+          </span>
+          <button class="btn btn-secondary" data-action="reject">Reject</button>
+          <button class="btn btn-primary" data-action="accept">${acceptLabel}</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(report);
+
+    return new Promise(resolve => {
+      report.querySelector('[data-action="reject"]').addEventListener('click', () => {
+        report.remove();
+        console.log('🚫 Schedule rejected after validation');
+        resolve(false);
+      });
+      report.querySelector('[data-action="accept"]').addEventListener('click', () => {
+        report.remove();
+        console.log(summary.errors > 0
+          ? `⚠️ Schedule accepted ignoring ${summary.errors} validation errors`
+          : '✅ Schedule accepted with validation warnings');
+        resolve(true);
+      });
+    });
+  }
+}
+
+// Export singleton instance
+export const scheduleValidator = new ScheduleValidator();
+export default scheduleValidator;
@@ -0,0 +1,346 @@
+/**
+ * 4D Sequence Player Module
+ * Animates the model through the schedule (play/pause/step) and records playback to WebM
+ */
+
+import { viewerManager } from './viewer.js';
+import { embeddedDataManager } from './embeddedDataManager.js';
+import { embeddedColorManager } from './embeddedColorManager.js';
+
+// Playback speeds: frames (steps) per second
+const SPEEDS = [0.5, 1, 2, 4];
+
+// The recording is a large blob - revoking its URL right after click() can cancel the download
+const DOWNLOAD_REVOKE_DELAY_MS = 10000;
+
+class SequencePlayer {
+  constructor() {
+    this.startDate = null;
+    this.endDate = null;
+    this.currentDate = null;
+
+    this.step = 'week'; // 'week' | 'month'
+    this.speed = 1; // steps per second
+    this.mode = 'planned'; // 'planned' | 'actual'
+
+    this.isPlaying = false;
+    this.timer = null;
+
+    this.recorder = null;
+    this.recordedChunks = [];
+
+    // Called after every frame with { date, counts } (UI updates)
+    this.onFrame = null;
+    // Called when playback starts/stops (UI updates)
+    this.onStateChange = null;
+  }
+
+  /**
+   * Work out the playback range from the schedule dates loaded into the model data
+   * @returns {boolean} True if a range is available
+   */
+  computeRange() {
+    let minDate = null;
+    let maxDate = null;
+
+    for (const [, data] of embeddedDataManager.excelData) {
+      [data.plannedStart, data.actualStart, data.plannedFinish, data.actualFinish].forEach(date => {
+        if (!date) return;
+        if (!minDate || date < minDate) minDate = date;
+        if (!maxDate || date > maxDate) maxDate = date;
+      });
+    }
+
+    if (!minDate || !maxDate) {
+      console.warn('⚠️ No schedule dates available for playback');
+      return false;
+    }
+
+    const changed = !this.startDate || this.startDate.getTime() !== minDate.getTime() ||
+      this.endDate.getTime() !== maxDate.getTime();
+
+    this.startDate = new Date(minDate);
+    this.endDate = new Date(maxDate);
+
+    if (!this.currentDate || this.currentDate < this.startDate || this.currentDate > this.endDate) {
+      this.currentDate = new Date(this.startDate);
+    }
+
+    if (changed) {
+      console.log(`🎬 Playback range: ${this.startDate.toDateString()} → ${this.endDate.toDateString()}`);
+    }
+    return true;
+  }
+
+  /**
+   * Check that the model is analyzed and a schedule is loaded
+   * @returns {boolean}
+   */
+  isReady() {
+    if (!viewerManager.viewer || !viewerManager.viewer.model) {
+      console.warn('⚠️ Load the model before starting playback');
+      return false;
+    }
+    if (embeddedDataManager.excelData.size === 0) {
+      console.warn('⚠️ Load a schedule before starting playback');
+      return false;
+    }
+    // Recomputed each time so a newly loaded schedule version is picked up
+    return this.computeRange();
+  }
+
+  /**
+   * Render the model state at the current date
+   */
+  renderFrame() {
+    const counts = embeddedColorManager.colorBySequenceDate(this.currentDate, this.mode);
+
+    // Keep the Gantt today line in sync with playback
+    if (window.ganttChart) {
+      window.ganttChart.todayLinePosition = this.currentDate.getTime();
+      if (window.ganttChart.window?.classList.contains('visible') && window.ganttChart.filteredData?.size > 0) {
+        window.ganttChart.renderChart();
+      }
+    }
+
+    if (this.onFrame) {
+      this.onFrame({ date: new Date(this.currentDate), counts });
+    }
+  }
+
+  /**
+   * Move the current date by one step
+   * @param {number} direction - 1 forward, -1 back
+   * @returns {boolean} False when the end (or start) of the range was reached
+   */
+  advance(direction = 1) {
+    const next = new Date(this.currentDate);
+
+    if (this.step === 'month') {
+      next.setMonth(next.getMonth() + direction);
+    } else {
+      next.setDate(next.getDate() + 7 * direction);
+    }
+
+    if (next > this.endDate) {
+      this.currentDate = new Date(this.endDate);
+      return false;
+    }
+    if (next < this.startDate) {
+      this.currentDate = new Date(this.startDate);
+      return false;
+    }
+
+    this.currentDate = next;
+    return true;
+  }
+
+  play() {
+    if (this.isPlaying || !this.isReady()) return;
+
+    // Restart from the beginning when already at the end
+    if (this.currentDate >= this.endDate) {
+      this.currentDate = new Date(this.startDate);
+    }
+
+    this.isPlaying = true;
+    this.renderFrame();
+    this.scheduleNextFrame();
+    this.notifyStateChange();
+    console.log(`▶️ Playback started (${this.step} steps, ${this.speed}x, ${this.mode} dates)`);
+  }
+
+  scheduleNextFrame() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (!this.isPlaying) return;
+
+      const moved = this.advance(1);
+      this.renderFrame();
+
+      if (moved) {
+        this.scheduleNextFrame();
+      } else {
+        console.log('⏹️ Playback reached the end of the schedule');
+        this.pause();
+      }
+    }, 1000 / this.speed);
+  }
+
+  pause() {
+    this.isPlaying = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // A recording covers exactly one playback run
+    if (this.recorder && this.recorder.state === 'recording') {
+      this.stopRecording();
+    }
+
+    this.notifyStateChange();
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Step one week/month forward or back (pauses playback)
+   * @param {number} direction - 1 forward, -1 back
+   */
+  stepBy(direction) {
+    if (!this.isReady()) return;
+    this.pause();
+    this.advance(direction);
+    this.renderFrame();
+  }
+
+  /**
+   * Jump to a date within the playback range
+   * @param {Date} date - Date to show
+   */
+  seek(date) {
+    if (!this.isReady()) return;
+    const time = Math.min(Math.max(date.getTime(), this.startDate.getTime()), this.endDate.getTime());
+    this.currentDate = new Date(time);
+    this.renderFrame();
+  }
+
+  setStep(step) {
+    this.step = step === 'month' ? 'month' : 'week';
+  }
+
+  setSpeed(speed) {
+    const value = parseFloat(speed);
+    this.speed = SPEEDS.includes(value) ? value : 1;
+    if (this.isPlaying) this.scheduleNextFrame();
+  }
+
+  setMode(mode) {
+    this.mode = mode === 'actual' ? 'actual' : 'planned';
+    if (this.currentDate && this.isReady()) this.renderFrame();
+  }
+
+  /**
+   * Stop playback and restore the normal model view
+   */
+  stop() {
+    this.pause();
+
+    if (viewerManager.viewer) {
+      viewerManager.clearColors();
+      viewerManager.showAll();
+    }
+    embeddedColorManager.currentScheme = null;
+    embeddedColorManager.colorMap.clear();
+
+    if (window.ganttChart) {
+      window.ganttChart.todayLinePosition = null;
+    }
+
+    this.currentDate = this.startDate ? new Date(this.startDate) : null;
+    this.notifyStateChange();
+    console.log('⏹️ Playback stopped');
+  }
+
+  notifyStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange({ isPlaying: this.isPlaying, isRecording: this.isRecording() });
+    }
+  }
+
+  isRecording() {
+    return !!(this.recorder && this.recorder.state === 'recording');
+  }
+
+  /**
+   * Record a full playback run of the viewer canvas to a WebM video
+   * @returns {boolean} True if recording started
+   */
+  startRecording() {
+    if (!this.isReady()) return false;
+
+    if (typeof MediaRecorder === 'undefined') {
+      console.error('❌ MediaRecorder is not supported in this browser');
+      return false;
+    }
+
+    const canvas = viewerManager.viewer.canvas || viewerManager.viewer.impl.canvas;
+    if (!canvas || !canvas.captureStream) {
+      console.error('❌ Viewer canvas cannot be captured');
+      return false;
+    }
+
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+
+    const stream = canvas.captureStream(30);
+    this.recordedChunks = [];
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+    this.recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.recordedChunks.push(event.data);
+      }
+    };
+
+    this.recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      this.downloadRecording();
+    };
+
+    // Always record from the first date
+    this.pause();
+    this.currentDate = new Date(this.startDate);
+    this.recorder.start(1000);
+    console.log(`🔴 Recording playback (${mimeType || 'default format'})`);
+
+    this.play();
+    return true;
+  }
+
+  stopRecording() {
+    if (this.isRecording()) {
+      this.recorder.stop();
+      console.log('⏹️ Recording stopped');
+    }
+  }
+
+  downloadRecording() {
+    if (this.recordedChunks.length === 0) {
+      console.warn('⚠️ Nothing was recorded');
+      return;
+    }
+
+    const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    const from = this.formatFileDate(this.startDate);
+    const to = this.formatFileDate(this.currentDate);
+    a.href = url;
+    a.download = `4d-playback_${this.mode}_${from}_to_${to}.webm`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY_MS);
+
+    this.recordedChunks = [];
+    this.recorder = null;
+    this.notifyStateChange();
+    console.log(`✅ Playback video saved (${(blob.size / 1024 / 1024).toFixed(1)} MB)`);
+  }
+
+  /**
+   * Local calendar date as YYYY-MM-DD (toISOString would give the previous day west of UTC)
+   */
+  formatFileDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+// Export singleton instance
+export const sequencePlayer = new SequencePlayer();
+export default sequencePlayer;
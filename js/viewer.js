@@ -5,12 +5,14 @@
 
 import { CONFIG } from './config.js';
 import { authManager } from './auth.js';
+import { filterProperties } from './propertyExtraction.js';
 
 class ViewerManager {
   constructor() {
     this.viewer = null;
     this.model = null;
     this.instanceTree = null;
+    this.documentId = null; // Derivative URN of the loaded model ("urn:<base64>")
     this.selectedDbIds = [];
   }
 
@@ -92,6 +94,7 @@ class ViewerManager {
       }
       
       console.log('Document ID:', documentId.substring(0, 60) + '...');
+      this.documentId = documentId;
       
       Autodesk.Viewing.Document.load(
         documentId,
@@ -253,24 +256,7 @@ class ViewerManager {
           const filtered = results.map(item => ({
             dbId: item.dbId,
             externalId: item.externalId,
-            properties: item.properties.filter(prop => {
-              for (const propName of propNames) {
-                if (propName.includes('/')) {
-                  // Category path: 'Element/Plot'
-                  const fullName = `${prop.category}/${prop.displayName}`;
-                  if (fullName === propName) return true;
-                } else if (propName.includes('*')) {
-                  // Wildcard: 'Element/*Plot*'
-                  const pattern = new RegExp(`^${propName.replace(/\*/g, '.*')}$`, 'i');
-                  const fullName = `${prop.category}/${prop.displayName}`;
-                  if (pattern.test(fullName)) return true;
-                } else {
-                  // Simple name: 'Plot'
-                  if (prop.displayName === propName) return true;
-                }
-              }
-              return false;
-            })
+            properties: filterProperties(item.properties, propNames)
           }));
           console.log(`✅ Filtered to ${filtered.reduce((sum, item) => sum + item.properties.length, 0)} properties total`);
           resolve(filtered);
@@ -509,6 +495,40 @@ class ViewerManager {
     }
   }
 
+  /**
+   * Current camera (position, target, up vector, projection) as a JSON-friendly object
+   * @returns {object|null} Viewport state, or null if the viewer is not ready
+   */
+  getCameraState() {
+    if (!this.viewer) return null;
+    return this.viewer.getState({ viewport: true }).viewport || null;
+  }
+
+  /**
+   * Move the camera to a state from getCameraState()
+   * @param {object} viewport - Viewport state
+   * @returns {boolean} True if the camera was restored
+   */
+  restoreCameraState(viewport) {
+    if (!this.viewer || !viewport) return false;
+
+    try {
+      return this.viewer.restoreState({ viewport }, null, false);
+    } catch (error) {
+      console.error('❌ Error restoring camera:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Elements currently isolated (empty when the whole model is shown)
+   * @returns {Array<number>}
+   */
+  getIsolatedDbIds() {
+    if (!this.viewer) return [];
+    return this.viewer.getIsolatedNodes();
+  }
+
   /**
    * Select elements
    * @param {Array<number>} dbIds - Elements to select
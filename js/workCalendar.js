@@ -0,0 +1,470 @@
+/**
+ * Work Calendar Module
+ * Project calendar (working weekdays, public holidays and shutdowns) used for durations,
+ * slip, delay and look-ahead in working days. The calendar is stored on the server with the
+ * schedule so every user counts the same working days.
+ */
+
+import { CONFIG } from './config.js';
+import { authManager } from './auth.js';
+import { scheduleService } from './scheduleService.js';
+import { escapeHtml } from './htmlUtils.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Day numbers are counted from 1970-01-01, a Thursday
+const EPOCH_WEEKDAY = 4;
+
+// Workday indexes (see toWorkdayIndex) are counted from this day: 2000-01-02
+const INDEX_EPOCH_DAY = 10958;
+
+class WorkCalendar {
+  constructor() {
+    // Loaded on first use - config.js imports this module, so CONFIG is not ready yet here
+    this.settings = null; // { workdays: [0-6], holidays: [{ date, name }], shutdowns: [{ start, end, name }] }
+    this.workdays = null; // Set of working weekdays
+    this.exceptions = new Map(); // Day number → { kind: 'holiday' | 'shutdown', name } for non-working dates
+    this.exceptionDays = []; // Sorted day numbers of exceptions that fall on working weekdays
+    this.onChange = null; // Called after the settings are saved
+  }
+
+  /**
+   * Use the CONFIG.CALENDAR defaults until the shared calendar has been loaded
+   */
+  ensureLoaded() {
+    if (this.settings) return;
+    this.applySettings(this.getDefaultSettings());
+  }
+
+  /**
+   * Load the calendar shared on the server (the defaults stay in use if there is none)
+   * and notify listeners when it differs from the calendar in use
+   */
+  async loadShared() {
+    try {
+      const shared = await scheduleService.fetchCalendar();
+      const { workdays, holidays, shutdowns } = shared || this.getDefaultSettings();
+      const settings = { workdays, holidays: holidays || [], shutdowns: shutdowns || [] };
+
+      if (JSON.stringify(settings) === JSON.stringify(this.settings)) return;
+
+      this.applySettings(settings);
+      console.log(`📆 Work calendar loaded${shared ? ` (set by ${shared.setBy})` : ' (project default)'}: ${this.describeWorkdays()}`);
+      if (this.onChange) this.onChange();
+    } catch (error) {
+      console.warn('⚠️ Could not load the shared work calendar - using the default calendar:', error.message);
+      this.ensureLoaded();
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      workdays: [...CONFIG.CALENDAR.WORKDAYS],
+      holidays: CONFIG.CALENDAR.HOLIDAYS.map(holiday => ({ ...holiday })),
+      shutdowns: CONFIG.CALENDAR.SHUTDOWNS.map(shutdown => ({ ...shutdown }))
+    };
+  }
+
+  /**
+   * Build the lookup tables for a set of settings
+   */
+  applySettings(settings) {
+    this.settings = settings;
+    this.workdays = new Set(settings.workdays);
+    this.exceptions = new Map();
+
+    (settings.holidays || []).forEach(({ date, name }) => {
+      const day = this.parseDay(date);
+      if (day !== null) this.exceptions.set(day, { kind: 'holiday', name: name || 'Holiday' });
+    });
+
+    // Shutdowns win over holidays on the same date
+    (settings.shutdowns || []).forEach(({ start, end, name }) => {
+      const first = this.parseDay(start);
+      const last = this.parseDay(end || start);
+      if (first === null || last === null) return;
+      for (let day = first; day <= last; day++) {
+        this.exceptions.set(day, { kind: 'shutdown', name: name || 'Shutdown' });
+      }
+    });
+
+    this.exceptionDays = Array.from(this.exceptions.keys())
+      .filter(day => this.workdays.has(this.weekdayOf(day)))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Save new settings for everyone (admin only) and notify listeners
+   * @throws {Error} When the settings are invalid or the server refuses them
+   */
+  async save(settings) {
+    if (!settings.workdays || settings.workdays.length === 0) {
+      throw new Error('Select at least one working day');
+    }
+
+    await scheduleService.saveCalendar(settings);
+    this.applySettings(settings);
+    console.log(`📆 Work calendar saved: ${this.describeWorkdays()}, ${settings.holidays.length} holidays, ${settings.shutdowns.length} shutdowns`);
+
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Go back to the CONFIG.CALENDAR defaults for everyone (admin only)
+   */
+  async reset() {
+    await scheduleService.resetCalendar();
+    this.applySettings(this.getDefaultSettings());
+    console.log('📆 Work calendar reset to the project default');
+
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * 'YYYY-MM-DD' (or a Date) → day number
+   */
+  parseDay(value) {
+    if (value instanceof Date) return this.dayNumber(value);
+    const match = String(value ?? '').trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) return null;
+    return Math.round(Date.UTC(+match[1], +match[2] - 1, +match[3]) / DAY_MS);
+  }
+
+  /**
+   * Local calendar date → whole day number (time of day ignored)
+   */
+  dayNumber(date) {
+    const d = new Date(date);
+    return Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY_MS);
+  }
+
+  /**
+   * Day number → local midnight
+   */
+  dateOfDay(day) {
+    const utc = new Date(day * DAY_MS);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+  }
+
+  weekdayOf(day) {
+    return ((day + EPOCH_WEEKDAY) % 7 + 7) % 7;
+  }
+
+  getWorkdaysPerWeek() {
+    this.ensureLoaded();
+    return this.workdays.size;
+  }
+
+  describeWorkdays() {
+    this.ensureLoaded();
+    return WEEKDAY_NAMES.filter((_, weekday) => this.workdays.has(weekday)).map(name => name.slice(0, 3)).join(', ');
+  }
+
+  /**
+   * Why a date is not worked: { kind: 'weekend' | 'holiday' | 'shutdown', name }, or null on working days
+   */
+  getNonWorkingReason(date) {
+    this.ensureLoaded();
+    const day = this.dayNumber(date);
+    if (this.exceptions.has(day)) return this.exceptions.get(day);
+    return this.workdays.has(this.weekdayOf(day)) ? null : { kind: 'weekend', name: WEEKDAY_NAMES[this.weekdayOf(day)] };
+  }
+
+  isWorkday(date) {
+    return this.getNonWorkingReason(date) === null;
+  }
+
+  /**
+   * Working days in the day range [fromDay, toDay)
+   */
+  countWorkdays(fromDay, toDay) {
+    if (toDay <= fromDay) return 0;
+
+    const fullWeeks = Math.floor((toDay - fromDay) / 7);
+    let count = fullWeeks * this.workdays.size;
+    for (let day = fromDay + fullWeeks * 7; day < toDay; day++) {
+      if (this.workdays.has(this.weekdayOf(day))) count++;
+    }
+
+    this.exceptionDays.forEach(day => {
+      if (day >= fromDay && day < toDay) count--;
+    });
+    return count;
+  }
+
+  /**
+   * Working days from one date to another, counting the days after `from` up to and including `to`
+   * (Thursday → next Sunday = 1 on a Sunday-Thursday week). Negative when `to` is earlier.
+   * @returns {number|null} Working days, or null if either date is missing
+   */
+  workdaysBetween(from, to) {
+    if (!from || !to) return null;
+    this.ensureLoaded();
+
+    const fromDay = this.dayNumber(from);
+    const toDay = this.dayNumber(to);
+    return toDay >= fromDay
+      ? this.countWorkdays(fromDay + 1, toDay + 1)
+      : -this.countWorkdays(toDay + 1, fromDay + 1);
+  }
+
+  /**
+   * Working days in a task's span, start and finish included
+   */
+  durationWorkdays(start, finish) {
+    if (!start || !finish) return null;
+    this.ensureLoaded();
+    return this.countWorkdays(this.dayNumber(start), this.dayNumber(finish) + 1);
+  }
+
+  /**
+   * Number of working days before a date (from a fixed reference day). A non-working date
+   * gets the index of the next working day.
+   */
+  toWorkdayIndex(date) {
+    this.ensureLoaded();
+    return this.toWorkdayIndexOfDay(this.dayNumber(date));
+  }
+
+  /**
+   * Working day with a given index (local midnight)
+   */
+  fromWorkdayIndex(index) {
+    this.ensureLoaded();
+
+    // Smallest day with more than `index` working days up to and including it
+    const estimate = INDEX_EPOCH_DAY + Math.floor(index * 7 / this.workdays.size);
+    const margin = 14 + this.exceptionDays.length * 2;
+    let low = estimate - margin;
+    let high = estimate + margin;
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.toWorkdayIndexOfDay(mid + 1) > index) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return this.dateOfDay(low);
+  }
+
+  toWorkdayIndexOfDay(day) {
+    return day >= INDEX_EPOCH_DAY
+      ? this.countWorkdays(INDEX_EPOCH_DAY, day)
+      : -this.countWorkdays(day, INDEX_EPOCH_DAY);
+  }
+
+  /**
+   * Move a date by a number of working days (a non-working date starts from the next working day)
+   * @returns {Date} Local midnight of the resulting working day
+   */
+  addWorkdays(date, workdays) {
+    return this.fromWorkdayIndex(this.toWorkdayIndex(date) + Math.round(workdays));
+  }
+
+  /**
+   * Whether a planned finish is overdue: at least one working day has passed since it
+   */
+  isLate(plannedFinish, now = new Date()) {
+    if (!plannedFinish) return false;
+    return this.workdaysBetween(plannedFinish, now) > 0;
+  }
+
+  /**
+   * Forecast finish of a task in working days. The forecast projects the working days taken so far
+   * to 100%; work that should have started but has not is forecast to start on the next working day and take
+   * its planned duration (durationWorkdays, start and finish included).
+   * @param {object} task - { plannedStart, plannedFinish, actualStart, actualFinish, percentComplete }
+   * @returns {object} { forecastFinish, lateDays } - lateDays is negative when ahead of plan
+   */
+  forecast(task, today = new Date()) {
+    const { plannedStart, plannedFinish, actualStart, actualFinish, percentComplete } = task;
+    let forecastFinish = plannedFinish;
+
+    if (percentComplete >= 100) {
+      forecastFinish = actualFinish || plannedFinish;
+    } else if (actualStart && percentComplete > 0) {
+      const elapsed = Math.max(this.workdaysBetween(actualStart, today), 1);
+      forecastFinish = this.addWorkdays(actualStart, elapsed * (100 / percentComplete));
+    } else if (plannedStart && plannedFinish && plannedStart < today) {
+      forecastFinish = this.addWorkdays(today, this.durationWorkdays(plannedStart, plannedFinish));
+    }
+
+    if (forecastFinish && plannedFinish && percentComplete < 100 && forecastFinish < today) {
+      forecastFinish = today;
+    }
+
+    const lateDays = forecastFinish && plannedFinish
+      ? this.workdaysBetween(plannedFinish, forecastFinish)
+      : 0;
+
+    return { forecastFinish, lateDays };
+  }
+
+  /**
+   * Runs of non-working days in a date range, for shading the timeline
+   * @param {boolean} includeWeekends - Include the regular weekly days off
+   * @returns {Array} [{ start, end (inclusive), kind, name }]
+   */
+  getNonWorkingPeriods(minDate, maxDate, includeWeekends = true) {
+    this.ensureLoaded();
+    const periods = [];
+    const lastDay = this.dayNumber(maxDate);
+    let current = null;
+
+    for (let day = this.dayNumber(minDate); day <= lastDay; day++) {
+      let reason = this.exceptions.get(day) || null;
+      if (!reason && !this.workdays.has(this.weekdayOf(day))) {
+        reason = includeWeekends ? { kind: 'weekend', name: 'Weekend' } : null;
+      }
+
+      if (reason && current && current.kind === reason.kind && current.name === reason.name && current.lastDay === day - 1) {
+        current.lastDay = day;
+      } else if (reason) {
+        current = { firstDay: day, lastDay: day, kind: reason.kind, name: reason.name };
+        periods.push(current);
+      }
+    }
+
+    return periods.map(({ firstDay, lastDay: last, kind, name }) => ({
+      start: this.dateOfDay(firstDay),
+      end: this.dateOfDay(last),
+      kind,
+      name
+    }));
+  }
+
+  /**
+   * Parse the dialog's text lines
+   * Holidays: "2026-12-02 National Day"; shutdowns: "2027-02-08 2027-03-09 Ramadan"
+   * @returns {object} { holidays, shutdowns, errors }
+   */
+  parseSettingsText(holidayText, shutdownText) {
+    const errors = [];
+    const holidays = [];
+    const shutdowns = [];
+
+    holidayText.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const match = line.match(/^(\d{4}-\d{1,2}-\d{1,2})\s*(.*)$/);
+      if (match && this.parseDay(match[1]) !== null) {
+        holidays.push({ date: match[1], name: match[2].trim() });
+      } else {
+        errors.push(`Holiday "${line}" - use YYYY-MM-DD Name`);
+      }
+    });
+
+    shutdownText.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const match = line.match(/^(\d{4}-\d{1,2}-\d{1,2})\s*(?:to|-|–)?\s*(\d{4}-\d{1,2}-\d{1,2})\s*(.*)$/);
+      if (match && this.parseDay(match[1]) !== null && this.parseDay(match[2]) >= this.parseDay(match[1])) {
+        shutdowns.push({ start: match[1], end: match[2], name: match[3].trim() });
+      } else {
+        errors.push(`Shutdown "${line}" - use YYYY-MM-DD YYYY-MM-DD Name (start before end)`);
+      }
+    });
+
+    return { holidays, shutdowns, errors };
+  }
+
+  /**
+   * Dialog to edit the working days, holidays and shutdowns
+   * @returns {Promise<boolean>} True if the calendar was changed
+   */
+  showSettings() {
+    this.ensureLoaded();
+    document.getElementById('workCalendarDialog')?.remove();
+
+    const { workdays, holidays, shutdowns } = this.settings;
+    // The calendar is shared, so only admins change it; everyone else can look
+    const readOnly = !authManager.isAdmin();
+    const disabled = readOnly ? 'disabled' : '';
+    const dayBoxes = WEEKDAY_NAMES.map((name, weekday) => `
+      <label class="work-calendar-day">
+        <input type="checkbox" value="${weekday}" ${workdays.includes(weekday) ? 'checked' : ''} ${disabled}> ${name.slice(0, 3)}
+      </label>
+    `).join('');
+
+    const dialog = document.createElement('div');
+    dialog.id = 'workCalendarDialog';
+    dialog.className = 'column-mapping-overlay';
+    dialog.innerHTML = `
+      <div class="column-mapping-dialog work-calendar-dialog">
+        <div class="column-mapping-header">
+          <span>📆 Project Work Calendar</span>
+        </div>
+        <div class="column-mapping-body">
+          <div class="work-calendar-section">
+            <strong>Working days</strong>
+            <div class="work-calendar-days">${dayBoxes}</div>
+          </div>
+          <div class="work-calendar-section">
+            <strong>Public holidays</strong> <span class="work-calendar-hint">one per line: 2026-12-02 National Day</span>
+            <textarea id="workCalendarHolidays" rows="6" ${disabled}>${escapeHtml(holidays.map(h => `${h.date} ${h.name || ''}`.trim()).join('\n'))}</textarea>
+          </div>
+          <div class="work-calendar-section">
+            <strong>Shutdowns</strong> <span class="work-calendar-hint">one per line: 2027-02-08 2027-03-09 Ramadan</span>
+            <textarea id="workCalendarShutdowns" rows="4" ${disabled}>${escapeHtml(shutdowns.map(s => `${s.start} ${s.end} ${s.name || ''}`.trim()).join('\n'))}</textarea>
+          </div>
+        </div>
+        <div class="column-mapping-footer">
+          <span class="column-mapping-status" id="workCalendarStatus">${readOnly ? 'Only admins can change the project calendar' : 'Saved for all users'}</span>
+          <button class="btn btn-secondary" data-action="reset" ${disabled}>Reset to Default</button>
+          <button class="btn btn-secondary" data-action="cancel">${readOnly ? 'Close' : 'Cancel'}</button>
+          <button class="btn btn-primary" data-action="save" ${disabled}>Save</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    return new Promise(resolve => {
+      dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+        dialog.remove();
+        resolve(false);
+      });
+
+      const status = dialog.querySelector('#workCalendarStatus');
+
+      dialog.querySelector('[data-action="reset"]').addEventListener('click', async () => {
+        try {
+          await this.reset();
+        } catch (error) {
+          status.textContent = error.message;
+          return;
+        }
+
+        dialog.remove();
+        resolve(true);
+      });
+
+      dialog.querySelector('[data-action="save"]').addEventListener('click', async () => {
+        const checkedDays = Array.from(dialog.querySelectorAll('.work-calendar-days input:checked')).map(box => parseInt(box.value));
+        const parsed = this.parseSettingsText(
+          dialog.querySelector('#workCalendarHolidays').value,
+          dialog.querySelector('#workCalendarShutdowns').value
+        );
+
+        if (parsed.errors.length > 0) {
+          status.textContent = parsed.errors[0];
+          return;
+        }
+
+        try {
+          await this.save({ workdays: checkedDays, holidays: parsed.holidays, shutdowns: parsed.shutdowns });
+        } catch (error) {
+          status.textContent = error.message;
+          return;
+        }
+
+        dialog.remove();
+        resolve(true);
+      });
+    });
+  }
+}
+
+// Export singleton instance
+export const workCalendar = new WorkCalendar();
+export default workCalendar;
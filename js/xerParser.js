@@ -0,0 +1,209 @@
+/**
+ * XER Parser Module
+ * Reads Primavera P6 XER exports (TASK, PROJWBS, TASKPRED tables) into schedule rows
+ */
+
+import { embeddedDataManager } from './embeddedDataManager.js';
+import { extractionRules } from './extractionRules.js';
+import { HOURS_PER_DAY, findLabelledValue, activityStatus } from './scheduleImport.js';
+
+// P6 relationship types → short form
+const RELATIONSHIP_TYPES = {
+  PR_FS: 'FS',
+  PR_SS: 'SS',
+  PR_FF: 'FF',
+  PR_SF: 'SF'
+};
+
+// Task types that are summaries, not real work
+const SKIPPED_TASK_TYPES = ['TT_LOE', 'TT_WBS'];
+
+class XerParser {
+  /**
+   * Split XER text into tables
+   * XER layout: %T table name, %F field names, %R record values (tab separated), %E end
+   * @param {string} text - XER file contents
+   * @returns {Map} tableName → Array of row objects
+   */
+  parseTables(text) {
+    const tables = new Map();
+    let currentTable = null;
+    let fields = [];
+
+    if (!text.startsWith('ERMHDR')) {
+      throw new Error('Not a Primavera XER file (missing ERMHDR header)');
+    }
+
+    text.split(/\r?\n/).forEach(line => {
+      const [marker, ...values] = line.split('\t');
+
+      switch (marker) {
+        case '%T':
+          currentTable = values[0];
+          fields = [];
+          tables.set(currentTable, []);
+          break;
+        case '%F':
+          fields = values;
+          break;
+        case '%R':
+          if (currentTable) {
+            const record = {};
+            fields.forEach((field, i) => {
+              record[field] = values[i] ?? '';
+            });
+            tables.get(currentTable).push(record);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    console.log('📑 XER tables:', Array.from(tables.entries()).map(([name, rows]) => `${name} (${rows.length})`).join(', '));
+    return tables;
+  }
+
+  /**
+   * Parse a P6 date ("2025-03-01 08:00")
+   * @param {string} value - P6 date string
+   * @returns {Date|null} Local date
+   */
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{2}):(\d{2}))?/);
+    if (!match) return null;
+
+    const [, year, month, day, hours = '0', minutes = '0'] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+  }
+
+  /**
+   * Build the WBS path (leaf first) for every WBS node
+   * @param {Array} wbsRows - PROJWBS records
+   * @returns {Map} wbs_id → Array of wbs names, leaf first
+   */
+  buildWbsPaths(wbsRows) {
+    const byId = new Map(wbsRows.map(row => [row.wbs_id, row]));
+    const paths = new Map();
+
+    byId.forEach((row, wbsId) => {
+      const names = [];
+      const seen = new Set();
+      let node = row;
+
+      // Project nodes (proj_node_flag = Y) are the root and carry the project name, not a location
+      while (node && !seen.has(node.wbs_id) && node.proj_node_flag !== 'Y') {
+        seen.add(node.wbs_id);
+        names.push(node.wbs_name);
+        node = byId.get(node.parent_wbs_id);
+      }
+
+      paths.set(wbsId, names);
+    });
+
+    return paths;
+  }
+
+  /**
+   * Map a P6 activity to block and plot.
+   * Block follows the model's Activity_ID convention (EmbeddedDataManager.extractBlockFromActivityId),
+   * falling back to a "Block N" label; plot comes from a "Plot N" label on the activity or its WBS.
+   * @param {object} task - TASK record
+   * @param {Array<string>} wbsPath - WBS names, leaf first
+   * @returns {object} { block, plot }
+   */
+  mapActivity(task, wbsPath) {
+    const names = [task.task_name, ...wbsPath];
+
+    const block = embeddedDataManager.extractBlockFromActivityId(task.task_code) ||
+      findLabelledValue('block', names);
+    const plot = findLabelledValue('plot', names);
+
+    return { block, plot };
+  }
+
+  /**
+   * Parse XER text into schedule rows (same columns as the Excel schedule) and dependencies
+   * @param {string} text - XER file contents
+   * @returns {object} { rows, dependencies, projects }
+   */
+  parse(text) {
+    const tables = this.parseTables(text);
+    const tasks = tables.get('TASK') || [];
+
+    if (tasks.length === 0) {
+      throw new Error('XER file has no TASK table');
+    }
+
+    const projects = new Map((tables.get('PROJECT') || []).map(row => [row.proj_id, row.proj_short_name]));
+    const wbsPaths = this.buildWbsPaths(tables.get('PROJWBS') || []);
+    const codesByTaskId = new Map();
+    const rows = [];
+    let unmapped = 0;
+
+    tasks.forEach(task => {
+      codesByTaskId.set(task.task_id, task.task_code);
+      if (SKIPPED_TASK_TYPES.includes(task.task_type)) return;
+
+      const wbsPath = wbsPaths.get(task.wbs_id) || [];
+      const { block, plot } = this.mapActivity(task, wbsPath);
+      if (!block && !plot) unmapped++;
+
+      rows.push({
+        'Project': projects.get(task.proj_id) || '',
+        'Activity ID': task.task_code,
+        'Activity Name': task.task_name,
+        'Task Type': task.task_type,
+        'WBS': [...wbsPath].reverse().join(' / '),
+        'Block': block || '',
+        'Plot': plot || '',
+        'Component': task.task_name || '',
+        'Planned Start': this.parseDate(task.target_start_date || task.early_start_date),
+        'Planned Finish': this.parseDate(task.target_end_date || task.early_end_date),
+        'Actual Start': this.parseDate(task.act_start_date),
+        'Actual Finish': this.parseDate(task.act_end_date),
+        'Percent Complete': task.phys_complete_pct ? parseFloat(task.phys_complete_pct) : '',
+        'Status': activityStatus(task.task_name, {
+          started: task.status_code === 'TK_Active' || task.status_code === 'TK_Complete',
+          finished: task.status_code === 'TK_Complete'
+        })
+      });
+    });
+
+    const dependencies = (tables.get('TASKPRED') || [])
+      .map(pred => ({
+        predecessor: codesByTaskId.get(pred.pred_task_id),
+        successor: codesByTaskId.get(pred.task_id),
+        type: RELATIONSHIP_TYPES[pred.pred_type] || 'FS',
+        lagDays: (parseFloat(pred.lag_hr_cnt) || 0) / HOURS_PER_DAY
+      }))
+      .filter(dep => dep.predecessor && dep.successor);
+
+    console.log(`✅ XER: ${rows.length} activities, ${dependencies.length} relationships`);
+    if (unmapped > 0) {
+      console.warn(`⚠️ XER: ${unmapped} activities have no block or plot in their code, name or WBS`);
+    }
+
+    return {
+      rows,
+      dependencies,
+      projects: Array.from(projects.values())
+    };
+  }
+
+  /**
+   * Read an XER file (P6 exports are Windows-1252 encoded)
+   * @param {File} file - XER file
+   * @returns {Promise<object>} { rows, dependencies, projects }
+   */
+  async parseFile(file) {
+    const buffer = await file.arrayBuffer();
+    const text = new TextDecoder('windows-1252').decode(buffer);
+    await extractionRules.load(); // Block codes are read with the Activity_ID rules
+    return this.parse(text);
+  }
+}
+
+// Export singleton instance
+export const xerParser = new XerParser();
+export default xerParser;
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * One JSON file on disk, shared by the schedule, view and user stores.
+ * Writes go to a temporary file that is then renamed, so a crash never leaves half a file.
+ * A file that exists but cannot be parsed is an error, never "empty": treating it as empty
+ * would let the next write replace data that can still be recovered by hand.
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - JSON file
+   * @param {Object} options - { label: name used in errors, mode: file mode for writes (e.g. 0o600) }
+   */
+  constructor(filePath, { label = path.basename(filePath), mode } = {}) {
+    this.filePath = filePath;
+    this.label = label;
+    this.mode = mode;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  /**
+   * Check if the file exists
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Read and parse the file
+   * @param {*} fallback - Returned when the file does not exist yet
+   * @returns {*} Parsed contents
+   * @throws {Error} If the file exists but cannot be read or parsed
+   */
+  read(fallback = null) {
+    if (!this.exists()) {
+      return fallback;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      console.error(`❌ Failed to read ${this.label}:`, error.message);
+      throw new Error(`The ${this.label} is unreadable (${this.filePath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the file contents (write-then-rename)
+   * @param {*} data - JSON-serializable contents
+   */
+  write(data) {
+    const tmpPath = this.filePath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), this.mode ? { mode: this.mode } : undefined);
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Delete the file
+   * @returns {boolean} True if there was a file to delete
+   */
+  remove() {
+    if (!this.exists()) {
+      return false;
+    }
+
+    fs.unlinkSync(this.filePath);
+    return true;
+  }
+}
+
+module.exports = {
+  JsonFileStore
+};
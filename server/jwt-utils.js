@@ -1,17 +1,39 @@
 const jwt = require('jsonwebtoken');
 
-// JWT Secret (should be stored in .env in production)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// JWT Secret (server/.env). Tokens carry the dashboard role, so there is no built-in fallback:
+// anyone who knows a default secret could sign themselves an admin token.
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set - add it to server/.env (see DEPLOYMENT.md)');
+}
 const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
 const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
 
+// Dashboard roles (see SCHEDULE_SECURITY_PLAN.md)
+const ROLES = {
+  ADMIN: 'admin',
+  READ_ONLY: 'read-only'
+};
+
+/**
+ * Ensure every token carries a role claim (read-only unless stated otherwise)
+ * @param {Object} payload - User data to encode in token
+ * @returns {Object} Payload with role
+ */
+function withRole(payload) {
+  return {
+    ...payload,
+    role: Object.values(ROLES).includes(payload.role) ? payload.role : ROLES.READ_ONLY
+  };
+}
+
 /**
  * Generate JWT access token
  * @param {Object} payload - User data to encode in token
  * @returns {string} JWT token
  */
 function generateAccessToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, {
+  return jwt.sign(withRole(payload), JWT_SECRET, {
     expiresIn: JWT_EXPIRY,
     issuer: 'blockwise-dashboard',
     audience: 'blockwise-app'
@@ -24,7 +46,7 @@ function generateAccessToken(payload) {
  * @returns {string} JWT refresh token
  */
 function generateRefreshToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, {
+  return jwt.sign(withRole(payload), JWT_SECRET, {
     expiresIn: JWT_REFRESH_EXPIRY,
     issuer: 'blockwise-dashboard',
     audience: 'blockwise-app'
@@ -115,6 +137,26 @@ function optionalJWT(req, res, next) {
   next();
 }
 
+/**
+ * Middleware factory - require a valid JWT whose role is one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    authenticateJWT(req, res, () => {
+      if (!roles.includes(req.user.role)) {
+        console.log(`🚫 ${req.user.username || req.user.sessionId || 'unknown'} (${req.user.role}) denied ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          requiredRoles: roles
+        });
+      }
+      next();
+    });
+  };
+}
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
@@ -122,6 +164,8 @@ module.exports = {
   decodeToken,
   authenticateJWT,
   optionalJWT,
+  requireRole,
+  ROLES,
   JWT_SECRET,
   JWT_EXPIRY,
   JWT_REFRESH_EXPIRY
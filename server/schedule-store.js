@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+
+// Schedule storage location (kept outside the statically served tree in production)
+const SCHEDULE_DATA_DIR = process.env.SCHEDULE_DATA_DIR || path.join(__dirname, 'data', 'schedules');
+const INDEX_FILE = 'index.json';
+const BASELINE_FILE = 'baseline.json';
+const CALENDAR_FILE = 'calendar.json';
+
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$/;
+
+/**
+ * JSON-file backed store for uploaded schedule workbooks.
+ * Every upload is kept as its own version; the index holds the metadata.
+ */
+class ScheduleStore {
+  /**
+   * @param {string} dataDir - Directory that holds the workbooks and index file
+   */
+  constructor(dataDir = SCHEDULE_DATA_DIR) {
+    this.dataDir = dataDir;
+    this.indexFile = new JsonFileStore(path.join(dataDir, INDEX_FILE), { label: 'schedule index' });
+    this.baselineFile = new JsonFileStore(path.join(dataDir, BASELINE_FILE), { label: 'schedule baseline' });
+    this.calendarFile = new JsonFileStore(path.join(dataDir, CALENDAR_FILE), { label: 'work calendar' });
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  /**
+   * Read the version index from disk
+   * @returns {Array<Object>} Version metadata, oldest first
+   * @throws {Error} If the index cannot be read - never treated as empty, or the next upload would overwrite v1
+   */
+  readIndex() {
+    return this.indexFile.read([]);
+  }
+
+  /**
+   * Write the version index to disk (write-then-rename so a crash never leaves half a file)
+   * @param {Array<Object>} versions - Version metadata
+   */
+  writeIndex(versions) {
+    this.indexFile.write(versions);
+  }
+
+  /**
+   * Store a new schedule version
+   * @param {Object} upload - Upload details
+   * @param {Buffer} upload.buffer - Raw workbook bytes
+   * @param {string} upload.fileName - Original file name
+   * @param {string} upload.uploadedBy - Uploader identifier
+   * @param {Object} [upload.columnMapping] - Excel column mapping used to read the workbook
+   * @returns {Object} Metadata of the stored version
+   */
+  saveVersion({ buffer, fileName, uploadedBy, columnMapping = null }) {
+    const versions = this.readIndex();
+    const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+    const extension = path.extname(fileName || '').toLowerCase() || '.xlsx';
+    const storedName = `schedule_v${version}${extension}`;
+
+    fs.writeFileSync(path.join(this.dataDir, storedName), buffer);
+
+    const metadata = {
+      version,
+      fileName: fileName || storedName,
+      storedName,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      uploadedBy: uploadedBy || 'anonymous',
+      uploadedAt: new Date().toISOString(),
+      ...(columnMapping ? { columnMapping } : {})
+    };
+
+    versions.push(metadata);
+    this.writeIndex(versions);
+
+    console.log(`💾 Stored schedule v${version} (${metadata.fileName}, ${metadata.size} bytes) by ${metadata.uploadedBy}`);
+    return metadata;
+  }
+
+  /**
+   * List all versions, newest first
+   * @returns {Array<Object>} Version metadata
+   */
+  listVersions() {
+    return this.readIndex().reverse();
+  }
+
+  /**
+   * Get metadata for the newest version
+   * @returns {Object|null} Version metadata
+   */
+  getLatest() {
+    const versions = this.readIndex();
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  /**
+   * Get metadata for a specific version
+   * @param {number|string} version - Version number
+   * @returns {Object|null} Version metadata
+   */
+  getVersion(version) {
+    const versionNumber = parseInt(version, 10);
+    return this.readIndex().find(v => v.version === versionNumber) || null;
+  }
+
+  /**
+   * Get the frozen baseline marker
+   * @returns {Object|null} { version, setBy, setAt }
+   * @throws {Error} If the baseline file cannot be read
+   */
+  getBaselineInfo() {
+    return this.baselineFile.read(null);
+  }
+
+  /**
+   * Get metadata for the baseline version
+   * @returns {Object|null} Version metadata with baseline details
+   */
+  getBaseline() {
+    const info = this.getBaselineInfo();
+    const metadata = info ? this.getVersion(info.version) : null;
+    return metadata ? { ...metadata, baseline: info } : null;
+  }
+
+  /**
+   * Freeze a stored version as the baseline
+   * @param {number|string} version - Version number
+   * @param {string} setBy - User who froze the baseline
+   * @returns {Object} Baseline marker
+   * @throws {Error} If the version does not exist
+   */
+  setBaseline(version, setBy) {
+    const metadata = this.getVersion(version);
+    if (!metadata) {
+      throw new Error(`Schedule version ${version} not found`);
+    }
+
+    const info = {
+      version: metadata.version,
+      setBy: setBy || 'anonymous',
+      setAt: new Date().toISOString()
+    };
+
+    this.baselineFile.write(info);
+
+    console.log(`📌 Schedule v${info.version} frozen as baseline by ${info.setBy}`);
+    return info;
+  }
+
+  /**
+   * Get the project work calendar shared by all users
+   * @returns {Object|null} { workdays, holidays, shutdowns, setBy, setAt }, or null if none has been saved
+   * @throws {Error} If the calendar file cannot be read
+   */
+  getCalendar() {
+    return this.calendarFile.read(null);
+  }
+
+  /**
+   * Save the project work calendar
+   * @param {Object} calendar - { workdays: [0-6], holidays: [{ date, name }], shutdowns: [{ start, end, name }] }
+   * @param {string} setBy - User who changed the calendar
+   * @returns {Object} Stored calendar
+   * @throws {Error} If the calendar is invalid
+   */
+  setCalendar(calendar, setBy) {
+    const { workdays, holidays = [], shutdowns = [] } = calendar || {};
+
+    if (!Array.isArray(workdays) || workdays.length === 0 ||
+        workdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('"workdays" must list at least one weekday (0 = Sunday ... 6 = Saturday)');
+    }
+    if (!Array.isArray(holidays) || holidays.some(holiday => !DATE_PATTERN.test(holiday?.date))) {
+      throw new Error('"holidays" must be a list of { date: YYYY-MM-DD, name }');
+    }
+    if (!Array.isArray(shutdowns) || shutdowns.some(shutdown => !DATE_PATTERN.test(shutdown?.start) || !DATE_PATTERN.test(shutdown?.end))) {
+      throw new Error('"shutdowns" must be a list of { start: YYYY-MM-DD, end: YYYY-MM-DD, name }');
+    }
+
+    const stored = {
+      workdays: [...new Set(workdays)].sort((a, b) => a - b),
+      holidays: holidays.map(({ date, name }) => ({ date, name: String(name || '') })),
+      shutdowns: shutdowns.map(({ start, end, name }) => ({ start, end, name: String(name || '') })),
+      setBy: setBy || 'anonymous',
+      setAt: new Date().toISOString()
+    };
+
+    this.calendarFile.write(stored);
+
+    console.log(`📆 Work calendar saved by ${stored.setBy}`);
+    return stored;
+  }
+
+  /**
+   * Remove the saved work calendar (everyone goes back to the default calendar)
+   */
+  clearCalendar() {
+    if (this.calendarFile.remove()) {
+      console.log('📆 Work calendar reset to the default');
+    }
+  }
+
+  /**
+   * Resolve the on-disk path of a stored version
+   * @param {Object} metadata - Version metadata
+   * @returns {string} Absolute file path
+   */
+  getFilePath(metadata) {
+    return path.join(this.dataDir, metadata.storedName);
+  }
+}
+
+module.exports = {
+  ScheduleStore,
+  SCHEDULE_DATA_DIR
+};
@@ -12,25 +12,50 @@ const {
   generateRefreshToken,
   verifyToken,
   authenticateJWT,
-  optionalJWT
+  optionalJWT,
+  requireRole,
+  ROLES
 } = require('./jwt-utils');
+const { ScheduleStore } = require('./schedule-store');
+const { ViewStore } = require('./view-store');
+const { UserStore } = require('./user-store');
+const { createSessionStore } = require('./session-store');
 
 const app = express();
 const oauthApp = express(); // Separate app for OAuth callbacks
 const PORT = process.env.PORT || 3000;
 const OAUTH_PORT = process.env.OAUTH_PORT || 8080;
 
+// Persistent shared views (JSON file on disk); their isolated dbIds can exceed the default body limit
+const viewStore = new ViewStore();
+const VIEW_UPLOAD_LIMIT = process.env.VIEW_UPLOAD_LIMIT || '5mb';
+
 // Middleware
 app.use(cors());
+app.use('/api/views', express.json({ limit: VIEW_UPLOAD_LIMIT }));
 app.use(express.json());
+// Never serve server-side files (.env, stored schedules) through the static handler
+app.use('/server', (req, res) => res.status(404).end());
 app.use(express.static('../')); // Serve static files from parent directory
 
 // OAuth app middleware
 oauthApp.use(cors());
 oauthApp.use(express.json());
 
-// Store user tokens in memory (use database in production)
-const userTokens = new Map();
+// Three-legged APS sessions (persisted, tokens encrypted at rest - see session-store.js)
+const userTokens = createSessionStore();
+
+// Refresh APS tokens this long before they expire
+const APS_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const SESSION_MAINTENANCE_INTERVAL_MS = 60 * 1000;
+
+// Persistent schedule versions (JSON index + workbook files on disk)
+const scheduleStore = new ScheduleStore();
+const SCHEDULE_UPLOAD_LIMIT = process.env.SCHEDULE_UPLOAD_LIMIT || '25mb';
+
+// Local dashboard accounts (admin / read-only)
+const userStore = new UserStore();
+userStore.ensureBootstrapAdmin();
 
 // APS Configuration
 const APS_CLIENT_ID = process.env.APS_CLIENT_ID;
@@ -38,6 +63,122 @@ const APS_CLIENT_SECRET = process.env.APS_CLIENT_SECRET;
 const APS_BASE_URL = 'https://developer.api.autodesk.com';
 const CALLBACK_URL = process.env.CALLBACK_URL || 'http://localhost:8080/callback';
 
+// APS refreshes in flight per session. APS rotates refresh tokens, so a second refresh with the
+// same token (background maintenance racing a request) would invalidate the first one.
+const apsRefreshes = new Map();
+
+/**
+ * Refresh a session's APS tokens, sharing one refresh between concurrent callers
+ * @param {string} sessionId - Session id
+ * @param {Object} tokenData - Decrypted session tokens
+ * @returns {Promise<Object|null>} Updated token data, or null if the refresh failed
+ */
+function refreshApsSession(sessionId, tokenData) {
+  if (!apsRefreshes.has(sessionId)) {
+    const refresh = requestApsRefresh(sessionId, tokenData)
+      .finally(() => apsRefreshes.delete(sessionId));
+    apsRefreshes.set(sessionId, refresh);
+  }
+
+  return apsRefreshes.get(sessionId);
+}
+
+/**
+ * Exchange a session's APS refresh token for a new access token
+ * @param {string} sessionId - Session id
+ * @param {Object} tokenData - Decrypted session tokens
+ * @returns {Promise<Object|null>} Updated token data, or null if the refresh failed
+ */
+async function requestApsRefresh(sessionId, tokenData) {
+  if (!tokenData.refresh_token) {
+    return null;
+  }
+
+  try {
+    console.log(`🔄 Refreshing APS token for session ${sessionId}...`);
+
+    const response = await axios.post(
+      `${APS_BASE_URL}/authentication/v2/token`,
+      new URLSearchParams({
+        client_id: APS_CLIENT_ID,
+        client_secret: APS_CLIENT_SECRET,
+        grant_type: 'refresh_token',
+        refresh_token: tokenData.refresh_token
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    const refreshed = {
+      access_token: response.data.access_token,
+      // APS rotates refresh tokens - keep the old one only if none was returned
+      refresh_token: response.data.refresh_token || tokenData.refresh_token,
+      expires_at: Date.now() + (response.data.expires_in * 1000)
+    };
+
+    userTokens.set(sessionId, refreshed);
+    console.log(`✅ APS token refreshed for session ${sessionId}`);
+    return refreshed;
+  } catch (error) {
+    console.error(`❌ APS token refresh failed for session ${sessionId}:`, error.response?.data || error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a session's APS tokens, refreshing them server-side when they are about to expire
+ * @param {string} sessionId - Session id
+ * @param {Object} options - { touch: count this as user activity }
+ * @returns {Promise<Object|null>} Valid token data, or null if the session is gone or expired
+ */
+async function getValidApsSession(sessionId, { touch = true } = {}) {
+  const tokenData = userTokens.get(sessionId, { touch });
+
+  if (!tokenData) {
+    return null;
+  }
+
+  if (Date.now() < tokenData.expires_at - APS_REFRESH_MARGIN_MS) {
+    return tokenData;
+  }
+
+  const refreshed = await refreshApsSession(sessionId, tokenData);
+  if (refreshed) {
+    return refreshed;
+  }
+
+  // Refresh failed - the token may still have a few minutes left
+  if (tokenData.access_token && Date.now() < tokenData.expires_at) {
+    return tokenData;
+  }
+
+  userTokens.delete(sessionId);
+  return null;
+}
+
+/**
+ * Background session maintenance: drop idle sessions and refresh tokens that are about to expire
+ */
+async function maintainSessions() {
+  userTokens.pruneIdle();
+
+  for (const [sessionId, data] of userTokens.entries()) {
+    if (Date.now() >= data.expires_at - APS_REFRESH_MARGIN_MS) {
+      await getValidApsSession(sessionId, { touch: false });
+    }
+  }
+}
+
+setInterval(() => {
+  maintainSessions().catch(error => console.error('❌ Session maintenance error:', error.message));
+}, SESSION_MAINTENANCE_INTERVAL_MS).unref();
+
+// Activity timestamps are written lazily - keep the last ones on shutdown
+process.on('exit', () => userTokens.flush());
+
 /**
  * Get 2-legged OAuth token for viewer (for non-ACC models)
  */
@@ -111,8 +252,8 @@ oauthApp.get('/callback', async (req, res) => {
       }
     );
     
-    // Store APS tokens with simple session ID
-    const sessionId = 'user_' + Date.now();
+    // Store APS tokens under a random session ID
+    const sessionId = userTokens.createSessionId();
     userTokens.set(sessionId, {
       access_token: response.data.access_token,
       refresh_token: response.data.refresh_token,
@@ -123,7 +264,8 @@ oauthApp.get('/callback', async (req, res) => {
     const jwtPayload = {
       sessionId: sessionId,
       apsTokenExpiry: Date.now() + (response.data.expires_in * 1000),
-      authType: '3-legged'
+      authType: '3-legged',
+      role: ROLES.READ_ONLY
     };
 
     const jwtAccessToken = generateAccessToken(jwtPayload);
@@ -168,43 +310,42 @@ oauthApp.get('/callback', async (req, res) => {
 });
 
 /**
- * Get user token (3-legged) - Legacy endpoint
+ * Get user token (3-legged)
+ * The session comes from the signed JWT issued with it, so knowing a session id is not enough to get its token
  */
-app.get('/api/auth/user-token', (req, res) => {
-  const sessionId = req.query.sessionId;
+app.get('/api/auth/user-token', authenticateJWT, async (req, res) => {
+  const sessionId = req.user.sessionId;
 
   if (!sessionId) {
-    console.log('❌ No session ID provided');
+    console.log('❌ No session in token');
     return res.status(401).json({ 
-      error: 'No session ID provided',
+      error: 'No Autodesk session in this token',
       hint: 'Make sure you logged in first'
     });
   }
 
-  const tokenData = userTokens.get(sessionId);
+  if (req.query.sessionId && req.query.sessionId !== sessionId) {
+    console.log('🚫 Session id does not match the token');
+    return res.status(403).json({ error: 'Session does not belong to this token' });
+  }
+
+  const knownSession = userTokens.has(sessionId);
+  const tokenData = await getValidApsSession(sessionId);
 
-  if (!tokenData) {
-    const availableSessions = Array.from(userTokens.keys());
-    console.log(`❌ Session not found: ${sessionId}`);
-    console.log(`📊 Available sessions: ${availableSessions.join(', ')}`);
-    console.log(`📊 Total sessions stored: ${userTokens.size}`);
-    
+  if (!tokenData && knownSession) {
+    console.log(`⏰ Session expired for: ${sessionId}`);
     return res.status(401).json({ 
-      error: 'Session not found or expired',
-      hint: 'Please login again. If problem persists, check if token endpoint is accessible.',
-      sessionId: sessionId,
-      availableSessions: availableSessions.length > 0 ? availableSessions.slice(0, 3) : []
+      error: 'Token expired, please login again',
+      hint: 'Your APS session has expired or was idle too long. Please login again.'
     });
   }
 
-  // Check if token is expired
-  if (Date.now() >= tokenData.expires_at) {
-    console.log(`⏰ Token expired for session: ${sessionId}`);
-    console.log(`   Expired ${Math.floor((Date.now() - tokenData.expires_at) / 1000)}s ago`);
-    userTokens.delete(sessionId);
+  if (!tokenData) {
+    console.log(`❌ Session not found: ${sessionId}`);
+    
     return res.status(401).json({ 
-      error: 'Token expired, please login again',
-      hint: 'Your APS token has expired. Please login again.'
+      error: 'Session not found or expired',
+      hint: 'Please login again. If problem persists, check if token endpoint is accessible.'
     });
   }
 
@@ -219,22 +360,36 @@ app.get('/api/auth/user-token', (req, res) => {
 });
 
 /**
- * Session Debug endpoint - Check what sessions are stored
+ * End the caller's 3-legged session (removes the stored APS tokens)
  */
-app.get('/api/auth/session-info', (req, res) => {
-  const sessions = Array.from(userTokens.entries()).map(([id, data]) => ({
-    sessionId: id,
-    expiresAt: new Date(data.expires_at).toISOString(),
-    expiresIn: Math.floor((data.expires_at - Date.now()) / 1000),
-    isExpired: Date.now() >= data.expires_at
-  }));
+app.post('/api/auth/logout', authenticateJWT, (req, res) => {
+  const { sessionId } = req.user;
 
-  console.log(`📊 Session info requested. Current sessions: ${sessions.length}`);
+  if (sessionId && userTokens.has(sessionId)) {
+    userTokens.delete(sessionId);
+    console.log(`👋 Session ended: ${sessionId}`);
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * Session Debug endpoint - the caller's own session and how many are stored (never other session ids)
+ */
+app.get('/api/auth/session-info', authenticateJWT, (req, res) => {
+  const own = userTokens.entries().find(([id]) => id === req.user.sessionId)?.[1];
+
+  console.log(`📊 Session info requested. Current sessions: ${userTokens.size}`);
 
   res.json({
     timestamp: new Date().toISOString(),
-    totalSessions: sessions.length,
-    sessions: sessions
+    totalSessions: userTokens.size,
+    session: own ? {
+      expiresAt: new Date(own.expires_at).toISOString(),
+      expiresIn: Math.floor((own.expires_at - Date.now()) / 1000),
+      isExpired: Date.now() >= own.expires_at,
+      lastSeenAt: new Date(own.last_seen_at).toISOString()
+    } : null
   });
 });
 
@@ -252,16 +407,29 @@ app.post('/api/auth/refresh', (req, res) => {
     // Verify refresh token
     const decoded = verifyToken(refreshToken);
 
+    // Local accounts may have been removed or had their role changed since the refresh token was issued,
+    // so the role is read from the user store, never copied from the old token
+    let role = ROLES.READ_ONLY;
+    if (decoded.authType === 'local') {
+      const user = userStore.findUser(decoded.username);
+      if (!user) {
+        return res.status(403).json({ error: 'User no longer exists' });
+      }
+      role = user.role;
+    }
+
     // Generate new access token
     const newPayload = {
       sessionId: decoded.sessionId,
+      username: decoded.username,
       apsTokenExpiry: decoded.apsTokenExpiry,
-      authType: decoded.authType
+      authType: decoded.authType,
+      role
     };
 
     const newAccessToken = generateAccessToken(newPayload);
 
-    console.log('🔄 JWT token refreshed for session:', decoded.sessionId);
+    console.log('🔄 JWT token refreshed for:', decoded.username || decoded.sessionId);
 
     res.json({
       access_token: newAccessToken,
@@ -273,6 +441,73 @@ app.post('/api/auth/refresh', (req, res) => {
   }
 });
 
+/**
+ * Local login for dashboard accounts - returns role-bearing JWT tokens
+ */
+app.post('/api/auth/local-login', (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  let user;
+  try {
+    user = userStore.verifyCredentials(username, password);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!user) {
+    console.log(`❌ Failed login attempt for: ${username}`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  const jwtPayload = {
+    username: user.username,
+    role: user.role,
+    authType: 'local'
+  };
+
+  console.log(`✅ ${user.username} logged in (${user.role})`);
+
+  res.json({
+    access_token: generateAccessToken(jwtPayload),
+    refresh_token: generateRefreshToken(jwtPayload),
+    token_type: 'Bearer',
+    username: user.username,
+    role: user.role
+  });
+});
+
+/**
+ * List dashboard accounts (admin only)
+ */
+app.get('/api/users', requireRole(ROLES.ADMIN), (req, res) => {
+  try {
+    const users = userStore.listUsers();
+    res.json({
+      total: users.length,
+      users
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a dashboard account (admin only)
+ */
+app.post('/api/users', requireRole(ROLES.ADMIN), (req, res) => {
+  try {
+    const user = userStore.createUser(req.body || {});
+    console.log(`👤 ${req.user.username} created user ${user.username}`);
+    res.status(201).json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * JWT Verify endpoint (for debugging)
  */
@@ -454,39 +689,27 @@ app.post('/api/acc/get-derivative-urn', async (req, res) => {
  * AUTO-VERSION DETECTION: Get latest version derivative URN from ACC lineage
  * This automatically gets the latest version without hardcoding URN
  */
-app.get('/api/acc/latest-model', async (req, res) => {
+app.get('/api/acc/latest-model', authenticateJWT, async (req, res) => {
   try {
     // Fixed identifiers from your ACC URL - these don't change
     const PROJECT_ID = 'd99b2475-9a5c-4752-abb1-b6b8c3e8c2a3';
     const LINEAGE_URN = 'urn:adsk.wipprod:dm.lineage:_mxP3Z5BRUqUT0T7xKPyxg';
     const VIEWABLE_GUID = 'ad763e05-577f-ccd1-4c87-ce502f12e069';
     
-    // Get user token from session
-    const sessionId = req.query.sessionId || req.headers['x-session-id'];
-    let token = req.headers.authorization?.split(' ')[1];
+    // The APS session is the one bound to the JWT, never one named in the request
+    const sessionId = req.user.sessionId;
+    const tokenData = sessionId ? await getValidApsSession(sessionId) : null;
     
-    // If no token in header, try to get from session
-    if (!token && sessionId) {
-      const tokenData = userTokens.get(sessionId);
-      if (tokenData && Date.now() < tokenData.expires_at) {
-        token = tokenData.access_token;
-      } else if (tokenData) {
-        console.log('⏰ Session token expired for:', sessionId);
-      } else {
-        console.log('❌ Session not found (server may have restarted):', sessionId);
-        console.log('   Available sessions:', Array.from(userTokens.keys()));
-      }
-    }
-    
-    if (!token) {
+    if (!tokenData) {
+      console.log('❌ No valid Autodesk session for latest-model request');
       return res.status(401).json({ 
         error: 'Authentication required',
-        hint: 'Please click Login button again (session expired or server restarted)',
-        sessionId: sessionId || 'none',
-        availableSessions: userTokens.size
+        hint: 'Please click Login button again (session expired)'
       });
     }
 
+    const token = tokenData.access_token;
+
     console.log('🔄 Fetching latest model version from ACC...');
     console.log('   Project ID:', PROJECT_ID);
     console.log('   Lineage URN:', LINEAGE_URN);
@@ -627,6 +850,292 @@ app.get('/api/acc/latest-model', async (req, res) => {
   }
 });
 
+/**
+ * Upload a new schedule (Excel workbook, P6 XER or MS Project XML) - stored as a new version (admin only)
+ * Body: raw file bytes; file name in the X-File-Name header
+ */
+app.post(
+  '/api/schedules',
+  requireRole(ROLES.ADMIN),
+  express.raw({ type: () => true, limit: SCHEDULE_UPLOAD_LIMIT }),
+  (req, res) => {
+    if (!req.body || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'No schedule file received' });
+    }
+
+    let fileName;
+    try {
+      fileName = decodeURIComponent(req.headers['x-file-name'] || 'schedule.xlsx');
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid X-File-Name header' });
+    }
+
+    if (!/\.(xlsx|xls|xer|xml)$/i.test(fileName)) {
+      return res.status(400).json({ error: 'Only .xlsx, .xls, .xer and .xml schedules are supported' });
+    }
+
+    // Optional Excel column mapping chosen in the upload wizard
+    let columnMapping = null;
+    if (req.headers['x-column-mapping']) {
+      try {
+        columnMapping = JSON.parse(decodeURIComponent(req.headers['x-column-mapping']));
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid X-Column-Mapping header' });
+      }
+    }
+
+    try {
+      const uploadedBy = req.user.username || req.user.sessionId;
+      const metadata = scheduleStore.saveVersion({
+        buffer: req.body,
+        fileName,
+        uploadedBy,
+        columnMapping
+      });
+
+      res.status(201).json(metadata);
+    } catch (error) {
+      console.error('❌ Schedule upload error:', error.message);
+      res.status(500).json({ error: 'Failed to store schedule' });
+    }
+  }
+);
+
+/**
+ * List all stored schedule versions (newest first)
+ */
+app.get('/api/schedules', (req, res) => {
+  try {
+    const versions = scheduleStore.listVersions();
+    res.json({
+      total: versions.length,
+      baselineVersion: scheduleStore.getBaselineInfo()?.version || null,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Send a stored schedule workbook with its version metadata in headers
+ */
+function sendScheduleVersion(res, metadata) {
+  res.set({
+    'X-Schedule-Version': String(metadata.version),
+    'X-Schedule-File-Name': encodeURIComponent(metadata.fileName),
+    'X-Schedule-Uploaded-By': encodeURIComponent(metadata.uploadedBy),
+    'X-Schedule-Uploaded-At': metadata.uploadedAt,
+    'Access-Control-Expose-Headers': 'X-Schedule-Version, X-Schedule-File-Name, X-Schedule-Uploaded-By, X-Schedule-Uploaded-At, X-Schedule-Column-Mapping'
+  });
+  if (metadata.columnMapping) {
+    res.set('X-Schedule-Column-Mapping', encodeURIComponent(JSON.stringify(metadata.columnMapping)));
+  }
+  res.sendFile(scheduleStore.getFilePath(metadata), (error) => {
+    if (error && !res.headersSent) {
+      console.error(`❌ Failed to send schedule v${metadata.version}:`, error.message);
+      res.status(500).json({ error: 'Stored schedule file is missing' });
+    }
+  });
+}
+
+/**
+ * Download the latest schedule workbook
+ */
+app.get('/api/schedules/latest', (req, res) => {
+  let latest;
+  try {
+    latest = scheduleStore.getLatest();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!latest) {
+    return res.status(404).json({ error: 'No schedule has been uploaded yet' });
+  }
+
+  console.log(`📅 Serving latest schedule v${latest.version}`);
+  sendScheduleVersion(res, latest);
+});
+
+/**
+ * Download the baseline schedule workbook
+ */
+app.get('/api/schedules/baseline', (req, res) => {
+  let baseline;
+  try {
+    baseline = scheduleStore.getBaseline();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!baseline) {
+    return res.status(404).json({ error: 'No baseline has been set' });
+  }
+
+  console.log(`📌 Serving baseline schedule v${baseline.version}`);
+  sendScheduleVersion(res, baseline);
+});
+
+/**
+ * Freeze a stored version as the baseline (admin only)
+ * Body: { version }
+ */
+app.put('/api/schedules/baseline', requireRole(ROLES.ADMIN), (req, res) => {
+  const { version } = req.body || {};
+
+  if (!version) {
+    return res.status(400).json({ error: 'No version provided' });
+  }
+
+  try {
+    if (!scheduleStore.getVersion(version)) {
+      return res.status(404).json({ error: `Schedule version ${version} not found` });
+    }
+
+    const baseline = scheduleStore.setBaseline(version, req.user.username || req.user.sessionId);
+    res.json(baseline);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the project work calendar (working days, holidays, shutdowns) shared by all users
+ */
+app.get('/api/schedules/calendar', (req, res) => {
+  try {
+    res.json({ calendar: scheduleStore.getCalendar() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save the project work calendar (admin only)
+ * Body: { workdays, holidays, shutdowns }
+ */
+app.put('/api/schedules/calendar', requireRole(ROLES.ADMIN), (req, res) => {
+  try {
+    const calendar = scheduleStore.setCalendar(req.body, req.user.username || req.user.sessionId);
+    res.json({ calendar });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Go back to the default work calendar (admin only)
+ */
+app.delete('/api/schedules/calendar', requireRole(ROLES.ADMIN), (req, res) => {
+  try {
+    scheduleStore.clearCalendar();
+    res.json({ calendar: null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download a specific schedule version
+ */
+app.get('/api/schedules/:version', (req, res) => {
+  let metadata;
+  try {
+    metadata = scheduleStore.getVersion(req.params.version);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!metadata) {
+    return res.status(404).json({ error: `Schedule version ${req.params.version} not found` });
+  }
+
+  console.log(`📅 Serving schedule v${metadata.version}`);
+  sendScheduleVersion(res, metadata);
+});
+
+/**
+ * List shared views (newest first, without their state)
+ */
+app.get('/api/views', (req, res) => {
+  try {
+    const views = viewStore.listViews();
+    res.json({
+      total: views.length,
+      views
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a shared view with its state
+ */
+app.get('/api/views/:id', (req, res) => {
+  let view;
+  try {
+    view = viewStore.getView(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!view) {
+    return res.status(404).json({ error: `View ${req.params.id} not found` });
+  }
+
+  res.json(view);
+});
+
+/**
+ * Share a view captured in the dashboard (signed-in accounts)
+ * Body: the view ({ name, camera, filters, colorScheme, isolatedDbIds, gantt, labels, ... })
+ */
+app.post('/api/views', authenticateJWT, (req, res) => {
+  try {
+    viewStore.validateView(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const view = viewStore.saveView(req.body, req.user.username || req.user.sessionId);
+    res.status(201).json(view);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a shared view (the user who shared it, or an admin)
+ */
+app.delete('/api/views/:id', authenticateJWT, (req, res) => {
+  let view;
+  try {
+    view = viewStore.getView(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!view) {
+    return res.status(404).json({ error: `View ${req.params.id} not found` });
+  }
+
+  const user = req.user.username || req.user.sessionId;
+  if (view.sharedBy !== user && req.user.role !== ROLES.ADMIN) {
+    console.log(`🚫 ${user} (${req.user.role}) denied removing view "${view.name}" shared by ${view.sharedBy}`);
+    return res.status(403).json({ error: 'Only the user who shared a view or an admin can remove it' });
+  }
+
+  try {
+    viewStore.deleteView(view.id);
+    res.json({ id: view.id, removed: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -0,0 +1,310 @@
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+
+// Session storage configuration
+const SESSION_STORE = process.env.SESSION_STORE || 'file'; // 'file' | 'memory'
+const SESSION_DATA_FILE = process.env.SESSION_DATA_FILE || path.join(__dirname, 'data', 'sessions.json');
+const SESSION_IDLE_HOURS = parseFloat(process.env.SESSION_IDLE_HOURS || '12');
+
+// Activity timestamps are written at most this often; token changes and removals are written at once
+const TOUCH_SAVE_DELAY_MS = 5000;
+
+/**
+ * Derive the 256-bit token encryption key.
+ * SESSION_ENCRYPTION_KEY (64 hex chars) is preferred; otherwise the key is derived from JWT_SECRET.
+ * @returns {Buffer} Encryption key
+ */
+function getEncryptionKey() {
+  const configured = process.env.SESSION_ENCRYPTION_KEY;
+
+  if (configured && /^[0-9a-f]{64}$/i.test(configured)) {
+    return Buffer.from(configured, 'hex');
+  }
+
+  if (configured) {
+    console.warn('⚠️ SESSION_ENCRYPTION_KEY must be 64 hex characters - deriving key from it instead');
+  }
+
+  // jwt-utils refuses to start without JWT_SECRET, so there is always a secret to derive from
+  const secret = configured || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update('aps-session:' + secret).digest();
+}
+
+const ENCRYPTION_KEY = getEncryptionKey();
+
+/**
+ * Encrypt a token with AES-256-GCM
+ * @param {string} plainText - Token to encrypt
+ * @returns {string|null} iv:authTag:cipherText (hex)
+ */
+function encryptToken(plainText) {
+  if (!plainText) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+}
+
+/**
+ * Decrypt a token produced by encryptToken
+ * @param {string} encoded - iv:authTag:cipherText (hex)
+ * @returns {string|null} Token, or null if it cannot be decrypted (e.g. key changed)
+ */
+function decryptToken(encoded) {
+  if (!encoded) return null;
+
+  try {
+    const [iv, authTag, encrypted] = encoded.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('❌ Failed to decrypt session token:', error.message);
+    return null;
+  }
+}
+
+/**
+ * In-memory session backend (previous behaviour - sessions are lost on restart)
+ */
+class MemorySessionBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  load() {
+    return this.records;
+  }
+
+  save(records) {
+    this.records = records;
+  }
+}
+
+/**
+ * JSON-file session backend (tokens are stored encrypted)
+ */
+class FileSessionBackend {
+  /**
+   * @param {string} filePath - JSON file that holds the sessions
+   */
+  constructor(filePath = SESSION_DATA_FILE) {
+    this.sessionsFile = new JsonFileStore(filePath, { label: 'session store', mode: 0o600 });
+  }
+
+  load() {
+    // Sessions can be recreated by signing in again, so an unreadable file starts an empty store
+    try {
+      return new Map(Object.entries(this.sessionsFile.read({})));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  save(records) {
+    this.sessionsFile.write(Object.fromEntries(records));
+  }
+}
+
+/**
+ * Three-legged APS session store with a pluggable persistence backend.
+ * Access and refresh tokens are encrypted before they reach the backend,
+ * and sessions unused for SESSION_IDLE_HOURS are expired.
+ */
+class SessionStore {
+  /**
+   * @param {Object} backend - Object with load() -> Map and save(Map)
+   * @param {Object} options - { idleTimeoutMs }
+   */
+  constructor(backend, { idleTimeoutMs = SESSION_IDLE_HOURS * 60 * 60 * 1000 } = {}) {
+    this.backend = backend;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.records = backend.load();
+    this.saveTimer = null;
+
+    console.log(`🗄️ Session store ready (${backend.constructor.name}, ${this.records.size} sessions restored)`);
+  }
+
+  /**
+   * Create a new session id
+   * @returns {string} Session id
+   */
+  createSessionId() {
+    return 'user_' + crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Store (or replace) a session's APS tokens
+   * @param {string} sessionId - Session id
+   * @param {Object} tokenData - { access_token, refresh_token, expires_at }
+   */
+  set(sessionId, tokenData) {
+    const existing = this.records.get(sessionId);
+    const now = Date.now();
+
+    this.records.set(sessionId, {
+      access_token: encryptToken(tokenData.access_token),
+      refresh_token: encryptToken(tokenData.refresh_token),
+      expires_at: tokenData.expires_at,
+      created_at: existing?.created_at || now,
+      last_seen_at: existing?.last_seen_at || now
+    });
+    this.save();
+  }
+
+  /**
+   * Write all sessions now (cancels a pending activity write)
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.backend.save(this.records);
+  }
+
+  /**
+   * Write activity timestamps after a short delay, so busy sessions do not rewrite the file on every request
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.save(), TOUCH_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write a pending activity update (call before the process exits)
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+
+  /**
+   * Get a session's decrypted tokens and mark it as used
+   * @param {string} sessionId - Session id
+   * @param {Object} options - { touch: false for background work that should not count as activity }
+   * @returns {Object|null} { access_token, refresh_token, expires_at, created_at, last_seen_at },
+   *   or null if the session is unknown, idle or its tokens cannot be decrypted
+   */
+  get(sessionId, { touch = true } = {}) {
+    const record = this.records.get(sessionId);
+    if (!record) return null;
+
+    if (this.isIdle(record)) {
+      console.log(`💤 Session expired after inactivity: ${sessionId}`);
+      this.delete(sessionId);
+      return null;
+    }
+
+    const accessToken = decryptToken(record.access_token);
+    const refreshToken = decryptToken(record.refresh_token);
+
+    // Stored with another key (SESSION_ENCRYPTION_KEY / JWT_SECRET changed) - the session cannot be used any more
+    if (!accessToken || (record.refresh_token && !refreshToken)) {
+      console.log(`🔒 Session tokens cannot be decrypted, removing session: ${sessionId}`);
+      this.delete(sessionId);
+      return null;
+    }
+
+    if (touch) {
+      record.last_seen_at = Date.now();
+      this.scheduleSave();
+    }
+
+    return {
+      ...record,
+      access_token: accessToken,
+      refresh_token: refreshToken
+    };
+  }
+
+  /**
+   * Check if a session exists (does not count as activity)
+   * @param {string} sessionId - Session id
+   * @returns {boolean}
+   */
+  has(sessionId) {
+    return this.records.has(sessionId);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session id
+   */
+  delete(sessionId) {
+    if (this.records.delete(sessionId)) {
+      this.save();
+    }
+  }
+
+  /**
+   * Session metadata without tokens (for debugging endpoints)
+   * @returns {Array<[string, Object]>} [sessionId, { expires_at, created_at, last_seen_at }]
+   */
+  entries() {
+    return Array.from(this.records.entries()).map(([id, record]) => [id, {
+      expires_at: record.expires_at,
+      created_at: record.created_at,
+      last_seen_at: record.last_seen_at
+    }]);
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Check if a session has been unused for longer than the idle timeout
+   * @param {Object} record - Stored session
+   * @returns {boolean}
+   */
+  isIdle(record) {
+    return Date.now() - (record.last_seen_at || record.created_at || 0) > this.idleTimeoutMs;
+  }
+
+  /**
+   * Remove idle sessions
+   * @returns {number} Number of sessions removed
+   */
+  pruneIdle() {
+    let removed = 0;
+
+    for (const [sessionId, record] of this.records) {
+      if (this.isIdle(record)) {
+        this.records.delete(sessionId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.save();
+      console.log(`🧹 Removed ${removed} idle session(s)`);
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * Create the session store for the configured backend (SESSION_STORE env)
+ * @returns {SessionStore}
+ */
+function createSessionStore() {
+  const backend = SESSION_STORE === 'memory'
+    ? new MemorySessionBackend()
+    : new FileSessionBackend();
+
+  return new SessionStore(backend);
+}
+
+module.exports = {
+  SessionStore,
+  MemorySessionBackend,
+  FileSessionBackend,
+  createSessionStore,
+  encryptToken,
+  decryptToken
+};
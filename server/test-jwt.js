@@ -89,7 +89,7 @@ const expiredPayload = {
 };
 // Create token with 1 second expiry
 const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const { JWT_SECRET } = require('./jwt-utils');
 const shortLivedToken = jwt.sign(expiredPayload, JWT_SECRET, {
   expiresIn: '1s',
   issuer: 'blockwise-dashboard',
@@ -0,0 +1,193 @@
+const path = require('path');
+const crypto = require('crypto');
+const { ROLES } = require('./jwt-utils');
+const { JsonFileStore } = require('./json-file-store');
+
+// User accounts location (next to the schedule store, never statically served)
+const USER_DATA_FILE = process.env.USER_DATA_FILE || path.join(__dirname, 'data', 'users.json');
+
+// scrypt parameters - stored with each hash so they can be raised later
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_COST = 16384;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} Encoded hash: scrypt$cost$salt$hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_COST }).toString('hex');
+  return `scrypt$${SCRYPT_COST}$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against an encoded scrypt hash (constant-time compare)
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, encoded) {
+  const [scheme, cost, salt, hash] = (encoded || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  try {
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length, { N: parseInt(cost, 10) });
+    return crypto.timingSafeEqual(expected, actual);
+  } catch (error) {
+    console.error('❌ Password check failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * JSON-file backed store for local dashboard accounts (admin / read-only)
+ */
+class UserStore {
+  /**
+   * @param {string} filePath - JSON file that holds the accounts
+   */
+  constructor(filePath = USER_DATA_FILE) {
+    this.filePath = filePath;
+    this.usersFile = new JsonFileStore(filePath, { label: 'user store', mode: 0o600 });
+  }
+
+  /**
+   * Read all accounts from disk
+   * @returns {Array<Object>} Stored accounts (including password hashes)
+   * @throws {Error} If the file cannot be read - never treated as empty, or the bootstrap admin would replace every account
+   */
+  readUsers() {
+    return this.usersFile.read([]);
+  }
+
+  /**
+   * Write all accounts to disk (write-then-rename)
+   * @param {Array<Object>} users - Accounts to store
+   */
+  writeUsers(users) {
+    this.usersFile.write(users);
+  }
+
+  /**
+   * Strip the password hash before an account leaves the store
+   * @param {Object} user - Stored account
+   * @returns {Object} Public account fields
+   */
+  toPublic(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  /**
+   * List all accounts without password hashes
+   * @returns {Array<Object>} Public account fields
+   */
+  listUsers() {
+    return this.readUsers().map(user => this.toPublic(user));
+  }
+
+  /**
+   * Find an account by username (case-insensitive)
+   * @param {string} username - Username
+   * @returns {Object|null} Stored account
+   */
+  findUser(username) {
+    const key = String(username || '').trim().toLowerCase();
+    return this.readUsers().find(user => user.username.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Create a new account
+   * @param {Object} details - Account details
+   * @param {string} details.username - Username
+   * @param {string} details.password - Plain text password (hashed before storing)
+   * @param {string} details.role - One of ROLES
+   * @returns {Object} Public account fields
+   * @throws {Error} If the input is invalid or the username is taken
+   */
+  createUser({ username, password, role = ROLES.READ_ONLY }) {
+    const name = String(username || '').trim();
+
+    if (!name) {
+      throw new Error('Username is required');
+    }
+    if (!password || password.length < 12) {
+      throw new Error('Password must be at least 12 characters');
+    }
+    if (!Object.values(ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    if (this.findUser(name)) {
+      throw new Error(`User already exists: ${name}`);
+    }
+
+    const user = {
+      username: name,
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+
+    const users = this.readUsers();
+    users.push(user);
+    this.writeUsers(users);
+
+    console.log(`👤 Created ${role} user: ${name}`);
+    return this.toPublic(user);
+  }
+
+  /**
+   * Check a username/password pair
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {Object|null} Public account fields, or null if the credentials are wrong
+   */
+  verifyCredentials(username, password) {
+    const user = this.findUser(username);
+
+    if (!user || !password || !verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+
+    return this.toPublic(user);
+  }
+
+  /**
+   * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the store is empty
+   */
+  ensureBootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    try {
+      if (this.readUsers().length > 0) {
+        return;
+      }
+    } catch (error) {
+      console.error('❌ Not creating the bootstrap admin:', error.message);
+      return;
+    }
+
+    if (!username || !password) {
+      console.warn('⚠️ No dashboard users configured - set ADMIN_USERNAME and ADMIN_PASSWORD to enable schedule uploads');
+      return;
+    }
+
+    try {
+      this.createUser({ username, password, role: ROLES.ADMIN });
+    } catch (error) {
+      console.error('❌ Failed to create bootstrap admin:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  UserStore,
+  hashPassword,
+  verifyPassword,
+  USER_DATA_FILE
+};
@@ -0,0 +1,147 @@
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+
+// Shared view storage location (kept outside the statically served tree in production)
+const VIEW_DATA_DIR = process.env.VIEW_DATA_DIR || path.join(__dirname, 'data', 'views');
+const VIEWS_FILE = 'views.json';
+
+// Longest view name and most isolated elements accepted in a shared view
+const MAX_NAME_LENGTH = 100;
+const MAX_ISOLATED_DBIDS = 200000;
+
+/**
+ * JSON-file backed store for saved views shared between dashboard users.
+ * A view holds the camera, sidebar filters, color scheme, isolated elements,
+ * Gantt date range and label toggles captured in the dashboard.
+ */
+class ViewStore {
+  /**
+   * @param {string} dataDir - Directory that holds the views file
+   */
+  constructor(dataDir = VIEW_DATA_DIR) {
+    this.dataDir = dataDir;
+    this.viewsFile = new JsonFileStore(path.join(dataDir, VIEWS_FILE), { label: 'shared views file' });
+  }
+
+  /**
+   * Read all shared views from disk
+   * @returns {Array<Object>} Views, oldest first
+   * @throws {Error} If the views file cannot be read - never treated as empty, or the next share would drop every view
+   */
+  readViews() {
+    return this.viewsFile.read([]);
+  }
+
+  /**
+   * Write all shared views to disk (write-then-rename so a crash never leaves half a file)
+   * @param {Array<Object>} views - Views
+   */
+  writeViews(views) {
+    this.viewsFile.write(views);
+  }
+
+  /**
+   * Check the parts of a view the server relies on
+   * @param {Object} view - View sent by the dashboard
+   * @throws {Error} If the view is invalid
+   */
+  validateView(view) {
+    if (!view || typeof view !== 'object' || Array.isArray(view)) {
+      throw new Error('A view must be a JSON object');
+    }
+
+    const name = typeof view.name === 'string' ? view.name.trim() : '';
+    if (!name) {
+      throw new Error('A view needs a name');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`View names are limited to ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const isolated = view.isolatedDbIds || [];
+    if (!Array.isArray(isolated) || isolated.some(dbId => !Number.isInteger(dbId))) {
+      throw new Error('"isolatedDbIds" must be a list of element ids');
+    }
+    if (isolated.length > MAX_ISOLATED_DBIDS) {
+      throw new Error(`A view can isolate at most ${MAX_ISOLATED_DBIDS} elements`);
+    }
+  }
+
+  /**
+   * Share a view (a view with the same name shared by the same user is replaced)
+   * @param {Object} view - View captured in the dashboard
+   * @param {string} sharedBy - User sharing the view
+   * @returns {Object} Stored view with its server id
+   * @throws {Error} If the view is invalid
+   */
+  saveView(view, sharedBy) {
+    this.validateView(view);
+
+    const views = this.readViews();
+    const owner = sharedBy || 'anonymous';
+    const name = view.name.trim();
+    const existing = views.findIndex(stored => stored.sharedBy === owner && stored.name.toLowerCase() === name.toLowerCase());
+
+    const stored = {
+      ...view,
+      name,
+      id: existing >= 0 ? views[existing].id : 'view_' + crypto.randomBytes(8).toString('hex'),
+      sharedBy: owner,
+      sharedAt: new Date().toISOString()
+    };
+
+    // A replaced view moves to the end so the list stays ordered by sharedAt
+    if (existing >= 0) {
+      views.splice(existing, 1);
+    }
+    views.push(stored);
+    this.writeViews(views);
+
+    console.log(`🔖 View "${stored.name}" shared by ${stored.sharedBy}`);
+    return stored;
+  }
+
+  /**
+   * List shared views without their state, newest first
+   * @returns {Array<Object>} { id, name, sharedBy, sharedAt }
+   */
+  listViews() {
+    return this.readViews()
+      .map(({ id, name, sharedBy, sharedAt }) => ({ id, name, sharedBy, sharedAt }))
+      .reverse();
+  }
+
+  /**
+   * Get a shared view
+   * @param {string} id - View id
+   * @returns {Object|null} View
+   */
+  getView(id) {
+    return this.readViews().find(view => view.id === id) || null;
+  }
+
+  /**
+   * Remove a shared view
+   * @param {string} id - View id
+   * @returns {Object|null} Removed view, or null if it does not exist
+   */
+  deleteView(id) {
+    const views = this.readViews();
+    const index = views.findIndex(view => view.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [removed] = views.splice(index, 1);
+    this.writeViews(views);
+
+    console.log(`🗑️ Shared view "${removed.name}" removed`);
+    return removed;
+  }
+}
+
+module.exports = {
+  ViewStore,
+  VIEW_DATA_DIR
+};